@@ -0,0 +1,61 @@
+// Admin stats endpoint
+// FlightAware and AviationStack request budgets (usage by endpoint, day and month against the limits),
+// API client usage and server cache size. Protected by ADMIN_TOKEN, sent as "Authorization: Bearer <token>".
+
+const apiCache = require('../../lib/cache');
+const { hasBearerToken } = require('../../lib/auth');
+const { getBudgetStatus } = require('../../lib/budget');
+const { getUsageStats } = require('../../lib/apiAccess');
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken) {
+        return res.status(503).json({
+            error: 'Admin endpoint not configured',
+            details: 'Set ADMIN_TOKEN in your Vercel environment variables to enable it.'
+        });
+    }
+
+    if (!hasBearerToken(req.headers.authorization, adminToken)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Stats must never be served from a shared cache
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+        const [budget, historyBudget, usage, cacheStats] = await Promise.all([
+            getBudgetStatus('flightaware'),
+            getBudgetStatus('aviationstack'),
+            getUsageStats(),
+            apiCache.getStats()
+        ]);
+
+        return res.status(200).json({
+            flightaware: budget,
+            aviationstack: historyBudget,
+            api: usage,
+            cache: {
+                store: cacheStats.store,
+                size: cacheStats.size,
+                degraded: !!cacheStats.degraded
+            },
+            generatedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error collecting admin stats:', error);
+        return res.status(500).json({
+            error: 'Failed to collect stats',
+            details: error.message
+        });
+    }
+}
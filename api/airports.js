@@ -0,0 +1,33 @@
+// Airport profile registry endpoint
+// Lets the frontend build its airport list and thresholds from lib/airports.js
+
+const { getAirport, listAirports } = require('../lib/airports');
+const { guardRequest } = require('../lib/apiAccess');
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!(await guardRequest(req, res, 'airports'))) return;
+
+    // Profiles only change on deploy, so let browsers and the CDN keep them for a day
+    res.setHeader('Cache-Control', 'public, max-age=3600, s-maxage=86400');
+
+    const { code } = req.query;
+
+    if (code) {
+        const profile = getAirport(code);
+        if (!profile) {
+            return res.status(404).json({ error: `Unknown airport: ${code}` });
+        }
+        return res.status(200).json(profile);
+    }
+
+    return res.status(200).json({ airports: listAirports() });
+}
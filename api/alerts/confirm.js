@@ -0,0 +1,65 @@
+// Confirm an email alert subscription (double opt-in)
+// GET ?id=...&token=... (the link in the confirmation email) shows a page with a Confirm button
+// POST ?id=...&token=... confirms. Mail security scanners open links in the email before the
+// recipient does, so only the POST changes anything - a GET never confirms.
+
+const { confirmSubscription } = require('../../lib/alerts');
+const { guardRequest } = require('../../lib/apiAccess');
+const { escapeHtml } = require('../../lib/report');
+
+function page(body) {
+    return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">` +
+        `<meta name="robots" content="noindex"><title>Crowd alert</title></head>` +
+        `<body style="font-family: sans-serif; padding: 2rem;">${body}<p><a href="/">Back to the queue predictor</a></p></body></html>`;
+}
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!(await guardRequest(req, res, 'alerts/confirm'))) return;
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    const { id, token } = req.query;
+
+    if (req.method === 'GET') {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        const action = `/api/alerts/confirm?id=${encodeURIComponent(id || '')}&token=${encodeURIComponent(token || '')}`;
+        return res.status(200).send(page(
+            '<p>Confirm that you want email crowd alerts for this subscription.</p>' +
+            `<form method="post" action="${escapeHtml(action)}"><button type="submit">Confirm alert</button></form>`
+        ));
+    }
+
+    try {
+        const confirmed = await confirmSubscription(id, token);
+        const message = confirmed
+            ? 'Your crowd alert is confirmed. You will get an email when your time window gets busy.'
+            : 'This alert subscription does not exist, has already ended or the link is incomplete.';
+
+        // The form on the GET page gets a page, API clients JSON
+        if ((req.headers.accept || '').includes('text/html')) {
+            res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            return res.status(confirmed ? 200 : 404).send(page(`<p>${message}</p>`));
+        }
+
+        return res.status(confirmed ? 200 : 404).json(confirmed ? { confirmed: true } : { error: message });
+    } catch (error) {
+        console.error('Error confirming alert subscription:', error);
+        return res.status(500).json({
+            error: 'Failed to confirm the alert',
+            details: error.message
+        });
+    }
+}
@@ -0,0 +1,40 @@
+// Crowd-level alert subscriptions
+// POST a subscription: { airport, date, direction, from, to, minLevel, channel }
+// Returns the stored subscription and its unsubscribe link (also included in every alert)
+
+const { AlertValidationError, createSubscription } = require('../../lib/alerts');
+const { guardRequest } = require('../../lib/apiAccess');
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!(await guardRequest(req, res, 'alerts'))) return;
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const { subscription, unsubscribeUrl } = await createSubscription(body);
+
+        return res.status(201).json({ subscription, unsubscribeUrl });
+    } catch (error) {
+        if (error instanceof AlertValidationError || error instanceof SyntaxError) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        console.error('Error creating alert subscription:', error);
+        return res.status(500).json({
+            error: 'Failed to create alert subscription',
+            details: error.message
+        });
+    }
+}
@@ -0,0 +1,42 @@
+// Scheduled alert run
+// Re-checks every alert subscription against the current prediction and sends the alerts that
+// are due. Called by the scheduled GitHub Actions workflow (or Vercel Cron) with
+// "Authorization: Bearer <CRON_SECRET>".
+
+const { runAlerts } = require('../../lib/alerts');
+const { hasBearerToken } = require('../../lib/auth');
+
+export default async function handler(req, res) {
+    const cronSecret = process.env.CRON_SECRET;
+    if (!cronSecret) {
+        return res.status(503).json({
+            error: 'Alert runs not configured',
+            details: 'Set CRON_SECRET in your Vercel environment variables to enable them.'
+        });
+    }
+
+    if (!hasBearerToken(req.headers.authorization, cronSecret)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    const apiKey = process.env.FLIGHTAWARE_API_KEY;
+    if (!apiKey) {
+        return res.status(500).json({ error: 'API key not configured' });
+    }
+
+    try {
+        const startedAt = Date.now();
+        const summary = await runAlerts(apiKey);
+        console.log('🔔 Alert run finished:', summary);
+
+        return res.status(200).json({ ...summary, durationMs: Date.now() - startedAt });
+    } catch (error) {
+        console.error('Error running alerts:', error);
+        return res.status(500).json({
+            error: 'Alert run failed',
+            details: error.message
+        });
+    }
+}
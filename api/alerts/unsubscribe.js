@@ -0,0 +1,44 @@
+// Unsubscribe from a crowd-level alert
+// GET (the link in every alert) or POST with ?id=...&token=...
+
+const { unsubscribe } = require('../../lib/alerts');
+const { guardRequest } = require('../../lib/apiAccess');
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!(await guardRequest(req, res, 'alerts/unsubscribe'))) return;
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+        const removed = await unsubscribe(req.query.id, req.query.token);
+        const message = removed
+            ? 'You will no longer receive this crowd alert.'
+            : 'This alert subscription does not exist or has already ended.';
+
+        // Links opened from an email get a page, API clients JSON
+        if ((req.headers.accept || '').includes('text/html')) {
+            res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            return res.status(removed ? 200 : 404).send(
+                `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>Crowd alert</title></head>` +
+                `<body style="font-family: sans-serif; padding: 2rem;"><p>${message}</p><p><a href="/">Back to the queue predictor</a></p></body></html>`
+            );
+        }
+
+        return res.status(removed ? 200 : 404).json(removed ? { unsubscribed: true } : { error: message });
+    } catch (error) {
+        console.error('Error removing alert subscription:', error);
+        return res.status(500).json({
+            error: 'Failed to unsubscribe',
+            details: error.message
+        });
+    }
+}
@@ -2,17 +2,22 @@
 // This endpoint fetches airline logos, aircraft details, and historical data
 
 const apiCache = require('../lib/cache');
+const { fetchHistoricalData } = require('../lib/aviationstack');
+const { recordRequest } = require('../lib/budget');
+const { guardRequest } = require('../lib/apiAccess');
 
 export default async function handler(req, res) {
     // Enable CORS
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
 
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
     }
 
+    if (!(await guardRequest(req, res, 'aviationstack'))) return;
+
     const { type, code, airport, date } = req.query;
 
     // Generate cache key based on request type
@@ -20,7 +25,7 @@ export default async function handler(req, res) {
     const cacheKey = apiCache.generateKey('aviationstack', cacheParams);
     
     // Check cache first (longer TTL for static data like airlines/aircraft)
-    const cachedData = apiCache.get(cacheKey);
+    const cachedData = await apiCache.get(cacheKey);
     if (cachedData) {
         console.log('✅ AviationStack cache hit:', cacheKey);
         return res.status(200).json({
@@ -65,7 +70,7 @@ export default async function handler(req, res) {
         }
 
         // Cache the response with appropriate TTL
-        apiCache.set(cacheKey, data, cacheTTL);
+        await apiCache.set(cacheKey, data, cacheTTL);
         console.log('✅ Cached AviationStack response:', cacheKey, 'TTL:', cacheTTL / (24 * 60 * 60 * 1000), 'days');
 
         return res.status(200).json(data);
@@ -81,6 +86,7 @@ export default async function handler(req, res) {
 async function fetchAirlineData(code, apiKey) {
     const url = `http://api.aviationstack.com/v1/airlines?access_key=${apiKey}&search=${code}`;
     
+    await recordRequest('/airlines', 'aviationstack');
     const response = await fetch(url);
     if (!response.ok) {
         throw new Error(`AviationStack API error: ${response.status}`);
@@ -112,6 +118,7 @@ async function fetchAirlineData(code, apiKey) {
 async function fetchAircraftData(code, apiKey) {
     const url = `http://api.aviationstack.com/v1/aircraft_types?access_key=${apiKey}&search=${code}`;
     
+    await recordRequest('/aircraft_types', 'aviationstack');
     const response = await fetch(url);
     if (!response.ok) {
         throw new Error(`AviationStack API error: ${response.status}`);
@@ -137,6 +144,7 @@ async function fetchAircraftDetails(code, apiKey) {
     const url = `http://api.aviationstack.com/v1/airplanes?access_key=${apiKey}&iata_type=${code}&limit=1`;
     
     try {
+        await recordRequest('/airplanes', 'aviationstack');
         const response = await fetch(url);
         if (!response.ok) return null;
         
@@ -158,39 +166,3 @@ async function fetchAircraftDetails(code, apiKey) {
     
     return null;
 }
-
-// Fetch historical flight data
-async function fetchHistoricalData(airport, date, apiKey) {
-    // Historical flights for the specified airport and date
-    const url = `http://api.aviationstack.com/v1/flights?access_key=${apiKey}&flight_date=${date}&dep_iata=${airport}&limit=100`;
-    
-    const response = await fetch(url);
-    if (!response.ok) {
-        throw new Error(`AviationStack API error: ${response.status}`);
-    }
-    
-    const json = await response.json();
-    
-    if (json.data) {
-        // Process and return historical data
-        const flights = json.data.map(flight => ({
-            flightNumber: flight.flight?.iata,
-            airline: flight.airline?.name,
-            departure: flight.departure?.airport,
-            arrival: flight.arrival?.airport,
-            scheduled: flight.departure?.scheduled,
-            actual: flight.departure?.actual,
-            status: flight.flight_status,
-            aircraft: flight.aircraft?.iata
-        }));
-        
-        return {
-            date,
-            airport,
-            totalFlights: flights.length,
-            flights: flights
-        };
-    }
-    
-    return { error: 'No historical data found' };
-}
@@ -0,0 +1,131 @@
+// Calendar endpoint: RFC 5545 .ics feeds
+// GET ?airport=LIS[&level=very-high]
+//     Subscribable feed of predicted Busy / Very Busy passport-control windows, today to 2 days ahead
+// GET ?airport=LIS&date=YYYY-MM-DD&flight=TP123 (or &time=HH:MM) [&bag=1] [&travel=45] [&schengen=1]
+//     A single "leave for the airport" event from the trip planner (same parameters as /api/plan)
+
+const { getAirport, listAirports } = require('../lib/airports');
+const { addDays, localDateString } = require('../lib/timezone');
+const { getDayAnalysis, withQueueForecast } = require('../lib/prediction');
+const { TripPlanError, tripFromQuery, planTrip } = require('../lib/tripPlanner');
+const { busyWindowEvents, tripEvent } = require('../lib/calendarEvents');
+const { buildCalendar } = require('../lib/icalendar');
+const { publicBaseUrl } = require('../lib/alerts');
+const { guardRequest } = require('../lib/apiAccess');
+const { BudgetExceededError } = require('../lib/budget');
+
+const FEED_DAYS = 3;
+const FEED_REFRESH_MINUTES = 60;
+const FEED_LEVELS = ['high', 'very-high'];
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!(await guardRequest(req, res, 'calendar'))) return;
+
+    const { airport, level = 'high' } = req.query;
+
+    const profile = getAirport(airport);
+    if (!profile) {
+        return res.status(400).json({
+            error: airport ? `Unknown airport: ${airport}` : 'Missing required parameter: airport',
+            details: `Supported airports: ${listAirports().map(a => a.iata).join(', ')}`
+        });
+    }
+
+    if (!FEED_LEVELS.includes(level)) {
+        return res.status(400).json({ error: `level must be one of: ${FEED_LEVELS.join(', ')}` });
+    }
+
+    const apiKey = process.env.FLIGHTAWARE_API_KEY;
+    if (!apiKey) {
+        return res.status(500).json({
+            error: 'FlightAware API key not configured'
+        });
+    }
+
+    const baseUrl = publicBaseUrl();
+
+    if (req.query.flight || req.query.time) {
+        return sendTripEvent(req, res, profile, apiKey, baseUrl);
+    }
+
+    // Days in the airport's calendar, starting today
+    const today = localDateString(new Date(), profile.timeZone);
+    const dates = Array.from({ length: FEED_DAYS }, (_, i) => addDays(today, i));
+
+    const failures = [];
+    const days = await Promise.all(dates.map(async date => {
+        try {
+            const { analysis } = await getDayAnalysis(profile, date, apiKey);
+            return busyWindowEvents(withQueueForecast(analysis, date, profile), date, { minLevel: level, baseUrl });
+        } catch (error) {
+            console.error(`Calendar: skipping ${profile.iata} ${date}:`, error.message);
+            failures.push(error);
+            return null;
+        }
+    }));
+
+    // Out of FlightAware calls and none of the days cached - a quota refusal, not an outage
+    if (days.every(events => events === null) && failures.every(error => error instanceof BudgetExceededError)) {
+        return res.status(failures[0].status).json({
+            error: 'FlightAware request budget exhausted',
+            details: `${failures[0].message}. None of these days is cached yet - try again later.`,
+            budgetExhausted: true
+        });
+    }
+
+    if (days.every(events => events === null)) {
+        return res.status(502).json({
+            error: 'Could not fetch flight data from FlightAware'
+        });
+    }
+
+    const events = days.filter(Boolean).flat();
+    console.log(`📅 Calendar feed ${profile.iata} (${level}+): ${events.length} busy windows`);
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${profile.iata.toLowerCase()}-busy-periods.ics"`);
+    res.setHeader('Cache-Control', 's-maxage=900, stale-while-revalidate=3600');
+    return res.status(200).send(buildCalendar({
+        name: `${profile.iata} passport control - busy periods`,
+        description: `Predicted ${level === 'very-high' ? 'very busy' : 'busy'} passport-control periods at ${profile.name} Airport, ${profile.city}`,
+        refreshMinutes: FEED_REFRESH_MINUTES,
+        events
+    }));
+}
+
+// One-off event for a planned trip, downloaded from the trip planner card
+async function sendTripEvent(req, res, profile, apiKey, baseUrl) {
+    try {
+        const trip = tripFromQuery(req.query, profile);
+        const { analysis } = await getDayAnalysis(profile, trip.date, apiKey);
+        const { queue } = withQueueForecast(analysis, trip.date, profile);
+        const plan = planTrip(analysis, queue, profile, trip);
+        const event = tripEvent(plan, profile, trip, { baseUrl });
+
+        console.log(`📅 Trip event ${profile.iata} ${trip.date} ${trip.flight || trip.time}: leave ${plan.leaveBy}`);
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="leave-for-${profile.iata.toLowerCase()}-${trip.date}.ics"`);
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).send(buildCalendar({ events: [event] }));
+    } catch (error) {
+        if (error instanceof TripPlanError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        console.error('Error building trip event:', error);
+        return res.status(error instanceof BudgetExceededError ? error.status : 502).json({
+            error: 'Could not plan the trip',
+            details: error.message
+        });
+    }
+}
@@ -0,0 +1,116 @@
+// All-airports comparison endpoint
+// Runs the /api/predict pipeline for every supported airport on one date and returns
+// a compact summary per airport (crowd level, peak, totals and hourly series for sparklines)
+
+const { listAirports } = require('../lib/airports');
+const { forecastRange, parseDate } = require('../lib/apiV1');
+const { getDayAnalysis, withQueueForecast } = require('../lib/prediction');
+const { guardRequest } = require('../lib/apiAccess');
+const { BudgetExceededError } = require('../lib/budget');
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!(await guardRequest(req, res, 'compare'))) return;
+
+    // Every airport is a FlightAware call, so the date must be in the forecast window at each of them
+    // (Ponta Delgada's day starts an hour after the mainland's) and out-of-range dates are refused
+    // before any call is made. Defaults to the first day that window covers everywhere.
+    const profiles = listAirports();
+    const date = req.query.date || profiles.map(profile => forecastRange(profile).first).sort().pop();
+    try {
+        profiles.forEach(profile => parseDate(date, profile));
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const apiKey = process.env.FLIGHTAWARE_API_KEY;
+    if (!apiKey) {
+        return res.status(500).json({
+            error: 'FlightAware API key not configured'
+        });
+    }
+
+    console.log('🗺️ Comparison request:', { date });
+
+    const failures = [];
+    const airports = await Promise.all(profiles.map(profile => getAirportSummary(profile, date, apiKey, failures)));
+
+    // Out of FlightAware calls and no airport cached for this date - a quota refusal, not an outage
+    if (airports.every(airport => airport.error) && failures.every(error => error instanceof BudgetExceededError)) {
+        return res.status(failures[0].status).json({
+            error: 'FlightAware request budget exhausted',
+            details: `${failures[0].message}. No airport is cached for ${date} yet - try again later.`,
+            budgetExhausted: true
+        });
+    }
+
+    if (airports.every(airport => airport.error)) {
+        return res.status(502).json({
+            error: 'Could not fetch flight data from FlightAware',
+            details: airports[0]?.error
+        });
+    }
+
+    return res.status(200).json({
+        date,
+        airports
+    });
+}
+
+// Summary for one airport, reusing the /api/predict cache entry when there is one (failures collects errors)
+async function getAirportSummary(profile, date, apiKey, failures) {
+    const base = {
+        iata: profile.iata,
+        name: profile.name,
+        city: profile.city,
+        timeZone: profile.timeZone
+    };
+
+    try {
+        const { analysis, cached, stale, dataAge } = await getDayAnalysis(profile, date, apiKey);
+        const { queue } = withQueueForecast(analysis, date, profile);
+
+        return {
+            ...base,
+            crowdLevel: queue.crowdLevel,
+            peakHour: analysis.peakHour,
+            peakWait: queue.peakWait,
+            peakTime: queue.peakTime,
+            totalFlights: analysis.totalFlights,
+            totalPassengers: analysis.totalPassengers,
+            ...hourlySeries(analysis, queue),
+            cached,
+            stale,
+            dataAge
+        };
+    } catch (error) {
+        console.error(`❌ Comparison fetch failed for ${profile.iata} ${date}:`, error.message);
+        failures.push(error);
+        return { ...base, error: error.message };
+    }
+}
+
+// Flights and worst expected wait per local hour (0-23)
+function hourlySeries(analysis, queue) {
+    const hourlyFlights = new Array(24).fill(0);
+    const hourlyWaits = new Array(24).fill(0);
+
+    Object.entries(analysis.flightsByHour || {}).forEach(([hour, flights]) => {
+        hourlyFlights[hour] = flights.length;
+    });
+
+    queue.slots.forEach(slot => {
+        const hour = parseInt(slot.time, 10);
+        hourlyWaits[hour] = Math.max(hourlyWaits[hour], slot.wait);
+    });
+
+    return { hourlyFlights, hourlyWaits };
+}
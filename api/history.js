@@ -0,0 +1,114 @@
+// Historical trend endpoint
+// Collects the last N days for an airport from AviationStack, runs them through the
+// same non-EU filter and hourly analysis as /api/predict, and builds a weekday × hour heatmap
+
+const apiCache = require('../lib/cache');
+const { getAirport, listAirports } = require('../lib/airports');
+const { localDateString } = require('../lib/timezone');
+const { fetchHistoricalDay } = require('../lib/aviationstack');
+const { filterNonEuFlights, analyzeFlights } = require('../lib/flightAnalysis');
+const { previousDates, summarizeDay, buildHeatmap } = require('../lib/history');
+const { guardRequest } = require('../lib/apiAccess');
+
+const DEFAULT_DAYS = 14;
+const MAX_DAYS = 28;
+// Days fetched at once on a cold cache; each day is 2 directions of up to 5 billed pages
+const DAY_CONCURRENCY = 3;
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!(await guardRequest(req, res, 'history'))) return;
+
+    const { airport } = req.query;
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || DEFAULT_DAYS, 1), MAX_DAYS);
+
+    const profile = getAirport(airport);
+    if (!profile) {
+        return res.status(400).json({
+            error: airport ? `Unknown airport: ${airport}` : 'Missing required parameter: airport',
+            details: `Supported airports: ${listAirports().map(a => a.iata).join(', ')}`
+        });
+    }
+
+    const apiKey = process.env.AVIATIONSTACK_API_KEY;
+    if (!apiKey) {
+        return res.status(500).json({
+            error: 'AviationStack API key not configured'
+        });
+    }
+
+    // Past days up to yesterday, in the airport's calendar
+    const today = localDateString(new Date(), profile.timeZone);
+    const dates = previousDates(today, days);
+
+    console.log('📈 History request:', { airport: profile.iata, days, from: dates[dates.length - 1], to: dates[0] });
+
+    const results = await mapWithConcurrency(dates, DAY_CONCURRENCY, date => getDaySummary(profile, date, apiKey));
+    const summaries = results.filter(result => !result.error);
+    const failures = results.filter(result => result.error);
+
+    if (summaries.length === 0) {
+        return res.status(502).json({
+            error: 'Could not fetch historical data from AviationStack',
+            details: failures[0]?.error
+        });
+    }
+
+    return res.status(200).json({
+        airport: profile.iata,
+        timeZone: profile.timeZone,
+        days: summaries,
+        heatmap: buildHeatmap(summaries),
+        missingDates: failures.map(failure => failure.date)
+    });
+}
+
+// Like Promise.all(items.map(task)), with at most `limit` tasks running at a time
+async function mapWithConcurrency(items, limit, task) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await task(items[index]);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Summary for one past day, cached for 30 days (historical data never changes)
+async function getDaySummary(profile, date, apiKey) {
+    // operatingOnly: summaries cached before codeshares were dropped counted them, so don't reuse those
+    const cacheKey = apiCache.generateKey('history', { airport: profile.iata, date, operatingOnly: true });
+    const cached = await apiCache.get(cacheKey);
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        const { arrivals, departures } = await fetchHistoricalDay(profile, date, apiKey);
+        const analysis = analyzeFlights(
+            filterNonEuFlights(arrivals, 'arrival'),
+            filterNonEuFlights(departures, 'departure'),
+            profile.timeZone
+        );
+
+        const summary = summarizeDay(date, analysis);
+        await apiCache.set(cacheKey, summary, 30 * 24 * 60 * 60 * 1000);
+        return summary;
+    } catch (error) {
+        console.error(`❌ History fetch failed for ${profile.iata} ${date}:`, error.message);
+        return { date, error: error.message };
+    }
+}
@@ -0,0 +1,107 @@
+// Multi-day outlook endpoint
+// Today plus the next two days (the window FlightAware schedules cover) for one airport,
+// summarised per day so the least busy day can be picked without a prediction per date
+
+const { getAirport, listAirports } = require('../lib/airports');
+const { addDays, localDateString } = require('../lib/timezone');
+const { weekdayOf, WEEKDAY_LABELS } = require('../lib/history');
+const { getDayAnalysis, withQueueForecast } = require('../lib/prediction');
+const { guardRequest } = require('../lib/apiAccess');
+const { BudgetExceededError } = require('../lib/budget');
+
+const OUTLOOK_DAYS = 3;
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!(await guardRequest(req, res, 'outlook'))) return;
+
+    const { airport } = req.query;
+
+    const profile = getAirport(airport);
+    if (!profile) {
+        return res.status(400).json({
+            error: airport ? `Unknown airport: ${airport}` : 'Missing required parameter: airport',
+            details: `Supported airports: ${listAirports().map(a => a.iata).join(', ')}`
+        });
+    }
+
+    const apiKey = process.env.FLIGHTAWARE_API_KEY;
+    if (!apiKey) {
+        return res.status(500).json({
+            error: 'FlightAware API key not configured'
+        });
+    }
+
+    // Days in the airport's calendar, starting today
+    const today = localDateString(new Date(), profile.timeZone);
+    const dates = Array.from({ length: OUTLOOK_DAYS }, (_, i) => addDays(today, i));
+
+    console.log('🗓️ Outlook request:', { airport: profile.iata, dates });
+
+    const failures = [];
+    const days = await Promise.all(dates.map(date => getDayOutlook(profile, date, apiKey, failures)));
+    const available = days.filter(day => !day.error);
+
+    // Out of FlightAware calls and none of the days cached - a quota refusal, not an outage
+    if (available.length === 0 && failures.every(error => error instanceof BudgetExceededError)) {
+        return res.status(failures[0].status).json({
+            error: 'FlightAware request budget exhausted',
+            details: `${failures[0].message}. None of these days is cached yet - try again later.`,
+            budgetExhausted: true
+        });
+    }
+
+    if (available.length === 0) {
+        return res.status(502).json({
+            error: 'Could not fetch flight data from FlightAware',
+            details: days[0]?.error
+        });
+    }
+
+    // Least busy day by expected peak wait, then by passengers
+    const bestDay = available.reduce((best, day) =>
+        day.peakWait < best.peakWait ||
+        (day.peakWait === best.peakWait && day.totalPassengers < best.totalPassengers) ? day : best
+    );
+
+    return res.status(200).json({
+        airport: profile.iata,
+        timeZone: profile.timeZone,
+        days,
+        bestDate: bestDay.date
+    });
+}
+
+// Summary for one day, reusing the /api/predict cache entry when there is one (failures collects errors)
+async function getDayOutlook(profile, date, apiKey, failures) {
+    try {
+        const { analysis, cached, stale, dataAge } = await getDayAnalysis(profile, date, apiKey);
+        const { queue } = withQueueForecast(analysis, date, profile);
+
+        return {
+            date,
+            weekday: WEEKDAY_LABELS[weekdayOf(date)],
+            crowdLevel: queue.crowdLevel,
+            peakHour: analysis.peakHour,
+            peakWait: queue.peakWait,
+            peakTime: queue.peakTime,
+            totalFlights: analysis.totalFlights,
+            totalPassengers: analysis.totalPassengers,
+            cached,
+            stale,
+            dataAge
+        };
+    } catch (error) {
+        console.error(`❌ Outlook fetch failed for ${profile.iata} ${date}:`, error.message);
+        failures.push(error);
+        return { date, error: error.message };
+    }
+}
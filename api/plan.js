@@ -0,0 +1,60 @@
+// Trip planner endpoint: when to leave for the airport
+// GET ?airport=LIS&date=YYYY-MM-DD&flight=TP123 (or &time=HH:MM local departure)
+//     [&bag=1] [&travel=45 minutes to the airport] [&schengen=1 when a time-only trip skips passport control]
+// Uses the same cached day analysis and queue forecast as /api/predict
+
+const { getAirport, listAirports } = require('../lib/airports');
+const { getDayAnalysis, withQueueForecast } = require('../lib/prediction');
+const { TripPlanError, tripFromQuery, planTrip } = require('../lib/tripPlanner');
+const { guardRequest } = require('../lib/apiAccess');
+const { BudgetExceededError } = require('../lib/budget');
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!(await guardRequest(req, res, 'plan'))) return;
+
+    const { airport } = req.query;
+
+    const profile = getAirport(airport);
+    if (!profile) {
+        return res.status(400).json({
+            error: airport ? `Unknown airport: ${airport}` : 'Missing required parameter: airport',
+            details: `Supported airports: ${listAirports().map(a => a.iata).join(', ')}`
+        });
+    }
+
+    const apiKey = process.env.FLIGHTAWARE_API_KEY;
+    if (!apiKey) {
+        return res.status(500).json({
+            error: 'FlightAware API key not configured'
+        });
+    }
+
+    try {
+        const trip = tripFromQuery(req.query, profile);
+        const { analysis, ...freshness } = await getDayAnalysis(profile, trip.date, apiKey);
+        const { queue } = withQueueForecast(analysis, trip.date, profile);
+        const plan = planTrip(analysis, queue, profile, trip);
+
+        console.log(`🧭 Trip plan ${profile.iata} ${trip.date} ${trip.flight || trip.time}: arrive ${plan.arriveBy} (${plan.minutesBeforeDeparture} min before)`);
+        return res.status(200).json({ airport: profile.iata, date: trip.date, ...plan, ...freshness });
+    } catch (error) {
+        if (error instanceof TripPlanError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        console.error('Error planning trip:', error);
+        return res.status(error instanceof BudgetExceededError ? error.status : 502).json({
+            error: 'Could not plan the trip',
+            details: error.message
+        });
+    }
+}
@@ -0,0 +1,67 @@
+// Browser push notifications ("watch this airport/date")
+// GET    - the VAPID public key the page subscribes with (503 when push isn't configured)
+// POST   - watch a day: { airport, date, level, subscription: PushSubscription JSON }
+// DELETE - stop watching: ?id=...&token=... (from the unsubscribe link returned on POST)
+// Watches are alert subscriptions (lib/alerts.js) that notify on every change of crowd level
+
+const { AlertValidationError, createSubscription, unsubscribe } = require('../lib/alerts');
+const { vapidConfig } = require('../lib/webPush');
+const { guardRequest } = require('../lib/apiAccess');
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!(await guardRequest(req, res, 'push'))) return;
+
+    const vapid = vapidConfig();
+    if (!vapid) {
+        return res.status(503).json({
+            error: 'Push notifications not configured',
+            details: 'Set VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT in your Vercel environment variables to enable them.'
+        });
+    }
+
+    try {
+        if (req.method === 'GET') {
+            res.setHeader('Cache-Control', 'public, max-age=3600');
+            return res.status(200).json({ publicKey: vapid.publicKey });
+        }
+
+        if (req.method === 'POST') {
+            const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+            const { subscription, unsubscribeUrl } = await createSubscription({
+                airport: body.airport,
+                date: body.date,
+                level: body.level,
+                notify: 'change',
+                channel: { type: 'push', subscription: body.subscription }
+            });
+
+            return res.status(201).json({ subscription, unsubscribeUrl });
+        }
+
+        if (req.method === 'DELETE') {
+            const removed = await unsubscribe(req.query.id, req.query.token);
+            return res.status(removed ? 200 : 404).json(removed ? { unsubscribed: true } : { error: 'Watch not found' });
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+        if (error instanceof AlertValidationError || error instanceof SyntaxError) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        console.error('Error managing push watch:', error);
+        return res.status(500).json({
+            error: 'Failed to update push watch',
+            details: error.message
+        });
+    }
+}
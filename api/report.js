@@ -0,0 +1,68 @@
+// Printable report endpoint
+// GET ?airport=LIS&date=YYYY-MM-DD[&print=1]
+// An HTML page with the day's crowd badge, hourly chart, busy periods, tips and timetable, laid out
+// for printing (or "Save as PDF"); print=1 opens the print dialog once it has loaded
+
+const { getAirport, listAirports } = require('../lib/airports');
+const { parseDate } = require('../lib/apiV1');
+const { getDayAnalysis, withQueueForecast } = require('../lib/prediction');
+const { renderReport } = require('../lib/report');
+const { guardRequest } = require('../lib/apiAccess');
+const { BudgetExceededError } = require('../lib/budget');
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!(await guardRequest(req, res, 'report'))) return;
+
+    const { airport, date } = req.query;
+
+    const profile = getAirport(airport);
+    if (!profile) {
+        return res.status(400).json({
+            error: airport ? `Unknown airport: ${airport}` : 'Missing required parameter: airport',
+            details: `Supported airports: ${listAirports().map(a => a.iata).join(', ')}`
+        });
+    }
+
+    // Same window as /api/predict: today to 2 days ahead at the airport
+    try {
+        parseDate(date, profile);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const apiKey = process.env.FLIGHTAWARE_API_KEY;
+    if (!apiKey) {
+        return res.status(500).json({
+            error: 'FlightAware API key not configured'
+        });
+    }
+
+    try {
+        const { analysis, stale, fetchedAt } = await getDayAnalysis(profile, date, apiKey);
+        const html = renderReport(withQueueForecast(analysis, date, profile), date, {
+            fetchedAt,
+            stale,
+            autoPrint: req.query.print === '1' || req.query.print === 'true'
+        });
+
+        console.log(`🖨️ Report ${profile.iata} ${date}`);
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).send(html);
+    } catch (error) {
+        console.error('Error building report:', error);
+        return res.status(error instanceof BudgetExceededError ? error.status : 502).json({
+            error: 'Could not fetch flight data from FlightAware',
+            details: error.message
+        });
+    }
+}
@@ -0,0 +1,21 @@
+// API v1: supported airports
+// GET /api/v1/airports
+
+const { sendError, prepareRequest, checkParams, toAirport } = require('../../lib/apiV1');
+const { guardRequest } = require('../../lib/apiAccess');
+const { listAirports } = require('../../lib/airports');
+
+export default async function handler(req, res) {
+    if (!prepareRequest(req, res)) return;
+    if (!(await guardRequest(req, res, 'v1/airports'))) return;
+
+    try {
+        checkParams(req.query, []);
+
+        // Profiles only change on deploy
+        res.setHeader('Cache-Control', 'public, max-age=3600, s-maxage=86400');
+        return res.status(200).json({ airports: listAirports().map(toAirport) });
+    } catch (error) {
+        return sendError(res, error);
+    }
+}
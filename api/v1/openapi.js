@@ -0,0 +1,21 @@
+// API v1: OpenAPI 3 description of the /api/v1 endpoints
+// GET /api/v1/openapi
+
+const { sendError, prepareRequest, checkParams } = require('../../lib/apiV1');
+const { guardRequest } = require('../../lib/apiAccess');
+const { openApiSpec } = require('../../lib/openapi');
+const { publicBaseUrl } = require('../../lib/alerts');
+
+export default async function handler(req, res) {
+    if (!prepareRequest(req, res)) return;
+    if (!(await guardRequest(req, res, 'v1/openapi'))) return;
+
+    try {
+        checkParams(req.query, []);
+
+        res.setHeader('Cache-Control', 'public, max-age=3600');
+        return res.status(200).json(openApiSpec(publicBaseUrl()));
+    } catch (error) {
+        return sendError(res, error);
+    }
+}
@@ -0,0 +1,63 @@
+// API v1: queue prediction for one airport and day
+// GET /api/v1/predict?airport=LIS&date=YYYY-MM-DD[&booths=10][&live=true]
+// Same pipeline and cache as /api/predict, in the documented v1 shape (lib/apiV1.js, lib/openapi.js)
+
+const { ApiError, sendError, prepareRequest, checkParams, parseAirport, parseDate, parseBoolean, parseBooths, toPrediction } = require('../../lib/apiV1');
+const { guardRequest } = require('../../lib/apiAccess');
+const { getCachedAnalysis, fetchDayAnalysis, isLiveRefreshDue, dataFreshness, getDayAnalysis, withQueueForecast } = require('../../lib/prediction');
+const { BudgetExceededError } = require('../../lib/budget');
+
+export default async function handler(req, res) {
+    if (!prepareRequest(req, res)) return;
+    if (!(await guardRequest(req, res, 'v1/predict'))) return;
+
+    try {
+        checkParams(req.query, ['airport', 'date', 'booths', 'live']);
+        const profile = parseAirport(req.query.airport);
+        const date = parseDate(req.query.date, profile);
+        const booths = parseBooths(req.query.booths);
+        const live = parseBoolean(req.query.live, 'live');
+
+        const apiKey = process.env.FLIGHTAWARE_API_KEY;
+        if (!apiKey) {
+            throw new ApiError(503, 'not_configured', 'Flight data is not configured on this server');
+        }
+
+        let result = null;
+
+        // Live: refresh today's snapshot once it's older than the live interval, else use the cache
+        if (live) {
+            const cached = await getCachedAnalysis(profile, date);
+            if (cached && await isLiveRefreshDue(cached, profile, date)) {
+                try {
+                    const analysis = await fetchDayAnalysis(profile, date, apiKey);
+                    result = { analysis, cached: false, ...dataFreshness({ fetchedAt: Date.now(), stale: false }, profile, date) };
+                } catch (refreshError) {
+                    console.error('❌ v1 live refresh failed, serving cached data:', refreshError.message);
+                }
+            }
+        }
+
+        if (!result) {
+            try {
+                result = await getDayAnalysis(profile, date, apiKey);
+            } catch (fetchError) {
+                if (fetchError instanceof BudgetExceededError) {
+                    throw new ApiError(503, 'budget_exhausted', 'The FlightAware request budget is used up and this day is not cached', {
+                        reason: fetchError.message
+                    });
+                }
+                throw new ApiError(502, 'upstream_unavailable', 'Flight data could not be fetched from FlightAware', {
+                    reason: fetchError.message
+                });
+            }
+        }
+
+        const { analysis, ...freshness } = result;
+        console.log(`🔌 v1 predict ${profile.iata} ${date}${freshness.cached ? ' (cached)' : ''}`);
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).json(toPrediction(withQueueForecast(analysis, date, profile, booths), freshness));
+    } catch (error) {
+        return sendError(res, error);
+    }
+}
@@ -0,0 +1,68 @@
+// Embeddable crowd widget endpoint
+// GET ?airport=LIS[&theme=light|dark|auto][&accent=0a4d68][&chart=0]
+// Today's crowd badge and mini hourly chart as a small HTML page for an <iframe> on partner sites
+// (widget.js builds the iframe from a script tag). Same pipeline and cache as /api/predict; the
+// response is cacheable at the CDN so busy partner pages don't reach the function on every view.
+
+const { getAirport, listAirports } = require('../lib/airports');
+const { localDateString } = require('../lib/timezone');
+const { getDayAnalysis, withQueueForecast } = require('../lib/prediction');
+const { widgetOptions, renderWidget, renderWidgetError } = require('../lib/widget');
+const { guardRequest } = require('../lib/apiAccess');
+
+// Seconds: browsers keep it briefly, the CDN a little longer, and may serve it stale while refreshing
+const BROWSER_MAX_AGE = 300;
+const CDN_MAX_AGE = 600;
+const STALE_WHILE_REVALIDATE = 1800;
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!(await guardRequest(req, res, 'widget'))) return;
+
+    const options = widgetOptions(req.query);
+    const { airport } = req.query;
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+
+    const profile = getAirport(airport);
+    if (!profile) {
+        // A broken embed code stays broken, so let the CDN answer it
+        res.setHeader('Cache-Control', `public, max-age=${BROWSER_MAX_AGE}, s-maxage=86400`);
+        return res.status(400).send(renderWidgetError(
+            `${airport ? `Unknown airport: ${airport}` : 'Missing airport'} - use one of ${listAirports().map(a => a.iata).join(', ')}`,
+            options
+        ));
+    }
+
+    const apiKey = process.env.FLIGHTAWARE_API_KEY;
+    if (!apiKey) {
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(500).send(renderWidgetError('Forecast unavailable', options));
+    }
+
+    const date = localDateString(new Date(), profile.timeZone);
+
+    try {
+        const { analysis, stale, fetchedAt } = await getDayAnalysis(profile, date, apiKey);
+        const html = renderWidget(withQueueForecast(analysis, date, profile), date, {
+            ...options,
+            fetchedAt,
+            stale
+        });
+
+        res.setHeader('Cache-Control', `public, max-age=${BROWSER_MAX_AGE}, s-maxage=${CDN_MAX_AGE}, stale-while-revalidate=${STALE_WHILE_REVALIDATE}`);
+        return res.status(200).send(html);
+    } catch (error) {
+        console.error('Error building widget:', error);
+        // Short cache so an outage doesn't send every page view to FlightAware
+        res.setHeader('Cache-Control', 'public, max-age=60, s-maxage=60');
+        return res.status(502).send(renderWidgetError('Forecast temporarily unavailable', options));
+    }
+}
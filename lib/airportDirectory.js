@@ -0,0 +1,113 @@
+// Airport directory
+// Looks up the airport at the other end of a flight in the bundled dataset (lib/data/airports.json,
+// ~5,000 medium and large airports from OurAirports): ISO country, city, coordinates and time zone
+
+const dataset = require('./data/airports.json');
+
+// Territories with their own border regime that the dataset files under the parent country
+const COUNTRY_OVERRIDES = {
+    ENSB: 'SJ' // Svalbard (outside Schengen, listed under Norway)
+};
+
+// ICAO prefixes resolve to a country when at least this share of their airports are in it
+const PREFIX_DOMINANCE = 0.9;
+
+// First letters ICAO assigns to a single country (K United States, C Canada, Y Australia)
+const SINGLE_COUNTRY_LETTERS = new Set(['K', 'C', 'Y']);
+
+let index = null;
+
+/**
+ * Build the lookup maps on first use (keeps cold starts of routes that never need them fast)
+ */
+function getIndex() {
+    if (index) return index;
+
+    const byIcao = new Map();
+    const byIata = new Map();
+    const prefixCounts = new Map();
+
+    dataset.airports.forEach(row => {
+        const airport = {};
+        dataset.fields.forEach((field, i) => {
+            airport[field] = row[i];
+        });
+        airport.country = COUNTRY_OVERRIDES[airport.icao] || airport.country;
+        airport.countryName = dataset.countries[airport.country] || airport.country;
+
+        byIcao.set(airport.icao, airport);
+        if (airport.iata && !byIata.has(airport.iata)) {
+            byIata.set(airport.iata, airport);
+        }
+
+        // Count countries per 2-letter ICAO prefix (and single-country letter) for the fallback
+        const prefixes = [airport.icao.substring(0, 2)];
+        if (SINGLE_COUNTRY_LETTERS.has(airport.icao[0])) prefixes.push(airport.icao[0]);
+        prefixes.forEach(prefix => {
+            if (!prefixCounts.has(prefix)) prefixCounts.set(prefix, new Map());
+            const counts = prefixCounts.get(prefix);
+            counts.set(airport.country, (counts.get(airport.country) || 0) + 1);
+        });
+    });
+
+    const prefixCountries = new Map();
+    prefixCounts.forEach((counts, prefix) => {
+        const total = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+        const [country, count] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0];
+        if (count / total >= PREFIX_DOMINANCE) {
+            prefixCountries.set(prefix, country);
+        }
+    });
+
+    index = { byIcao, byIata, prefixCountries };
+    return index;
+}
+
+/**
+ * Find an airport by ICAO (LPPT) or IATA (LIS) code
+ * @returns {{icao, iata, name, city, country, countryName, lat, lon, timeZone}|null}
+ */
+function findAirport(code) {
+    if (!code) return null;
+
+    const upper = String(code).toUpperCase();
+    const { byIcao, byIata } = getIndex();
+
+    return byIcao.get(upper) || (upper.length === 3 ? byIata.get(upper) : null) || null;
+}
+
+/**
+ * ISO country of an airport code, from the dataset or, for airports it doesn't list,
+ * from the ICAO prefix when that prefix belongs to a single country
+ * @returns {{code: string, name: string}} 'UN' / 'Unknown' when it can't be resolved
+ */
+function countryForAirport(code) {
+    const airport = findAirport(code);
+    if (airport) {
+        return { code: airport.country, name: airport.countryName };
+    }
+
+    const upper = String(code || '').toUpperCase();
+    if (/^[A-Z]{4}$/.test(upper) && upper !== 'ZZZZ') { // ZZZZ: no ICAO code
+        const { prefixCountries } = getIndex();
+        const country = prefixCountries.get(upper.substring(0, 2)) || prefixCountries.get(upper.substring(0, 1));
+        if (country) {
+            return { code: country, name: countryName(country) };
+        }
+    }
+
+    return { code: 'UN', name: 'Unknown' };
+}
+
+/**
+ * English country name for an ISO 3166-1 alpha-2 code
+ */
+function countryName(countryCode) {
+    return dataset.countries[countryCode] || countryCode;
+}
+
+module.exports = {
+    findAirport,
+    countryForAirport,
+    countryName
+};
@@ -0,0 +1,125 @@
+// Airport profile registry
+// Single source of truth for the supported airports, shared by every API route
+// and served to the frontend through /api/airports
+
+const AIRPORT_PROFILES = {
+    LIS: {
+        iata: 'LIS',
+        icao: 'LPPT',
+        name: 'Humberto Delgado',
+        city: 'Lisbon',
+        region: 'Lisbon',
+        label: 'Lisbon (LIS) - Humberto Delgado',
+        terminals: ['T1', 'T2'],
+        passportBooths: { arrival: 14, departure: 10 },
+        eGates: 12,
+        timeZone: 'Europe/Lisbon',
+        crowdThresholds: {
+            waitMinutes: [20, 40, 75],  // Quiet / Moderate / Busy upper bounds
+            flights: [20, 40, 70]       // Fallback when no queue forecast is available
+        }
+    },
+    OPO: {
+        iata: 'OPO',
+        icao: 'LPPR',
+        name: 'Francisco Sá Carneiro',
+        city: 'Porto',
+        region: 'Porto',
+        label: 'Porto (OPO) - Francisco Sá Carneiro',
+        terminals: ['Main'],
+        passportBooths: { arrival: 8, departure: 6 },
+        eGates: 8,
+        timeZone: 'Europe/Lisbon',
+        crowdThresholds: {
+            waitMinutes: [15, 30, 60],
+            flights: [10, 20, 35]
+        }
+    },
+    FAO: {
+        iata: 'FAO',
+        icao: 'LPFR',
+        name: 'Faro',
+        city: 'Faro',
+        region: 'Algarve',
+        label: 'Faro (FAO) - Algarve',
+        terminals: ['Main'],
+        passportBooths: { arrival: 8, departure: 6 },
+        eGates: 6,
+        timeZone: 'Europe/Lisbon',
+        crowdThresholds: {
+            waitMinutes: [15, 30, 60],
+            flights: [10, 20, 35]
+        }
+    },
+    FNC: {
+        iata: 'FNC',
+        icao: 'LPMA',
+        name: 'Cristiano Ronaldo',
+        city: 'Funchal',
+        region: 'Madeira',
+        label: 'Funchal (FNC) - Madeira',
+        terminals: ['Main'],
+        passportBooths: { arrival: 4, departure: 3 },
+        eGates: 2,
+        timeZone: 'Atlantic/Madeira',
+        crowdThresholds: {
+            waitMinutes: [10, 25, 45],
+            flights: [5, 10, 20]
+        }
+    },
+    PDL: {
+        iata: 'PDL',
+        icao: 'LPPD',
+        name: 'João Paulo II',
+        city: 'Ponta Delgada',
+        region: 'Azores',
+        label: 'Ponta Delgada (PDL) - Azores',
+        terminals: ['Main'],
+        passportBooths: { arrival: 3, departure: 2 },
+        eGates: 0,
+        timeZone: 'Atlantic/Azores', // UTC-1 (UTC+0 in summer)
+        crowdThresholds: {
+            waitMinutes: [10, 20, 40],
+            flights: [3, 6, 12]
+        }
+    }
+};
+
+/**
+ * Get an airport profile by IATA or ICAO code (case-insensitive)
+ */
+function getAirport(code) {
+    if (!code) return null;
+
+    const upper = String(code).toUpperCase();
+    if (AIRPORT_PROFILES[upper]) {
+        return AIRPORT_PROFILES[upper];
+    }
+
+    return Object.values(AIRPORT_PROFILES).find(profile => profile.icao === upper) || null;
+}
+
+/**
+ * List all airport profiles in display order
+ */
+function listAirports() {
+    return Object.values(AIRPORT_PROFILES);
+}
+
+/**
+ * Queue model options derived from an airport profile
+ */
+function queueOptionsFor(profile) {
+    return {
+        booths: { ...profile.passportBooths },
+        eGates: profile.eGates,
+        waitThresholds: profile.crowdThresholds.waitMinutes
+    };
+}
+
+module.exports = {
+    AIRPORT_PROFILES,
+    getAirport,
+    listAirports,
+    queueOptionsFor
+};
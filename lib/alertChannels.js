@@ -0,0 +1,197 @@
+// Delivery channels for crowd-level alerts (lib/alerts.js)
+//   webhook - POST the alert as JSON to an https URL
+//   email   - plain-text mail through the server at SMTP_URL, from ALERT_EMAIL_FROM
+//   push    - encrypted Web Push message to a browser's service worker (VAPID_* keys)
+//   console - log line, plus a JSON line appended to ALERT_LOG_FILE when set (for testing)
+
+const fs = require('fs').promises;
+const dns = require('dns');
+const net = require('net');
+const { SmtpClient } = require('./smtpClient');
+const { vapidConfig, sendNotification } = require('./webPush');
+
+const WEBHOOK_TIMEOUT = 10000;
+
+/**
+ * Thrown for a subscription the API should reject with 400
+ */
+class AlertValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AlertValidationError';
+    }
+}
+
+/**
+ * Check and normalise a subscription's channel
+ * @param {Object} channel - { type: 'webhook', url } | { type: 'email', to } |
+ *                           { type: 'push', subscription: PushSubscription JSON } | { type: 'console' }
+ */
+function validateChannel(channel, env = process.env) {
+    const type = channel && channel.type;
+
+    switch (type) {
+        case 'webhook': {
+            let url;
+            try {
+                url = new URL(channel.url);
+            } catch (error) {
+                throw new AlertValidationError('Invalid webhook URL');
+            }
+            if (url.protocol !== 'https:') {
+                throw new AlertValidationError('Webhook URL must use https');
+            }
+            if (isPrivateHost(url.hostname)) {
+                throw new AlertValidationError('Webhook URL must point to a public host');
+            }
+            return { type, url: url.toString() };
+        }
+
+        case 'email':
+            if (!env.SMTP_URL || !env.ALERT_EMAIL_FROM) {
+                throw new AlertValidationError('Email alerts are not configured on this server');
+            }
+            if (typeof channel.to !== 'string' || !/^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(channel.to)) {
+                throw new AlertValidationError('Invalid email address');
+            }
+            return { type, to: channel.to.trim() };
+
+        case 'push':
+            if (!vapidConfig(env)) {
+                throw new AlertValidationError('Push notifications are not configured on this server');
+            }
+            return { type, subscription: validatePushSubscription(channel.subscription) };
+
+        case 'console':
+            return { type };
+
+        default:
+            throw new AlertValidationError('Channel type must be webhook, email, push or console');
+    }
+}
+
+// Browser push subscription: an https push service endpoint and the browser's P-256 key and auth secret
+function validatePushSubscription(subscription) {
+    const { endpoint, keys } = subscription || {};
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch (error) {
+        throw new AlertValidationError('Invalid push subscription endpoint');
+    }
+    if (url.protocol !== 'https:' || isPrivateHost(url.hostname)) {
+        throw new AlertValidationError('Push subscription endpoint must be a public https URL');
+    }
+
+    const p256dh = Buffer.from(String((keys && keys.p256dh) || ''), 'base64url');
+    const auth = Buffer.from(String((keys && keys.auth) || ''), 'base64url');
+    if (p256dh.length !== 65 || p256dh[0] !== 4 || auth.length !== 16) {
+        throw new AlertValidationError('Invalid push subscription keys');
+    }
+
+    return { endpoint: url.toString(), keys: { p256dh: p256dh.toString('base64url'), auth: auth.toString('base64url') } };
+}
+
+// Loopback, private and link-local hosts a webhook may not target (server-side request forgery)
+// A literal check only - names are resolved again at delivery time (assertPublicHost)
+function isPrivateHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) {
+        return true;
+    }
+    if (net.isIPv4(host)) {
+        const [a, b] = host.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || a >= 224 || (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127) ||
+            (a === 198 && (b === 18 || b === 19));
+    }
+    if (net.isIPv6(host)) {
+        return host === '::1' || host === '::' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host) || host.startsWith('::ffff:');
+    }
+    return false;
+}
+
+/**
+ * Resolve a host name and refuse it if any of its addresses is private, so a public-looking
+ * name pointing at an internal address can't be used to reach the server's network
+ */
+async function assertPublicHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host)
+        ? [{ address: host }]
+        : await dns.promises.lookup(host, { all: true, verbatim: true });
+
+    const blocked = addresses.find(({ address }) => isPrivateHost(address));
+    if (blocked) {
+        throw new Error(`${hostname} resolves to a private address (${blocked.address})`);
+    }
+}
+
+/**
+ * Deliver an alert through a subscription's channel
+ * @param {Object} channel - Validated channel
+ * @param {Object} alert - { subject, text, payload, notification, unsubscribeUrl }
+ */
+async function deliver(channel, alert, env = process.env) {
+    switch (channel.type) {
+        case 'webhook':
+            return sendWebhook(channel.url, alert);
+        case 'email':
+            return sendEmail(channel.to, alert, env);
+        case 'push':
+            await assertPublicHost(new URL(channel.subscription.endpoint).hostname);
+            return sendNotification(channel.subscription, alert.notification, { env });
+        case 'console':
+            return writeConsole(alert, env);
+        default:
+            throw new Error(`Unknown alert channel: ${channel.type}`);
+    }
+}
+
+async function sendWebhook(url, alert) {
+    await assertPublicHost(new URL(url).hostname);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT);
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'User-Agent': 'pt-airport-queue-alerts' },
+            body: JSON.stringify({ ...alert.payload, text: alert.text, unsubscribeUrl: alert.unsubscribeUrl }),
+            redirect: 'error',
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`Webhook returned ${response.status}`);
+        }
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function sendEmail(to, alert, env) {
+    const client = new SmtpClient(env.SMTP_URL);
+    await client.send({
+        from: env.ALERT_EMAIL_FROM,
+        to,
+        subject: alert.subject,
+        text: `${alert.text}\n\nStop these alerts: ${alert.unsubscribeUrl}\n`,
+        headers: { 'List-Unsubscribe': `<${alert.unsubscribeUrl}>` }
+    });
+}
+
+async function writeConsole(alert, env) {
+    console.log(`🔔 ALERT: ${alert.subject}\n${alert.text}`);
+    if (env.ALERT_LOG_FILE) {
+        const line = JSON.stringify({ ...alert.payload, subject: alert.subject, sentAt: new Date().toISOString() });
+        await fs.appendFile(env.ALERT_LOG_FILE, `${line}\n`);
+    }
+}
+
+module.exports = {
+    AlertValidationError,
+    validateChannel,
+    deliver
+};
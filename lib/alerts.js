@@ -0,0 +1,396 @@
+// Crowd-level alert subscriptions
+// "Notify me if LIS departures between 16:00 and 19:00 tomorrow reach Busy or worse":
+// subscriptions live in the shared server cache until their day is over, and a scheduled run
+// (/api/alerts/run) checks each against the current prediction for its time window, delivering
+// through lib/alertChannels.js. An alert is only sent again when the level gets worse.
+// Watches (notify: 'change', used by the page's push notifications) instead report every change
+// of level, up or down.
+// Email subscriptions are double opt-in: nothing but one confirmation mail is sent to an address
+// until its owner follows the link in it (/api/alerts/confirm), so the form can't be used to
+// send mail to strangers.
+
+const crypto = require('crypto');
+const apiCache = require('./cache');
+const { getAirport } = require('./airports');
+const { parseDate } = require('./apiV1');
+const { localDayRange, zonedTimeToUtc } = require('./timezone');
+const { getDayAnalysis, withQueueForecast } = require('./prediction');
+const { CROWD_LEVELS, crowdLevelForWait } = require('./queueModel');
+const { AlertValidationError, validateChannel, deliver } = require('./alertChannels');
+const { PushSubscriptionGoneError } = require('./webPush');
+
+const LEVEL_LABELS = { 'low': 'Quiet', 'medium': 'Moderate', 'high': 'Busy', 'very-high': 'Very Busy' };
+const DIRECTIONS = ['arrival', 'departure', 'both'];
+const NOTIFY_MODES = ['worse', 'change'];
+const MAX_SUBSCRIPTIONS = parseInt(process.env.ALERT_MAX_SUBSCRIPTIONS, 10) || 500;
+const KEY_PREFIX = 'alert:';
+const LINKED_CHANNELS = ['email', 'webhook']; // Channels whose messages carry the unsubscribe link
+const CONFIRMATION_INTERVAL = 60 * 60 * 1000; // One confirmation mail per address per hour
+
+function subscriptionKey(id) {
+    return apiCache.generateKey('alert', { id });
+}
+
+// Keep a subscription until an hour after its local day ends
+function subscriptionTTL(subscription, profile) {
+    return localDayRange(subscription.date, profile.timeZone).end.getTime() + 60 * 60 * 1000 - Date.now();
+}
+
+/**
+ * Check a subscription request and return the subscription to store
+ * @param {Object} input - { airport, date, direction, from, to, notify, minLevel, level, channel }
+ *   notify 'worse' (default) alerts once the window reaches minLevel and again if it gets worse;
+ *   'change' reports every change from level, the one the subscriber is already looking at
+ */
+function validateSubscription(input = {}) {
+    const profile = getAirport(input.airport);
+    if (!profile) {
+        throw new AlertValidationError(`Unknown airport: ${input.airport}`);
+    }
+
+    // Same window as /api/predict: today to 2 days ahead at the airport
+    try {
+        parseDate(input.date, profile);
+    } catch (error) {
+        throw new AlertValidationError(error.message);
+    }
+
+    const direction = input.direction || 'both';
+    if (!DIRECTIONS.includes(direction)) {
+        throw new AlertValidationError('Direction must be arrival, departure or both');
+    }
+
+    const from = input.from || '00:00';
+    const to = input.to || '24:00';
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(from) || !/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/.test(to) || from >= to) {
+        throw new AlertValidationError('from and to must be HH:MM times with from before to');
+    }
+
+    const notify = input.notify || 'worse';
+    if (!NOTIFY_MODES.includes(notify)) {
+        throw new AlertValidationError('notify must be worse or change');
+    }
+
+    const minLevel = notify === 'worse' ? (input.minLevel || 'high') : null;
+    if (notify === 'worse' && (!CROWD_LEVELS.includes(minLevel) || minLevel === 'low')) {
+        throw new AlertValidationError('minLevel must be medium, high or very-high');
+    }
+
+    const level = notify === 'change' && input.level !== undefined ? input.level : null;
+    if (level !== null && !CROWD_LEVELS.includes(level)) {
+        throw new AlertValidationError('level must be low, medium, high or very-high');
+    }
+
+    return {
+        airport: profile.iata,
+        date: input.date,
+        direction,
+        from,
+        to,
+        notify,
+        minLevel,
+        channel: validateChannel(input.channel),
+        lastSentLevel: level
+    };
+}
+
+/**
+ * Store a new subscription; an email subscription stays unconfirmed until its confirmation link is followed
+ * Email and webhook alerts carry an absolute unsubscribe link, so they need PUBLIC_BASE_URL -
+ * a link built from the request's Host header could point anywhere
+ * @param {string|null} baseUrl - Public URL of the app, for the unsubscribe link
+ * @returns {Promise<{subscription: Object, unsubscribeUrl: string}>}
+ */
+async function createSubscription(input, baseUrl = publicBaseUrl()) {
+    const fields = validateSubscription(input);
+
+    if (!baseUrl && LINKED_CHANNELS.includes(fields.channel.type)) {
+        throw new AlertValidationError(`${fields.channel.type === 'email' ? 'Email' : 'Webhook'} alerts need PUBLIC_BASE_URL to be set on this server`);
+    }
+
+    if ((await listSubscriptionKeys()).length >= MAX_SUBSCRIPTIONS) {
+        throw new AlertValidationError('Too many alert subscriptions - try again later');
+    }
+
+    const subscription = {
+        id: crypto.randomBytes(8).toString('hex'),
+        token: crypto.randomBytes(16).toString('hex'),
+        ...fields,
+        baseUrl,
+        createdAt: new Date().toISOString(),
+        lastCheckedAt: null
+    };
+
+    const email = subscription.channel.type === 'email';
+    let slotKey = null;
+    if (email) {
+        // Separate from the unsubscribe token, which the API hands back to whoever subscribed
+        subscription.confirmToken = crypto.randomBytes(16).toString('hex');
+        subscription.confirmed = false;
+        slotKey = await claimConfirmationSlot(subscription.channel.to);
+    }
+
+    const key = subscriptionKey(subscription.id);
+    await apiCache.set(key, subscription, subscriptionTTL(subscription, getAirport(subscription.airport)));
+
+    if (email) {
+        try {
+            await deliver(subscription.channel, buildConfirmation(subscription));
+        } catch (error) {
+            await Promise.all([apiCache.clear(key), apiCache.clear(slotKey)]);
+            throw error;
+        }
+    }
+
+    const condition = subscription.notify === 'change' ? 'on change' : `>= ${subscription.minLevel}`;
+    console.log(`🔔 Alert subscription ${subscription.id}: ${subscription.airport} ${subscription.direction} ${subscription.date} ${subscription.from}-${subscription.to} ${condition} via ${subscription.channel.type}`);
+
+    return { subscription: publicView(subscription), unsubscribeUrl: unsubscribeUrl(subscription) };
+}
+
+// Refuse a second confirmation mail to the same address within CONFIRMATION_INTERVAL
+// @returns {Promise<string>} the cache key holding the claim
+async function claimConfirmationSlot(address) {
+    const hash = crypto.createHash('sha256').update(address.toLowerCase()).digest('hex');
+    const key = apiCache.generateKey('alert-confirmation', { address: hash });
+    if (await apiCache.has(key)) {
+        throw new AlertValidationError('A confirmation email was sent to this address recently - please check your inbox');
+    }
+    await apiCache.set(key, true, CONFIRMATION_INTERVAL);
+    return key;
+}
+
+/**
+ * Start sending an email subscription's alerts if the confirmation token matches
+ * @returns {Promise<boolean>} false when it doesn't exist or the token is wrong
+ */
+async function confirmSubscription(id, token) {
+    if (!/^[0-9a-f]{16}$/.test(id || '') || !token) return false;
+
+    const key = subscriptionKey(id);
+    const subscription = await apiCache.get(key);
+    if (!subscription || !subscription.confirmToken || !tokensMatch(token, subscription.confirmToken)) return false;
+
+    if (!subscription.confirmed) {
+        subscription.confirmed = true;
+        await apiCache.set(key, subscription, subscriptionTTL(subscription, getAirport(subscription.airport)));
+        console.log(`✅ Alert subscription ${id} confirmed`);
+    }
+    return true;
+}
+
+/**
+ * Delete a subscription if the token matches
+ * @returns {Promise<boolean>} false when it doesn't exist or the token is wrong
+ */
+async function unsubscribe(id, token) {
+    if (!/^[0-9a-f]{16}$/.test(id || '') || !token) return false;
+
+    const subscription = await apiCache.get(subscriptionKey(id));
+    if (!subscription || !tokensMatch(token, subscription.token)) return false;
+
+    await apiCache.clear(subscriptionKey(id));
+    console.log(`🔕 Alert subscription ${id} removed`);
+    return true;
+}
+
+// Constant-time token comparison
+function tokensMatch(given, expected) {
+    const a = crypto.createHash('sha256').update(String(given)).digest();
+    const b = crypto.createHash('sha256').update(String(expected)).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+// Public URL of the app for absolute links (PUBLIC_BASE_URL), or null when it isn't set
+// Never taken from the request's Host headers, which the client controls
+function publicBaseUrl() {
+    return process.env.PUBLIC_BASE_URL ? process.env.PUBLIC_BASE_URL.replace(/\/+$/, '') : null;
+}
+
+// Relative for push watches created without PUBLIC_BASE_URL - only the page that made them uses it
+function unsubscribeUrl(subscription) {
+    return `${subscription.baseUrl || ''}/api/alerts/unsubscribe?id=${subscription.id}&token=${subscription.token}`;
+}
+
+function confirmUrl(subscription) {
+    return `${subscription.baseUrl}/api/alerts/confirm?id=${subscription.id}&token=${subscription.confirmToken}`;
+}
+
+// Subscription fields safe to return to clients (no tokens)
+function publicView(subscription) {
+    const { token, confirmToken, baseUrl, channel, ...fields } = subscription;
+    return { ...fields, channel: { type: channel.type } };
+}
+
+async function listSubscriptionKeys() {
+    const { keys } = await apiCache.getStats();
+    return keys.filter(key => key.startsWith(KEY_PREFIX));
+}
+
+/**
+ * Worst expected wait in a subscription's window and direction, with its crowd level
+ * @returns {{wait: number, time: string, level: string}|null} null when no slot falls in the window
+ */
+function windowForecast(queue, subscription) {
+    let worst = null;
+
+    queue.slots
+        .filter(slot => slot.time >= subscription.from && slot.time < subscription.to)
+        .forEach(slot => {
+            const wait = subscription.direction === 'arrival' ? slot.arrivalWait
+                : subscription.direction === 'departure' ? slot.departureWait
+                : slot.wait;
+            if (!worst || wait > worst.wait) {
+                worst = { wait, time: slot.time };
+            }
+        });
+
+    return worst && { ...worst, level: crowdLevelForWait(worst.wait, queue.waitThresholds) };
+}
+
+/**
+ * Alert message for a subscription whose window reached its level (or, for a watch, changed level)
+ */
+function buildAlert(subscription, forecast, profile) {
+    const directionLabel = subscription.direction === 'both' ? 'passport control' : `${subscription.direction}s`;
+    const levelLabel = LEVEL_LABELS[forecast.level];
+    const previousLabel = LEVEL_LABELS[subscription.lastSentLevel];
+    const window = `${subscription.from}-${subscription.to}`;
+    const summary = `up to ≈ ${forecast.wait} min wait around ${forecast.time}`;
+
+    const closing = subscription.notify === 'change'
+        ? (previousLabel ? `That's a change from ${previousLabel}. ` : '') + 'You will hear again when the level changes.'
+        : `You asked to be told when it reaches ${LEVEL_LABELS[subscription.minLevel]} or worse. ` +
+            'Predictions change as schedules do; you will hear again only if it gets worse.';
+
+    return {
+        subject: `${subscription.airport} ${directionLabel} ${window} on ${subscription.date}: ${levelLabel}`,
+        text: `Passport control for ${subscription.airport} ${directionLabel} is expected to be ${levelLabel} ` +
+            `between ${subscription.from} and ${subscription.to} on ${subscription.date} (${profile.city} time): ` +
+            `${summary}.\n\n${closing}`,
+        payload: {
+            type: 'crowd-alert',
+            subscriptionId: subscription.id,
+            airport: subscription.airport,
+            date: subscription.date,
+            direction: subscription.direction,
+            from: subscription.from,
+            to: subscription.to,
+            timeZone: profile.timeZone,
+            notify: subscription.notify || 'worse',
+            minLevel: subscription.minLevel,
+            previousLevel: subscription.lastSentLevel,
+            level: forecast.level,
+            levelLabel,
+            peakWait: forecast.wait,
+            peakTime: forecast.time,
+            checkedAt: new Date().toISOString()
+        },
+        // Short form for a browser notification (lib/webPush.js, shown by sw.js)
+        notification: {
+            title: `${subscription.airport} ${subscription.date}: ${levelLabel}` + (previousLabel ? ` (was ${previousLabel})` : ''),
+            body: `${summary} (${window} ${profile.city} time)`,
+            tag: `crowd-${subscription.id}`,
+            url: `/?airport=${subscription.airport}&date=${subscription.date}`,
+            level: forecast.level
+        },
+        unsubscribeUrl: unsubscribeUrl(subscription)
+    };
+}
+
+/**
+ * The one mail an email subscription gets before it is confirmed
+ */
+function buildConfirmation(subscription) {
+    const directionLabel = subscription.direction === 'both' ? 'passport control' : `${subscription.direction}s`;
+    const condition = subscription.notify === 'change'
+        ? 'whenever the expected crowd level changes'
+        : `if it is expected to reach ${LEVEL_LABELS[subscription.minLevel]} or worse`;
+
+    return {
+        subject: `Confirm your ${subscription.airport} crowd alert for ${subscription.date}`,
+        text: `Someone (hopefully you) asked for an email about ${subscription.airport} ${directionLabel} ` +
+            `between ${subscription.from} and ${subscription.to} on ${subscription.date}, ${condition}.\n\n` +
+            `Confirm to start receiving it: ${confirmUrl(subscription)}\n\n` +
+            'If you did not ask for this, ignore this message - no alerts are sent without confirmation.',
+        unsubscribeUrl: unsubscribeUrl(subscription)
+    };
+}
+
+/**
+ * Check every subscription against the current prediction and send the alerts that are due
+ * Runs one subscription at a time; two overlapping runs on different instances could
+ * still send the same alert twice, so schedule runs well apart
+ * @returns {Promise<{checked: number, sent: number, expired: number, failed: number, unconfirmed: number}>}
+ */
+async function runAlerts(apiKey) {
+    const summary = { checked: 0, sent: 0, expired: 0, failed: 0, unconfirmed: 0 };
+    const keys = await listSubscriptionKeys();
+
+    for (const key of keys) {
+        const subscription = await apiCache.get(key);
+        if (!subscription) continue;
+
+        // Waiting for its owner to follow the confirmation link
+        if (subscription.confirmed === false) {
+            summary.unconfirmed++;
+            continue;
+        }
+
+        const profile = getAirport(subscription.airport);
+        const windowEnd = subscription.to === '24:00'
+            ? localDayRange(subscription.date, profile.timeZone).end
+            : zonedTimeToUtc(subscription.date, subscription.to, profile.timeZone);
+
+        // The window is over - nothing left to warn about
+        if (Date.now() > windowEnd.getTime()) {
+            await apiCache.clear(key);
+            summary.expired++;
+            continue;
+        }
+
+        try {
+            const { analysis } = await getDayAnalysis(profile, subscription.date, apiKey);
+            const { queue } = withQueueForecast(analysis, subscription.date, profile);
+            const forecast = windowForecast(queue, subscription);
+            summary.checked++;
+
+            const rank = level => CROWD_LEVELS.indexOf(level);
+            const due = forecast && (subscription.notify === 'change'
+                ? forecast.level !== subscription.lastSentLevel
+                : rank(forecast.level) >= rank(subscription.minLevel) &&
+                    rank(forecast.level) > rank(subscription.lastSentLevel));
+
+            if (due) {
+                await deliver(subscription.channel, buildAlert(subscription, forecast, profile));
+                subscription.lastSentLevel = forecast.level;
+                summary.sent++;
+                console.log(`🔔 Alert sent for ${subscription.id}: ${forecast.level} (${forecast.wait} min at ${forecast.time})`);
+            }
+
+            subscription.lastCheckedAt = new Date().toISOString();
+            await apiCache.set(key, subscription, subscriptionTTL(subscription, profile));
+        } catch (error) {
+            // The browser unsubscribed or the push subscription lapsed - nobody to tell any more
+            if (error instanceof PushSubscriptionGoneError) {
+                await apiCache.clear(key);
+                summary.expired++;
+                console.log(`🔕 Alert subscription ${subscription.id} removed: ${error.message}`);
+                continue;
+            }
+            summary.failed++;
+            console.error(`❌ Alert check failed for ${subscription.id}:`, error.message);
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    AlertValidationError,
+    createSubscription,
+    confirmSubscription,
+    unsubscribe,
+    runAlerts,
+    publicBaseUrl
+};
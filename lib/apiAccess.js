@@ -0,0 +1,274 @@
+// Client API keys, rate limiting and usage metering for our own endpoints
+// - Keys are optional: API_KEYS="name:key[:requestsPerMinute],..." Once any are set, routes outside
+//   API_PUBLIC_ROUTES need one, sent as "X-API-Key: <key>" or ?api_key=<key> (calendar apps can't send
+//   headers). The website's own routes (API_SITE_ROUTES) spend FlightAware/AviationStack quota, so they
+//   skip the key only for requests made by the site's pages (same origin, or PUBLIC_BASE_URL as Origin/Referer).
+//   That keeps other sites and casual scripts off the quota; a client that forges the headers still
+//   gets no more than the per-IP limit.
+// - Every request takes a token from a bucket: per key for keyed clients, per IP for everyone else.
+//   Buckets hold one minute's allowance and refill continuously; an empty bucket answers 429 with Retry-After
+// - Keyed requests are counted per client, route, UTC day and month (admin stats)
+// State lives in the shared server cache, so limits are per deployment with Redis and per instance otherwise.
+
+const crypto = require('crypto');
+const apiCache = require('./cache');
+
+// Open without a key: routes that spend no upstream quota, plus the ones third parties fetch
+// (calendar apps, widgets on partner pages) - those only ever need today or the forecast range,
+// one cached fetch per airport and day
+const DEFAULT_PUBLIC_ROUTES = [
+    'airports', 'alerts/confirm', 'alerts/unsubscribe', 'calendar', 'widget', 'v1/openapi'
+];
+
+// Open without a key only when the request comes from the website itself
+const DEFAULT_SITE_ROUTES = [
+    'predict', 'outlook', 'compare', 'history', 'aviationstack', 'plan', 'report', 'push', 'alerts'
+];
+
+const DEFAULT_LIMITS = {
+    keyPerMinute: 120,
+    ipPerMinute: 60
+};
+
+const DAY_COUNTER_TTL = 2 * 24 * 60 * 60 * 1000;
+const MONTH_COUNTER_TTL = 40 * 24 * 60 * 60 * 1000;
+
+// Bucket and counter updates are read-modify-write on the cache, so run them one at a time
+// in this instance (same approach as lib/budget.js)
+let pending = Promise.resolve();
+
+function serialized(task) {
+    const result = pending.then(task);
+    pending = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Access settings from the environment
+ */
+function getAccessConfig(env = process.env) {
+    const read = (name, fallback) => {
+        const value = parseInt(env[name], 10);
+        return Number.isNaN(value) || value < 0 ? fallback : value;
+    };
+    const keyPerMinute = read('API_RATE_LIMIT', DEFAULT_LIMITS.keyPerMinute);
+
+    const keys = (env.API_KEYS || '').split(',')
+        .map(entry => entry.split(':').map(part => part.trim()))
+        .filter(([name, key]) => name && key)
+        .map(([name, key, limit]) => {
+            const perMinute = parseInt(limit, 10);
+            return {
+                name,
+                hash: crypto.createHash('sha256').update(key).digest(),
+                perMinute: Number.isNaN(perMinute) || perMinute < 0 ? keyPerMinute : perMinute
+            };
+        });
+
+    const routes = (name, fallback) => (env[name] !== undefined
+        ? env[name].split(',').map(route => route.trim()).filter(Boolean)
+        : fallback);
+
+    let siteOrigin = null;
+    try {
+        siteOrigin = env.PUBLIC_BASE_URL ? new URL(env.PUBLIC_BASE_URL).origin : null;
+    } catch (error) {
+        // An unparsable PUBLIC_BASE_URL just leaves the same-origin check
+    }
+
+    return {
+        keys,
+        publicRoutes: routes('API_PUBLIC_ROUTES', DEFAULT_PUBLIC_ROUTES),
+        siteRoutes: routes('API_SITE_ROUTES', DEFAULT_SITE_ROUTES),
+        siteOrigin,
+        ipPerMinute: read('API_IP_RATE_LIMIT', DEFAULT_LIMITS.ipPerMinute)
+    };
+}
+
+/**
+ * Whether a request was made by the website's own pages: the browser says it's same-origin
+ * (Sec-Fetch-Site), or its Origin/Referer is PUBLIC_BASE_URL
+ */
+function fromSite(req, siteOrigin) {
+    if (req.headers['sec-fetch-site'] === 'same-origin') return true;
+    if (!siteOrigin) return false;
+
+    const source = req.headers.origin || req.headers.referer;
+    try {
+        return !!source && new URL(source).origin === siteOrigin;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * The client a key belongs to, compared in constant time
+ */
+function findClient(key, config) {
+    const given = crypto.createHash('sha256').update(key).digest();
+    return config.keys.find(client => crypto.timingSafeEqual(given, client.hash)) || null;
+}
+
+/**
+ * Caller's IP: first X-Forwarded-For hop (set by Vercel), else the socket address
+ */
+function clientIp(req) {
+    const forwarded = (req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    return forwarded || req.headers['x-real-ip'] || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * Take one token from a bucket holding perMinute tokens that refills at perMinute a minute
+ * @returns {Promise<{allowed: boolean, remaining: number, retryAfter: number, reset: number}>} seconds
+ */
+function takeToken(bucketId, perMinute, now = Date.now()) {
+    return serialized(async () => {
+        const key = apiCache.generateKey('ratelimit', { bucket: bucketId });
+        const refillPerMs = perMinute / 60000;
+        const bucket = (await apiCache.get(key)) || { tokens: perMinute, updatedAt: now };
+
+        const tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        const allowed = tokens >= 1;
+        const left = allowed ? tokens - 1 : tokens;
+
+        await apiCache.set(key, { tokens: left, updatedAt: now }, 2 * 60 * 1000);
+
+        return {
+            allowed,
+            remaining: Math.floor(left),
+            retryAfter: allowed ? 0 : Math.ceil((1 - left) / refillPerMs / 1000),
+            reset: Math.ceil((perMinute - left) / refillPerMs / 1000)
+        };
+    });
+}
+
+function usageKeys(client, now) {
+    const day = now.toISOString().split('T')[0];
+    return {
+        day,
+        month: day.substring(0, 7),
+        dayKey: apiCache.generateKey('usage', { client, period: 'day', date: day }),
+        monthKey: apiCache.generateKey('usage', { client, period: 'month', date: day.substring(0, 7) })
+    };
+}
+
+/**
+ * Count one request by a keyed client
+ */
+function recordUsage(client, route, limited, now = new Date()) {
+    return serialized(async () => {
+        const keys = usageKeys(client, now);
+        const [day, month] = await Promise.all([apiCache.get(keys.dayKey), apiCache.get(keys.monthKey)]);
+        const counters = [
+            day || { period: keys.day, total: 0, limited: 0, byRoute: {} },
+            month || { period: keys.month, total: 0, limited: 0, byRoute: {} }
+        ];
+
+        counters.forEach(counter => {
+            counter.total++;
+            if (limited) counter.limited++;
+            counter.byRoute[route] = (counter.byRoute[route] || 0) + 1;
+        });
+
+        await Promise.all([
+            apiCache.set(keys.dayKey, counters[0], DAY_COUNTER_TTL),
+            apiCache.set(keys.monthKey, counters[1], MONTH_COUNTER_TTL)
+        ]);
+    });
+}
+
+/**
+ * Usage this UTC day and month for every configured client, for the admin stats endpoint
+ */
+async function getUsageStats(now = new Date()) {
+    const config = getAccessConfig();
+    const clients = {};
+
+    await Promise.all(config.keys.map(async client => {
+        const keys = usageKeys(client.name, now);
+        const [day, month] = await Promise.all([apiCache.get(keys.dayKey), apiCache.get(keys.monthKey)]);
+        clients[client.name] = {
+            perMinute: client.perMinute,
+            day: day || { period: keys.day, total: 0, limited: 0, byRoute: {} },
+            month: month || { period: keys.month, total: 0, limited: 0, byRoute: {} }
+        };
+    }));
+
+    return {
+        keysRequired: config.keys.length > 0,
+        publicRoutes: config.publicRoutes,
+        siteRoutes: config.siteRoutes,
+        ipPerMinute: config.ipPerMinute,
+        clients
+    };
+}
+
+// Error bodies in the route's own style: v1's { error: { code, message } } or the older { error: message }
+function sendAccessError(res, route, status, code, message) {
+    if (route.startsWith('v1/')) {
+        return res.status(status).json({ error: { code, message } });
+    }
+    return res.status(status).json({ error: message });
+}
+
+/**
+ * Check a request's key and rate limit before the handler does any work
+ * Sends 401/429 itself and resolves false when the handler must stop
+ * @param {string} route - Route name as used in API_PUBLIC_ROUTES, e.g. 'predict' or 'v1/predict'
+ */
+async function guardRequest(req, res, route) {
+    const config = getAccessConfig();
+    const key = req.headers['x-api-key'] || req.query.api_key;
+
+    let client = null;
+    if (key) {
+        client = findClient(String(key), config);
+        if (!client) {
+            sendAccessError(res, route, 401, 'unauthorized', 'Invalid API key');
+            return false;
+        }
+    } else if (config.keys.length > 0 && !config.publicRoutes.includes(route)
+        && !(config.siteRoutes.includes(route) && fromSite(req, config.siteOrigin))) {
+        sendAccessError(res, route, 401, 'unauthorized', 'An API key is required - send it in the X-API-Key header');
+        return false;
+    }
+
+    const perMinute = client ? client.perMinute : config.ipPerMinute;
+    let bucket = null;
+
+    try {
+        if (perMinute > 0) {
+            bucket = await takeToken(client ? `key:${client.name}` : `ip:${clientIp(req)}`, perMinute);
+            res.setHeader('RateLimit-Limit', perMinute);
+            res.setHeader('RateLimit-Remaining', bucket.remaining);
+            res.setHeader('RateLimit-Reset', bucket.reset);
+        }
+        if (client) {
+            await recordUsage(client.name, route, !!bucket && !bucket.allowed);
+        }
+    } catch (error) {
+        // A cache outage shouldn't take the API down with it
+        console.error('⚠️ Rate limiter unavailable, letting the request through:', error.message);
+        return true;
+    }
+
+    if (bucket && !bucket.allowed) {
+        console.warn(`🚦 Rate limited ${client ? `client ${client.name}` : `IP ${clientIp(req)}`} on ${route}`);
+        res.setHeader('Retry-After', bucket.retryAfter);
+        sendAccessError(res, route, 429, 'rate_limited',
+            `Rate limit of ${perMinute} requests per minute exceeded - retry in ${bucket.retryAfter} s`);
+        return false;
+    }
+    return true;
+}
+
+module.exports = {
+    DEFAULT_PUBLIC_ROUTES,
+    DEFAULT_SITE_ROUTES,
+    DEFAULT_LIMITS,
+    getAccessConfig,
+    clientIp,
+    takeToken,
+    getUsageStats,
+    guardRequest
+};
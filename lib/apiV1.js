@@ -0,0 +1,284 @@
+// Public API v1 (/api/v1/*)
+// Strict request validation, one error shape ({ error: { code, message, details? } }) and
+// machine-friendly response bodies: ISO timestamps, numeric hours, arrays instead of string-keyed
+// maps, and the same fields on every response whether or not it came from the cache.
+// The contract is described by lib/openapi.js - change both together.
+
+const { AIRPORT_PROFILES, getAirport } = require('./airports');
+const { crowdLevelForWait } = require('./queueModel');
+const { bestFlightTime } = require('./flightAnalysis');
+const { addDays, localDateString } = require('./timezone');
+
+const API_VERSION = '1.0.0';
+const FORECAST_DAYS = 3;    // Today and the next 2 days at the airport (FlightAware's schedule window)
+const MAX_BOOTHS = 100;
+
+/**
+ * Thrown for a request v1 rejects; the handler answers with its status and error body
+ */
+class ApiError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Send an error in the v1 shape; anything that isn't an ApiError is a 500
+ */
+function sendError(res, error) {
+    const apiError = error instanceof ApiError
+        ? error
+        : new ApiError(500, 'internal_error', 'Unexpected server error');
+    if (!(error instanceof ApiError)) {
+        console.error('API v1 error:', error);
+    }
+
+    const body = { code: apiError.code, message: apiError.message };
+    if (apiError.details) body.details = apiError.details;
+    return res.status(apiError.status).json({ error: body });
+}
+
+/**
+ * CORS and method check shared by every v1 route
+ * @returns {boolean} true when the handler should go on
+ */
+function prepareRequest(req, res, methods = ['GET']) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+    res.setHeader('X-API-Version', API_VERSION);
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return false;
+    }
+    if (!methods.includes(req.method)) {
+        res.setHeader('Allow', methods.join(', '));
+        sendError(res, new ApiError(405, 'method_not_allowed', `${req.method} is not supported here`));
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Reject query parameters the endpoint doesn't know (typos would otherwise be silently ignored)
+ * api_key is accepted everywhere (lib/apiAccess.js)
+ */
+function checkParams(query, allowed) {
+    const unknown = Object.keys(query).filter(name => name !== 'api_key' && !allowed.includes(name));
+    if (unknown.length > 0) {
+        throw new ApiError(400, 'unknown_parameter', `Unknown query parameter: ${unknown.join(', ')}`, { allowed });
+    }
+    Object.entries(query).forEach(([name, value]) => {
+        if (Array.isArray(value)) {
+            throw new ApiError(400, 'invalid_parameter', `${name} must be given once`);
+        }
+    });
+}
+
+/**
+ * A supported airport by IATA code (exact, upper case)
+ */
+function parseAirport(value) {
+    if (value === undefined || value === '') {
+        throw new ApiError(400, 'missing_parameter', 'airport is required');
+    }
+    if (!/^[A-Z]{3}$/.test(value) || !AIRPORT_PROFILES[value]) {
+        throw new ApiError(400, 'invalid_parameter', `airport must be one of: ${Object.keys(AIRPORT_PROFILES).join(', ')}`, {
+            parameter: 'airport',
+            allowed: Object.keys(AIRPORT_PROFILES)
+        });
+    }
+    return getAirport(value);
+}
+
+/**
+ * First and last dates with a forecast, in the airport's calendar
+ */
+function forecastRange(profile, now = new Date()) {
+    const first = localDateString(now, profile.timeZone);
+    return { first, last: addDays(first, FORECAST_DAYS - 1) };
+}
+
+/**
+ * An ISO calendar date (YYYY-MM-DD) that exists and is within the forecast range
+ */
+function parseDate(value, profile) {
+    if (value === undefined || value === '') {
+        throw new ApiError(400, 'missing_parameter', 'date is required');
+    }
+
+    // Date.parse rolls 2025-02-30 over to March, so the round trip must give the same day back
+    const time = Date.parse(`${value}T00:00:00Z`);
+    const valid = /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(time) &&
+        new Date(time).toISOString().startsWith(value);
+    if (!valid) {
+        throw new ApiError(400, 'invalid_parameter', 'date must be an ISO calendar date (YYYY-MM-DD)', { parameter: 'date' });
+    }
+
+    const range = forecastRange(profile);
+    if (value < range.first || value > range.last) {
+        throw new ApiError(400, 'date_out_of_range', `date must be between ${range.first} and ${range.last} (${profile.timeZone})`, {
+            parameter: 'date',
+            ...range
+        });
+    }
+    return value;
+}
+
+function parseBoolean(value, name) {
+    if (value === undefined) return false;
+    if (['true', '1'].includes(value)) return true;
+    if (['false', '0'].includes(value)) return false;
+    throw new ApiError(400, 'invalid_parameter', `${name} must be true or false`, { parameter: name });
+}
+
+function parseBooths(value) {
+    if (value === undefined) return undefined;
+    const booths = Number(value);
+    if (!Number.isInteger(booths) || booths < 1 || booths > MAX_BOOTHS) {
+        throw new ApiError(400, 'invalid_parameter', `booths must be a whole number from 1 to ${MAX_BOOTHS}`, { parameter: 'booths' });
+    }
+    return booths;
+}
+
+const iso = value => (value ? new Date(value).toISOString() : null);
+
+/**
+ * Airport profile as served by v1
+ */
+function toAirport(profile) {
+    return {
+        iata: profile.iata,
+        icao: profile.icao,
+        name: profile.name,
+        city: profile.city,
+        region: profile.region,
+        timeZone: profile.timeZone,
+        terminals: [...profile.terminals],
+        passportBooths: { ...profile.passportBooths },
+        eGates: profile.eGates,
+        waitThresholds: [...profile.crowdThresholds.waitMinutes]
+    };
+}
+
+function toFlight(flight) {
+    return {
+        flightNumber: flight.flightNumber,
+        flightNumberIata: flight.flightNumberIata || null,
+        airline: flight.airline,
+        type: flight.type,
+        city: (flight.type === 'arrival' ? flight.origin : flight.destination) || null,
+        countryCode: flight.countryCode || null,
+        borderRegime: flight.borderRegime || null,
+        scheduledTime: iso(flight.scheduledTime),
+        estimatedTime: iso(flight.estimatedTime),
+        actualTime: iso(flight.actualTime),
+        bestTime: iso(bestFlightTime(flight)),
+        status: flight.status || null,
+        delayMinutes: typeof flight.delayMinutes === 'number' ? flight.delayMinutes : null,
+        cancelled: !!flight.cancelled,
+        diverted: !!flight.diverted,
+        aircraftType: flight.aircraftType || null,
+        aircraftRegistration: flight.aircraftRegistration || null,
+        estimatedPassengers: flight.estimatedPassengers || null,
+        seatCapacity: flight.seatCapacity || null,
+        loadFactor: typeof flight.loadFactor === 'number' ? flight.loadFactor : null,
+        passengerConfidence: flight.passengerConfidence || null
+    };
+}
+
+/**
+ * Prediction body for /api/v1/predict
+ * @param {Object} prediction - Day analysis with airport profile and queue (withQueueForecast)
+ * @param {Object} freshness - dataFreshness() fields plus cached
+ */
+function toPrediction(prediction, freshness) {
+    const { airport: profile, queue } = prediction;
+    const slotMs = queue.slotMinutes * 60000;
+
+    const hourly = Array.from({ length: 24 }, (_, hour) => {
+        const flights = (prediction.flightsByHour || {})[hour] || [];
+        return {
+            hour,
+            flights: flights.length,
+            arrivals: flights.filter(flight => flight.type === 'arrival').length,
+            departures: flights.filter(flight => flight.type === 'departure').length,
+            passengers: flights.reduce((sum, flight) => sum + (flight.estimatedPassengers || 0), 0),
+            peakWaitMinutes: 0
+        };
+    });
+    queue.slots.forEach(slot => {
+        const row = hourly[parseInt(slot.time.substring(0, 2), 10)];
+        row.peakWaitMinutes = Math.max(row.peakWaitMinutes, slot.wait);
+    });
+
+    const busiest = hourly.reduce((peak, row) => (row.flights > peak.flights ? row : peak), hourly[0]);
+    const flights = [...prediction.arrivals, ...prediction.departures, ...(prediction.cancelledFlights || [])]
+        .sort((a, b) => new Date(bestFlightTime(a) || 0) - new Date(bestFlightTime(b) || 0));
+
+    return {
+        apiVersion: API_VERSION,
+        airport: toAirport(profile),
+        date: prediction.date,
+        timeZone: profile.timeZone,
+        crowdLevel: queue.crowdLevel,
+        summary: {
+            totalFlights: prediction.totalFlights,
+            arrivals: prediction.arrivals.length,
+            departures: prediction.departures.length,
+            cancelled: (prediction.cancelledFlights || []).length,
+            totalPassengers: prediction.totalPassengers || 0,
+            passengerConfidence: prediction.passengerConfidence || { high: 0, medium: 0, low: 0 },
+            peakHour: busiest.flights > 0 ? busiest.hour : null,
+            peakHourFlights: busiest.flights
+        },
+        queue: {
+            slotMinutes: queue.slotMinutes,
+            booths: { ...queue.booths },
+            eGates: queue.eGates,
+            waitThresholds: [...queue.waitThresholds],
+            peakWaitMinutes: queue.peakWait,
+            peakStart: queue.peakStart,
+            slots: queue.slots.map(slot => ({
+                start: slot.start,
+                end: new Date(new Date(slot.start).getTime() + slotMs).toISOString(),
+                arrivalPassengers: slot.arrivalPassengers,
+                departurePassengers: slot.departurePassengers,
+                arrivalWaitMinutes: slot.arrivalWait,
+                departureWaitMinutes: slot.departureWait,
+                waitMinutes: slot.wait,
+                crowdLevel: crowdLevelForWait(slot.wait, queue.waitThresholds)
+            }))
+        },
+        hourly,
+        flights: flights.map(toFlight),
+        freshness: {
+            fetchedAt: freshness.fetchedAt || null,
+            ageSeconds: typeof freshness.dataAge === 'number' ? freshness.dataAge : null,
+            cached: !!freshness.cached,
+            stale: !!freshness.stale,
+            warning: freshness.warning || null
+        }
+    };
+}
+
+module.exports = {
+    API_VERSION,
+    FORECAST_DAYS,
+    ApiError,
+    sendError,
+    prepareRequest,
+    checkParams,
+    parseAirport,
+    forecastRange,
+    parseDate,
+    parseBoolean,
+    parseBooths,
+    toAirport,
+    toPrediction
+};
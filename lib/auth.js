@@ -0,0 +1,19 @@
+// Shared-secret checks for the protected endpoints (admin stats, scheduled alert runs)
+
+const crypto = require('crypto');
+
+/**
+ * Whether an Authorization header is "Bearer <secret>", compared in constant time
+ */
+function hasBearerToken(header, secret) {
+    const match = /^Bearer\s+(.+)$/i.exec(header || '');
+    if (!match || !secret) return false;
+
+    const given = crypto.createHash('sha256').update(match[1]).digest();
+    const expected = crypto.createHash('sha256').update(secret).digest();
+    return crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = {
+    hasBearerToken
+};
@@ -0,0 +1,149 @@
+// AviationStack API client for historical flights
+// Used by /api/aviationstack (raw historical type) and /api/history (trend analysis)
+// Every page is counted against the AviationStack request budget (lib/budget.js) before it is fetched
+
+const { zonedTimeToUtc } = require('./timezone');
+const { recordRequest } = require('./budget');
+
+const BASE_URL = 'http://api.aviationstack.com/v1';
+const PAGE_LIMIT = 100;
+const MAX_PAGES = 5; // Safety limit - each page is a billed request
+
+/**
+ * Fetch all historical flights departing from or arriving at an airport on a date
+ * AviationStack returns one record per marketing flight number; codeshare records (flight.codeshared
+ * set) are dropped so each physical flight counts once, as it does in FlightAware data
+ * @param {string} direction - 'departure' or 'arrival'
+ * @returns {Promise<Array>} Raw AviationStack flight records, operating flights only
+ */
+async function fetchHistoricalFlights(airport, date, direction, apiKey) {
+    const airportParam = direction === 'arrival' ? 'arr_iata' : 'dep_iata';
+    let flights = [];
+    let offset = 0;
+    let pageCount = 0;
+    let total = 0;
+    let budgetMode = 'normal';
+
+    do {
+        // Throws once the budget is exhausted, before anything is billed
+        budgetMode = await recordRequest('/flights', 'aviationstack');
+
+        const url = `${BASE_URL}/flights?access_key=${apiKey}&flight_date=${date}&${airportParam}=${airport}&limit=${PAGE_LIMIT}&offset=${offset}`;
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`AviationStack API error: ${response.status}`);
+        }
+
+        const json = await response.json();
+        if (json.error) {
+            throw new Error(`AviationStack API error: ${json.error.message || json.error.code}`);
+        }
+
+        const page = json.data || [];
+        flights = flights.concat(page);
+        total = json.pagination?.total || flights.length;
+        offset += page.length;
+        pageCount++;
+
+        if (page.length === 0) break;
+    } while (offset < total && pageCount < MAX_PAGES && budgetMode === 'normal');
+
+    return flights.filter(flight => !flight.flight?.codeshared);
+}
+
+/**
+ * Convert an AviationStack timestamp at the given airport to UTC ISO8601
+ * AviationStack labels local wall-clock times as "+00:00", so the offset is ignored
+ */
+function localTimestampToUtc(timestamp, timeZone) {
+    if (!timestamp) return null;
+    return zonedTimeToUtc(timestamp.substring(0, 10), timestamp.substring(11, 16), timeZone).toISOString();
+}
+
+/**
+ * Reshape an AviationStack record like a FlightAware flight so it can go through
+ * the same non-EU filter and analysis as /api/predict
+ * @param {string} type - 'arrival' or 'departure' (from the selected airport's point of view)
+ */
+function toFlightAwareShape(flight, type, timeZone) {
+    const own = type === 'arrival' ? flight.arrival : flight.departure;
+    const other = type === 'arrival' ? flight.departure : flight.arrival;
+    const location = other ? {
+        code: other.icao || other.iata,
+        code_icao: other.icao,
+        code_iata: other.iata,
+        name: other.airport,
+        city: other.airport
+    } : null;
+
+    const shaped = {
+        ident: flight.flight?.icao || flight.flight?.iata,
+        operator: flight.airline?.icao || flight.airline?.iata,
+        operator_iata: flight.airline?.iata,
+        aircraft_type: flight.aircraft?.icao || 'Unknown',
+        registration: flight.aircraft?.registration || null,
+        status: flight.flight_status
+    };
+
+    if (type === 'arrival') {
+        shaped.origin = location;
+        shaped.scheduled_in = localTimestampToUtc(own?.scheduled, timeZone);
+        shaped.estimated_in = localTimestampToUtc(own?.estimated, timeZone);
+        shaped.actual_in = localTimestampToUtc(own?.actual, timeZone);
+    } else {
+        shaped.destination = location;
+        shaped.scheduled_out = localTimestampToUtc(own?.scheduled, timeZone);
+        shaped.estimated_out = localTimestampToUtc(own?.estimated, timeZone);
+        shaped.actual_out = localTimestampToUtc(own?.actual, timeZone);
+    }
+
+    return shaped;
+}
+
+/**
+ * Fetch a past day's arrivals and departures for an airport profile,
+ * reshaped like FlightAware data
+ */
+async function fetchHistoricalDay(profile, date, apiKey) {
+    const [arrivals, departures] = await Promise.all([
+        fetchHistoricalFlights(profile.iata, date, 'arrival', apiKey),
+        fetchHistoricalFlights(profile.iata, date, 'departure', apiKey)
+    ]);
+
+    return {
+        arrivals: arrivals.map(flight => toFlightAwareShape(flight, 'arrival', profile.timeZone)),
+        departures: departures.map(flight => toFlightAwareShape(flight, 'departure', profile.timeZone))
+    };
+}
+
+/**
+ * Historical departures summary for the /api/aviationstack historical type
+ */
+async function fetchHistoricalData(airport, date, apiKey) {
+    const departures = await fetchHistoricalFlights(airport, date, 'departure', apiKey);
+
+    const flights = departures.map(flight => ({
+        flightNumber: flight.flight?.iata,
+        airline: flight.airline?.name,
+        departure: flight.departure?.airport,
+        arrival: flight.arrival?.airport,
+        scheduled: flight.departure?.scheduled,
+        actual: flight.departure?.actual,
+        status: flight.flight_status,
+        aircraft: flight.aircraft?.iata
+    }));
+
+    return {
+        date,
+        airport,
+        totalFlights: flights.length,
+        flights: flights
+    };
+}
+
+module.exports = {
+    fetchHistoricalFlights,
+    fetchHistoricalDay,
+    fetchHistoricalData
+};
@@ -0,0 +1,65 @@
+// Border regime classification
+// Decides which flights go through passport control at a Portuguese (Schengen) airport,
+// from the ISO 3166-1 country of the other end of the flight:
+//   schengen        - internal Schengen flight, no border check
+//   eu-non-schengen - EU territory outside the Schengen area (Ireland, Cyprus, French outermost
+//                     regions): border check, but EU citizens use the EU lanes and e-gates
+//   third-country   - everything else (UK, Turkey, Serbia, US, Brazil...): full border check
+
+const BORDER_REGIMES = {
+    SCHENGEN: 'schengen',
+    EU_NON_SCHENGEN: 'eu-non-schengen',
+    THIRD_COUNTRY: 'third-country',
+    UNKNOWN: 'unknown'
+};
+
+// Schengen members (Bulgaria and Romania fully since 2025), plus the microstates
+// with open borders to it (Monaco, San Marino, Vatican)
+const SCHENGEN_COUNTRIES = new Set([
+    'AT', 'BE', 'BG', 'HR', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE',
+    'GR', 'HU', 'IS', 'IT', 'LV', 'LI', 'LT', 'LU', 'MT', 'NL',
+    'NO', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE', 'CH',
+    'MC', 'SM', 'VA'
+]);
+
+const EU_COUNTRIES = new Set([
+    'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR',
+    'DE', 'GR', 'HU', 'IE', 'IT', 'LV', 'LT', 'LU', 'MT', 'NL',
+    'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'
+]);
+
+// EU outermost regions with their own ISO code that are outside the Schengen area
+// (Guadeloupe, Martinique, French Guiana, Réunion, Mayotte, Saint-Martin)
+const EU_OUTERMOST_REGIONS = new Set(['GP', 'MQ', 'GF', 'RE', 'YT', 'MF']);
+
+/**
+ * Border regime for an ISO 3166-1 alpha-2 country code
+ */
+function classifyCountry(countryCode) {
+    const code = (countryCode || '').toUpperCase();
+
+    if (!/^[A-Z]{2}$/.test(code) || code === 'UN') {
+        return BORDER_REGIMES.UNKNOWN;
+    }
+    if (SCHENGEN_COUNTRIES.has(code)) {
+        return BORDER_REGIMES.SCHENGEN;
+    }
+    if (EU_COUNTRIES.has(code) || EU_OUTERMOST_REGIONS.has(code)) {
+        return BORDER_REGIMES.EU_NON_SCHENGEN;
+    }
+    return BORDER_REGIMES.THIRD_COUNTRY;
+}
+
+/**
+ * Whether passengers of a flight with this regime queue at passport control
+ * Unknown countries are counted, so a gap in the country data never hides a busy flight
+ */
+function requiresPassportControl(regime) {
+    return regime !== BORDER_REGIMES.SCHENGEN;
+}
+
+module.exports = {
+    BORDER_REGIMES,
+    classifyCountry,
+    requiresPassportControl
+};
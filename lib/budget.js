@@ -0,0 +1,193 @@
+// Upstream request budgets (FlightAware, AviationStack)
+// Both APIs bill every query, so each upstream call is counted by provider, endpoint, UTC day and
+// UTC month in the shared server cache, and soft/hard limits decide how much may still be fetched:
+//   normal     - below the soft limits
+//   reduced    - a soft limit is reached: one page per direction, no further pagination
+//   cache-only - a hard limit is reached: no calls to that provider, answers come from cache
+
+const apiCache = require('./cache');
+
+// Limits are read from <envPrefix>_DAILY_SOFT_LIMIT etc.
+const PROVIDERS = {
+    flightaware: {
+        label: 'FlightAware',
+        envPrefix: 'FLIGHTAWARE',
+        limits: { dailySoft: 200, dailyHard: 300, monthlySoft: 4000, monthlyHard: 5000 }
+    },
+    aviationstack: {
+        label: 'AviationStack',
+        envPrefix: 'AVIATIONSTACK',
+        limits: { dailySoft: 100, dailyHard: 150, monthlySoft: 800, monthlyHard: 1000 }
+    }
+};
+
+const DEFAULT_LIMITS = PROVIDERS.flightaware.limits;
+
+const DAY_COUNTER_TTL = 2 * 24 * 60 * 60 * 1000;
+const MONTH_COUNTER_TTL = 40 * 24 * 60 * 60 * 1000;
+
+/**
+ * Thrown instead of calling the provider once a hard limit is reached - the API answers 503
+ * @param {string} message
+ * @param {Object} usage - { limits, usage } at the time of the refused call
+ */
+class BudgetExceededError extends Error {
+    constructor(message, usage) {
+        super(message);
+        this.name = 'BudgetExceededError';
+        this.status = 503;
+        this.usage = usage;
+    }
+}
+
+// Counter updates are read-modify-write on the cache, so run them one at a time in this
+// instance (arrivals and departures are fetched in parallel). Separate serverless instances
+// can still race and undercount slightly - the limits are a guard, not an invoice.
+let pending = Promise.resolve();
+
+/**
+ * A provider's limits from the environment (FLIGHTAWARE_DAILY_SOFT_LIMIT etc.), 0 disables a limit
+ */
+function getLimits(provider = 'flightaware', env = process.env) {
+    const { envPrefix, limits } = PROVIDERS[provider];
+    const read = (name, fallback) => {
+        const value = parseInt(env[`${envPrefix}_${name}`], 10);
+        return Number.isNaN(value) || value < 0 ? fallback : value;
+    };
+
+    return {
+        dailySoft: read('DAILY_SOFT_LIMIT', limits.dailySoft),
+        dailyHard: read('DAILY_HARD_LIMIT', limits.dailyHard),
+        monthlySoft: read('MONTHLY_SOFT_LIMIT', limits.monthlySoft),
+        monthlyHard: read('MONTHLY_HARD_LIMIT', limits.monthlyHard)
+    };
+}
+
+/**
+ * Cache keys of a provider's counters for the UTC day and month of an instant
+ * (FlightAware keeps the keys it had before AviationStack was budgeted)
+ */
+function counterKeys(provider, now = new Date()) {
+    const day = now.toISOString().split('T')[0];
+    const scope = provider === 'flightaware' ? {} : { provider };
+    return {
+        day,
+        month: day.substring(0, 7),
+        dayKey: apiCache.generateKey('budget', { ...scope, period: 'day', date: day }),
+        monthKey: apiCache.generateKey('budget', { ...scope, period: 'month', date: day.substring(0, 7) })
+    };
+}
+
+/**
+ * A provider's upstream calls so far this UTC day and month
+ */
+async function getUsage(provider, now = new Date()) {
+    const keys = counterKeys(provider, now);
+    const [day, month] = await Promise.all([apiCache.get(keys.dayKey), apiCache.get(keys.monthKey)]);
+
+    return {
+        day: day || { period: keys.day, total: 0, byEndpoint: {} },
+        month: month || { period: keys.month, total: 0, byEndpoint: {} }
+    };
+}
+
+/**
+ * Budget mode for the given usage: 'normal', 'reduced' or 'cache-only'
+ */
+function budgetMode(usage, limits) {
+    const reached = (count, limit) => limit > 0 && count >= limit;
+
+    if (reached(usage.day.total, limits.dailyHard) || reached(usage.month.total, limits.monthlyHard)) {
+        return 'cache-only';
+    }
+    if (reached(usage.day.total, limits.dailySoft) || reached(usage.month.total, limits.monthlySoft)) {
+        return 'reduced';
+    }
+    return 'normal';
+}
+
+/**
+ * A provider's current budget mode: 'normal', 'reduced' or 'cache-only'
+ */
+async function getBudgetMode(provider = 'flightaware') {
+    return budgetMode(await getUsage(provider), getLimits(provider));
+}
+
+/**
+ * A provider's current usage, limits and mode, for the admin stats endpoint
+ */
+async function getBudgetStatus(provider = 'flightaware') {
+    const limits = getLimits(provider);
+    const usage = await getUsage(provider);
+    const remaining = (count, limit) => limit > 0 ? Math.max(0, limit - count) : null;
+
+    return {
+        mode: budgetMode(usage, limits),
+        limits,
+        day: {
+            ...usage.day,
+            remaining: remaining(usage.day.total, limits.dailyHard)
+        },
+        month: {
+            ...usage.month,
+            remaining: remaining(usage.month.total, limits.monthlyHard)
+        }
+    };
+}
+
+/**
+ * Count one upstream call before it is made
+ * Throws BudgetExceededError in cache-only mode, otherwise resolves with the mode
+ * the call was made in (so the caller can stop paginating when 'reduced')
+ * @param {string} endpoint - Upstream endpoint, e.g. '/airports/{id}/flights/arrivals'
+ * @param {string} provider - Key of PROVIDERS
+ */
+function recordRequest(endpoint, provider = 'flightaware') {
+    const result = pending.then(async () => {
+        const { label } = PROVIDERS[provider];
+        const limits = getLimits(provider);
+        const usage = await getUsage(provider);
+        const mode = budgetMode(usage, limits);
+
+        if (mode === 'cache-only') {
+            const daily = limits.dailyHard > 0 && usage.day.total >= limits.dailyHard;
+            throw new BudgetExceededError(
+                daily
+                    ? `${label} request budget exhausted (daily limit of ${limits.dailyHard} reached) - serving cached data only`
+                    : `${label} request budget exhausted (monthly limit of ${limits.monthlyHard} reached) - serving cached data only`,
+                { limits, usage }
+            );
+        }
+
+        const { dayKey, monthKey } = counterKeys(provider);
+        [usage.day, usage.month].forEach(counter => {
+            counter.total++;
+            counter.byEndpoint[endpoint] = (counter.byEndpoint[endpoint] || 0) + 1;
+        });
+
+        await Promise.all([
+            apiCache.set(dayKey, usage.day, DAY_COUNTER_TTL),
+            apiCache.set(monthKey, usage.month, MONTH_COUNTER_TTL)
+        ]);
+
+        if (mode === 'reduced') {
+            console.warn(`⚠️ ${label} soft budget limit reached:`, { day: usage.day.total, month: usage.month.total, limits });
+        }
+
+        return mode;
+    });
+
+    // Keep the queue going whatever this call's outcome
+    pending = result.catch(() => {});
+    return result;
+}
+
+module.exports = {
+    PROVIDERS,
+    DEFAULT_LIMITS,
+    BudgetExceededError,
+    getLimits,
+    getBudgetMode,
+    getBudgetStatus,
+    recordRequest
+};
@@ -1,10 +1,17 @@
 // Server-side cache implementation for API responses
-// Uses in-memory cache with TTL (Time To Live)
+// Entries have a TTL (Time To Live) and live in a pluggable store chosen by CACHE_STORE
+// (see lib/cacheStores.js) - memory by default, file, SQLite or Redis to survive cold starts
+// An entry can also be kept as a stale fallback for a while after it expires (getEntry)
+
+const { createStore } = require('./cacheStores');
+
+const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
 
 class ApiCache {
-    constructor() {
-        this.cache = new Map();
+    constructor(store = createStore()) {
+        this.store = store;
         this.defaultTTL = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+        this.lastCleanup = Date.now();
     }
 
     /**
@@ -21,69 +28,120 @@ class ApiCache {
     /**
      * Get item from cache
      */
-    get(key) {
-        const item = this.cache.get(key);
-        
+    async get(key) {
+        const entry = await this.getEntry(key);
+        return entry && !entry.stale ? entry.data : null;
+    }
+
+    /**
+     * Get item with its metadata, including an expired entry still in its stale window
+     * A store failure is logged and treated as a miss, so requests still go through
+     * @returns {Promise<{data, storedAt: number, expiry: number, stale: boolean}|null>}
+     */
+    async getEntry(key) {
+        let item;
+        try {
+            item = await this.store.get(key);
+        } catch (error) {
+            console.error(`⚠️ Cache read failed (${this.store.name}):`, error.message);
+            return null;
+        }
+
         if (!item) {
             return null;
         }
 
-        // Check if expired
-        if (Date.now() > item.expiry) {
-            this.cache.delete(key);
+        // Check if expired, and past its stale window
+        const now = Date.now();
+        if (now > Math.max(item.expiry, item.staleUntil || 0)) {
+            await this.clear(key);
             return null;
         }
 
-        return item.data;
+        return {
+            data: item.data,
+            storedAt: item.storedAt,
+            expiry: item.expiry,
+            stale: now > item.expiry
+        };
     }
 
     /**
      * Set item in cache with TTL
+     * @param {number} staleTTL - How long to keep the entry as a stale fallback after it expires
      */
-    set(key, data, ttl = this.defaultTTL) {
-        this.cache.set(key, {
-            data,
-            expiry: Date.now() + ttl
-        });
+    async set(key, data, ttl = this.defaultTTL, staleTTL = 0) {
+        const now = Date.now();
+        try {
+            await this.store.set(key, {
+                data,
+                storedAt: now,
+                expiry: now + ttl,
+                staleUntil: now + ttl + staleTTL
+            });
+        } catch (error) {
+            console.error(`⚠️ Cache write failed (${this.store.name}):`, error.message);
+        }
+
+        // Timers rarely fire in serverless functions, so clean up as entries are written
+        if (Date.now() - this.lastCleanup > CLEANUP_INTERVAL) {
+            this.cleanup();
+        }
     }
 
     /**
      * Check if key exists and is not expired
      */
-    has(key) {
-        return this.get(key) !== null;
+    async has(key) {
+        return (await this.get(key)) !== null;
     }
 
     /**
      * Clear specific key or all cache
      */
-    clear(key = null) {
-        if (key) {
-            this.cache.delete(key);
-        } else {
-            this.cache.clear();
+    async clear(key = null) {
+        try {
+            if (key) {
+                await this.store.delete(key);
+            } else {
+                await this.store.clear();
+            }
+        } catch (error) {
+            console.error(`⚠️ Cache clear failed (${this.store.name}):`, error.message);
         }
     }
 
     /**
      * Get cache statistics
+     * A store failure is logged and reported as an empty cache, like a failed read
      */
-    getStats() {
+    async getStats() {
+        let keys;
+        try {
+            keys = await this.store.keys();
+        } catch (error) {
+            console.error(`⚠️ Cache stats failed (${this.store.name}):`, error.message);
+            return { store: this.store.name, size: 0, keys: [], error: error.message };
+        }
+
         return {
-            size: this.cache.size,
-            keys: Array.from(this.cache.keys())
+            store: this.store.name,
+            size: keys.length,
+            keys,
+            ...(this.store.degraded && { degraded: true })
         };
     }
 
     /**
      * Clean expired entries
      */
-    cleanup() {
-        const now = Date.now();
-        for (const [key, value] of this.cache.entries()) {
-            if (now > value.expiry) {
-                this.cache.delete(key);
-            }
+    async cleanup() {
+        this.lastCleanup = Date.now();
+        try {
+            await this.store.cleanup();
+            console.log('Cache cleanup completed. Current size:', (await this.getStats()).size);
+        } catch (error) {
+            console.error(`⚠️ Cache cleanup failed (${this.store.name}):`, error.message);
         }
     }
 }
@@ -91,10 +149,4 @@ class ApiCache {
 // Create singleton instance
 const apiCache = new ApiCache();
 
-// Cleanup expired entries every hour
-setInterval(() => {
-    apiCache.cleanup();
-    console.log('Cache cleanup completed. Current size:', apiCache.getStats().size);
-}, 60 * 60 * 1000);
-
 module.exports = apiCache;
@@ -0,0 +1,362 @@
+// Storage backends for the server-side cache (lib/cache.js)
+// Every store is async and stores entries as { data, expiry, storedAt, staleUntil }, so ApiCache
+// behaves the same whichever backend CACHE_STORE selects:
+//   memory - process-local Map (default, empty on every cold start)
+//   file   - JSON files in CACHE_DIR, shared by everything on the same disk
+//   sqlite - one SQLite database file at CACHE_SQLITE_PATH, shared by everything on the same disk
+//   redis  - any Redis-protocol server at REDIS_URL, shared by every instance (ioredis)
+// The persistent stores sit behind a circuit breaker: after a failure, the cache runs from memory
+// for a while instead of waiting on a dead server for every read and write.
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const Redis = require('ioredis');
+
+const BREAKER_RETRY_MS = 30 * 1000;
+
+/**
+ * When a store may drop an entry: after its stale window, or at expiry if it has none
+ */
+function retainUntil(entry) {
+    return Math.max(entry.expiry, entry.staleUntil || 0);
+}
+
+class MemoryStore {
+    constructor() {
+        this.name = 'memory';
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    async set(key, entry) {
+        this.entries.set(key, entry);
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+
+    async keys() {
+        return Array.from(this.entries.keys());
+    }
+
+    async cleanup() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries.entries()) {
+            if (now > retainUntil(entry)) {
+                this.entries.delete(key);
+            }
+        }
+    }
+}
+
+class FileStore {
+    constructor(dir = path.join(os.tmpdir(), 'airport-queue-cache')) {
+        this.name = 'file';
+        this.dir = dir;
+        this.ready = null;
+    }
+
+    // One file per key, named by hash so any key is a safe file name
+    fileFor(key) {
+        return path.join(this.dir, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+    }
+
+    async ensureDir() {
+        if (!this.ready) {
+            this.ready = fs.mkdir(this.dir, { recursive: true });
+        }
+        return this.ready;
+    }
+
+    async readFile(file) {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            if (error instanceof SyntaxError) return null; // Partially written or corrupt - treat as a miss
+            throw error;
+        }
+    }
+
+    async listFiles() {
+        try {
+            return (await fs.readdir(this.dir))
+                .filter(name => name.endsWith('.json'))
+                .map(name => path.join(this.dir, name));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async get(key) {
+        const stored = await this.readFile(this.fileFor(key));
+        if (!stored || stored.key !== key) return null;
+
+        const { key: _key, ...entry } = stored;
+        return entry;
+    }
+
+    async set(key, entry) {
+        await this.ensureDir();
+
+        // Write then rename so concurrent readers never see half a file
+        const file = this.fileFor(key);
+        const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+        await fs.writeFile(temp, JSON.stringify({ key, ...entry }));
+        await fs.rename(temp, file);
+    }
+
+    async delete(key) {
+        await fs.unlink(this.fileFor(key)).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+    }
+
+    async clear() {
+        const files = await this.listFiles();
+        await Promise.all(files.map(file => fs.unlink(file).catch(() => {})));
+    }
+
+    async keys() {
+        const files = await this.listFiles();
+        const stored = await Promise.all(files.map(file => this.readFile(file)));
+        return stored.filter(Boolean).map(item => item.key);
+    }
+
+    async cleanup() {
+        const now = Date.now();
+        const files = await this.listFiles();
+
+        await Promise.all(files.map(async file => {
+            const stored = await this.readFile(file);
+            if (!stored || now > retainUntil(stored)) {
+                await fs.unlink(file).catch(() => {});
+            }
+        }));
+    }
+}
+
+class SqliteStore {
+    /**
+     * @param {string} file - Database file, created if missing
+     * @param {Function} Database - better-sqlite3 constructor (an optional dependency, so passed in)
+     */
+    constructor(file, Database) {
+        this.name = 'sqlite';
+        this.db = new Database(file);
+        // WAL lets readers in other processes carry on while one writes
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('busy_timeout = 2000');
+        this.db.exec('CREATE TABLE IF NOT EXISTS cache (key TEXT PRIMARY KEY, entry TEXT NOT NULL, retain_until INTEGER NOT NULL)');
+
+        this.statements = {
+            get: this.db.prepare('SELECT entry FROM cache WHERE key = ?'),
+            set: this.db.prepare('INSERT OR REPLACE INTO cache (key, entry, retain_until) VALUES (?, ?, ?)'),
+            delete: this.db.prepare('DELETE FROM cache WHERE key = ?'),
+            clear: this.db.prepare('DELETE FROM cache'),
+            keys: this.db.prepare('SELECT key FROM cache'),
+            cleanup: this.db.prepare('DELETE FROM cache WHERE retain_until < ?')
+        };
+    }
+
+    async get(key) {
+        const row = this.statements.get.get(key);
+        return row ? JSON.parse(row.entry) : null;
+    }
+
+    async set(key, entry) {
+        this.statements.set.run(key, JSON.stringify(entry), retainUntil(entry));
+    }
+
+    async delete(key) {
+        this.statements.delete.run(key);
+    }
+
+    async clear() {
+        this.statements.clear.run();
+    }
+
+    async keys() {
+        return this.statements.keys.all().map(row => row.key);
+    }
+
+    async cleanup() {
+        this.statements.cleanup.run(Date.now());
+    }
+}
+
+class RedisStore {
+    /**
+     * @param {string} url - redis:// or rediss:// URL
+     * @param {string} prefix - Namespace so clear() only touches this app's keys
+     * @param {Object} client - ioredis-compatible client to use instead of connecting to url
+     */
+    constructor(url, prefix = 'airportQueue:', client = null) {
+        this.name = 'redis';
+        this.client = client || new Redis(url, {
+            connectTimeout: 5000,
+            commandTimeout: 5000,
+            // Fail a command after one reconnect attempt; the circuit breaker takes it from there
+            maxRetriesPerRequest: 1
+        });
+        // Connection errors reach the cache through the failed commands; without a listener
+        // ioredis would also print every reconnect attempt
+        this.client.on('error', () => {});
+        this.prefix = prefix;
+    }
+
+    async get(key) {
+        const value = await this.client.get(this.prefix + key);
+        return value ? JSON.parse(value) : null;
+    }
+
+    async set(key, entry) {
+        // Let Redis expire the key itself, so no cleanup pass is needed
+        const ttl = Math.max(1, retainUntil(entry) - Date.now());
+        await this.client.set(this.prefix + key, JSON.stringify(entry), 'PX', ttl);
+    }
+
+    async delete(key) {
+        await this.client.del(this.prefix + key);
+    }
+
+    async clear() {
+        const keys = await this.scan();
+        for (let i = 0; i < keys.length; i += 100) {
+            await this.client.del(...keys.slice(i, i + 100));
+        }
+    }
+
+    async keys() {
+        return (await this.scan()).map(key => key.slice(this.prefix.length));
+    }
+
+    async cleanup() {
+        // Expired keys are removed by Redis
+    }
+
+    // All keys under the prefix (SCAN doesn't block the server like KEYS)
+    async scan() {
+        const keys = [];
+        let cursor = '0';
+
+        do {
+            const [nextCursor, batch] = await this.client.scan(cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 100);
+            keys.push(...batch);
+            cursor = nextCursor;
+        } while (cursor !== '0');
+
+        return keys;
+    }
+}
+
+/**
+ * Wraps a persistent store: the first failure opens the breaker, and for retryAfter ms every
+ * operation goes to a process-local memory store instead, so a dead Redis costs one timeout
+ * rather than one per cache call. The next operation after that tries the real store again.
+ */
+class CircuitBreakerStore {
+    constructor(store, { retryAfter = BREAKER_RETRY_MS, fallback = new MemoryStore() } = {}) {
+        this.name = store.name;
+        this.store = store;
+        this.fallback = fallback;
+        this.retryAfter = retryAfter;
+        this.openUntil = 0;
+    }
+
+    /**
+     * Whether operations are currently going to the memory fallback
+     */
+    get degraded() {
+        return Date.now() < this.openUntil;
+    }
+
+    async run(operation, args) {
+        if (this.degraded) {
+            return this.fallback[operation](...args);
+        }
+
+        try {
+            const result = await this.store[operation](...args);
+            if (this.openUntil) {
+                this.openUntil = 0;
+                console.log(`✅ Cache store ${this.name} is back`);
+            }
+            return result;
+        } catch (error) {
+            this.openUntil = Date.now() + this.retryAfter;
+            console.error(`⚠️ Cache store ${this.name} failed (${error.message}) - using memory for ${this.retryAfter / 1000}s`);
+            return this.fallback[operation](...args);
+        }
+    }
+
+    get(key) { return this.run('get', [key]); }
+    set(key, entry) { return this.run('set', [key, entry]); }
+    delete(key) { return this.run('delete', [key]); }
+    clear() { return this.run('clear', []); }
+    keys() { return this.run('keys', []); }
+    cleanup() { return this.run('cleanup', []); }
+}
+
+/**
+ * Create the store selected by the CACHE_STORE environment variable
+ */
+function createStore(env = process.env) {
+    const type = (env.CACHE_STORE || 'memory').toLowerCase();
+
+    switch (type) {
+        case 'memory':
+            return new MemoryStore();
+
+        case 'file':
+            return new CircuitBreakerStore(new FileStore(env.CACHE_DIR || undefined));
+
+        case 'sqlite': {
+            let Database;
+            try {
+                Database = require('better-sqlite3');
+            } catch (error) {
+                console.warn('⚠️ CACHE_STORE=sqlite but better-sqlite3 is not installed - falling back to memory cache');
+                return new MemoryStore();
+            }
+            const file = env.CACHE_SQLITE_PATH || path.join(os.tmpdir(), 'airport-queue-cache.db');
+            try {
+                return new CircuitBreakerStore(new SqliteStore(file, Database));
+            } catch (error) {
+                console.warn(`⚠️ Could not open SQLite cache at ${file} (${error.message}) - falling back to memory cache`);
+                return new MemoryStore();
+            }
+        }
+
+        case 'redis':
+            if (!env.REDIS_URL) {
+                console.warn('⚠️ CACHE_STORE=redis but REDIS_URL is not set - falling back to memory cache');
+                return new MemoryStore();
+            }
+            return new CircuitBreakerStore(new RedisStore(env.REDIS_URL, env.CACHE_PREFIX || undefined));
+
+        default:
+            console.warn(`⚠️ Unknown CACHE_STORE "${type}" - falling back to memory cache`);
+            return new MemoryStore();
+    }
+}
+
+module.exports = {
+    MemoryStore,
+    FileStore,
+    SqliteStore,
+    RedisStore,
+    CircuitBreakerStore,
+    createStore
+};
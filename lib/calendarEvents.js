@@ -0,0 +1,131 @@
+// Calendar events built from predictions
+// - Busy windows: runs of Busy / Very Busy queue slots at passport control, with the expected
+//   load from that day's flightsByHour analysis in the description
+// - Trip: a single "leave for the airport" event from a trip plan (lib/tripPlanner.js)
+
+const { CROWD_LEVELS, crowdLevelForWait } = require('./queueModel');
+const { formatLocalTime, zonedParts } = require('./timezone');
+
+const CALENDAR_CONFIG = {
+    minLevel: 'high',        // Busy and above become events
+    mergeGapMinutes: 30,     // Busy spells this close together are one event
+    tripAlarmMinutes: 15,    // Reminder before leaving
+    uidDomain: 'pt-airport-queue'
+};
+
+const LEVEL_LABELS = { 'low': 'Quiet', 'medium': 'Moderate', 'high': 'Busy', 'very-high': 'Very Busy' };
+
+/**
+ * Runs of slots at or above a crowd level
+ * @returns {Array} [{ start, end, slots }] with start/end as epoch ms
+ */
+function busyWindows(queue, minLevel = CALENDAR_CONFIG.minLevel, mergeGapMinutes = CALENDAR_CONFIG.mergeGapMinutes) {
+    const minRank = CROWD_LEVELS.indexOf(minLevel);
+    const slotMs = queue.slotMinutes * 60000;
+    const windows = [];
+
+    queue.slots.forEach(slot => {
+        const level = crowdLevelForWait(slot.wait, queue.waitThresholds);
+        if (CROWD_LEVELS.indexOf(level) < minRank) return;
+
+        const start = new Date(slot.start).getTime();
+        const last = windows[windows.length - 1];
+        if (last && start - last.end <= mergeGapMinutes * 60000) {
+            last.end = start + slotMs;
+            last.slots.push(slot);
+        } else {
+            windows.push({ start, end: start + slotMs, slots: [slot] });
+        }
+    });
+
+    return windows;
+}
+
+// Flights (and their passengers) scheduled in the local hours a window touches
+// Walks the window an hour at a time rather than from its first to its last hour number,
+// which are the same for a window covering the whole day
+function windowLoad(analysis, window, timeZone) {
+    const localHour = time => zonedParts(new Date(time), timeZone).hour;
+    const hours = new Set([localHour(window.end - 60000)]);
+    for (let time = window.start; time < window.end; time += 60 * 60000) {
+        hours.add(localHour(time));
+    }
+
+    const flights = [...hours].flatMap(hour => (analysis.flightsByHour || {})[hour] || []);
+    return {
+        flights: flights.length,
+        arrivals: flights.filter(flight => flight.type === 'arrival').length,
+        departures: flights.filter(flight => flight.type === 'departure').length,
+        passengers: flights.reduce((sum, flight) => sum + (flight.estimatedPassengers || 180), 0)
+    };
+}
+
+/**
+ * One calendar event per busy window of a day's queue forecast
+ * @param {Object} prediction - Day analysis with airport profile and queue (withQueueForecast)
+ * @param {string} date - Local date the prediction is for (YYYY-MM-DD)
+ * @param {Object} options - { minLevel, baseUrl }
+ */
+function busyWindowEvents(prediction, date, options = {}) {
+    const { airport: profile, queue } = prediction;
+    const tz = profile.timeZone;
+    const clock = time => formatLocalTime(time, tz);
+
+    return busyWindows(queue, options.minLevel).map(window => {
+        const peak = window.slots.reduce((max, slot) => (slot.wait > max.wait ? slot : max), window.slots[0]);
+        const level = crowdLevelForWait(peak.wait, queue.waitThresholds);
+        const load = windowLoad(prediction, window, tz);
+        const side = peak.arrivalWait >= peak.departureWait ? 'arrivals' : 'departures';
+
+        return {
+            uid: `${profile.iata}-${date}-${clock(window.start).replace(':', '')}@${CALENDAR_CONFIG.uidDomain}`,
+            start: new Date(window.start),
+            end: new Date(window.end),
+            summary: `${profile.iata} passport control: ${LEVEL_LABELS[level]} (≈ ${peak.wait} min)`,
+            description: [
+                `Predicted ${LEVEL_LABELS[level].toLowerCase()} at passport control from ${clock(window.start)} to ${clock(window.end)} (${tz}).`,
+                `Longest wait ≈ ${peak.wait} min around ${peak.time}, mostly ${side}.`,
+                `Expected load: ${load.flights} non-EU flights (${load.arrivals} arrivals, ${load.departures} departures), ` +
+                    `about ${load.passengers.toLocaleString('en')} passengers between ${clock(window.start).slice(0, 2)}:00 and ${clock(window.end - 60000).slice(0, 2)}:59.`,
+                'Forecast - it updates as schedules and delays change.'
+            ].join('\n'),
+            location: `${profile.name} Airport, ${profile.city}`,
+            url: options.baseUrl && `${options.baseUrl}/?airport=${profile.iata}&date=${date}`,
+            categories: ['Airport', LEVEL_LABELS[level]]
+        };
+    });
+}
+
+/**
+ * A "leave for the airport" event spanning leave-by to departure
+ * @param {Object} plan - planTrip result
+ * @param {Object} profile - Airport profile
+ * @param {Object} trip - The trip that was planned ({ date, flight, time })
+ */
+function tripEvent(plan, profile, trip, options = {}) {
+    const flightName = plan.flight ? plan.flight.flightNumber : null;
+    const subject = (flightName || trip.time).replace(/\W/g, '');
+
+    return {
+        uid: `${profile.iata}-${trip.date}-trip-${subject}@${CALENDAR_CONFIG.uidDomain}`,
+        start: new Date(plan.leaveBy),
+        end: new Date(plan.departureTime),
+        summary: `Leave for ${profile.iata}${flightName ? ` - ${flightName} to ${plan.flight.destination}` : ''}`,
+        description: [
+            `Be at the airport by ${formatLocalTime(plan.arriveBy, profile.timeZone)} (${profile.timeZone}).`,
+            ...plan.reasons,
+            ...plan.warnings.map(warning => `⚠️ ${warning}`)
+        ].join('\n'),
+        location: `${profile.name} Airport, ${profile.city}`,
+        url: options.baseUrl && `${options.baseUrl}/?airport=${profile.iata}&date=${trip.date}`,
+        categories: ['Travel'],
+        alarmMinutes: CALENDAR_CONFIG.tripAlarmMinutes
+    };
+}
+
+module.exports = {
+    CALENDAR_CONFIG,
+    busyWindows,
+    busyWindowEvents,
+    tripEvent
+};
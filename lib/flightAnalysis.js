@@ -0,0 +1,236 @@
+// Flight analysis pipeline
+// Passport-control filtering, passenger estimates and hourly grouping shared by the API routes
+
+const { zonedParts, formatLocalTime } = require('./timezone');
+const { classifyCountry, requiresPassportControl } = require('./borderRegime');
+const { findAirport, countryForAirport } = require('./airportDirectory');
+const { estimatePassengers } = require('./seatCapacity');
+
+// Filter for flights whose passengers go through passport control (non-Schengen origin/destination)
+function filterNonEuFlights(flights, type) {
+    if (!flights || flights.length === 0) {
+        console.log(`⚠️ No ${type} flights to filter`);
+        return [];
+    }
+
+    console.log(`🔍 Filtering ${flights.length} ${type} flights...`);
+    
+    // Log first flight structure for debugging
+    if (flights[0]) {
+        console.log('📋 Sample flight structure:', JSON.stringify(flights[0], null, 2));
+    }
+
+    const filtered = flights.filter(flight => {
+        // Get origin/destination based on type
+        const location = type === 'arrival' ? flight.origin : flight.destination;
+        
+        if (!location) {
+            console.log(`❌ Flight ${flight.ident} has no ${type === 'arrival' ? 'origin' : 'destination'}`);
+            return false;
+        }
+
+        // Check ICAO code
+        const icaoCode = location.code_icao || location.code || location.code_iata;
+        if (!icaoCode) {
+            console.log(`❌ Flight ${flight.ident} has no ICAO code. Location:`, JSON.stringify(location));
+            return false;
+        }
+        
+        // Classify by the ISO country of the airport, not the ICAO prefix itself
+        const country = countryForAirport(icaoCode);
+        const regime = classifyCountry(country.code);
+        const passportControl = requiresPassportControl(regime);
+        
+        const locationName = location.city || location.name || location.code || 'Unknown';
+        console.log(`✈️  ${flight.ident} → ${locationName} (${icaoCode}) [${country.code}] = ${passportControl ? `🌍 ${regime} (✅ INCLUDED)` : '🇪🇺 schengen (FILTERED OUT)'}`);
+        
+        return passportControl;
+    }).map(flight => {
+        // Gate times at this airport: in (on-block) for arrivals, out (off-block) for departures
+        const scheduledTime = type === 'arrival'
+            ? flight.scheduled_in || flight.scheduled_on
+            : flight.scheduled_out || flight.scheduled_off;
+        const estimatedTime = type === 'arrival'
+            ? flight.estimated_in || flight.estimated_on
+            : flight.estimated_out || flight.estimated_off;
+        const actualTime = type === 'arrival'
+            ? flight.actual_in || flight.actual_on
+            : flight.actual_out || flight.actual_off;
+        
+        // Live status: FlightAware sets the flags, AviationStack only has a status word
+        const status = flight.status || null;
+        const cancelled = !!flight.cancelled || /cancel/i.test(status || '');
+        const diverted = !!flight.diverted || /divert/i.test(status || '');
+        const delayMinutes = flightDelayMinutes(flight, type, scheduledTime, actualTime || estimatedTime);
+        
+        // Extract aircraft information
+        const aircraftType = flight.aircraft_type || flight.aircraft?.type || 'Unknown';
+        const aircraftRegistration = flight.registration || null;  // Tail number (e.g., CS-TUA, N12345)
+        const operator = flight.operator_icao || flight.operator;
+        
+        // Debug: Log what aircraft data we're getting
+        if (flight.ident && Math.random() < 0.1) { // Log 10% of flights to avoid spam
+            console.log('Flight aircraft data sample:', {
+                ident: flight.ident,
+                aircraft_type: flight.aircraft_type,
+                registration: flight.registration,
+                allFlightData: flight
+            });
+        }
+        
+        // Look up the other airport for its country and city
+        const location = type === 'arrival' ? flight.origin : flight.destination;
+        const icaoCode = location?.code_icao || location?.code || location?.code_iata || '';
+        const countryInfo = countryForAirport(icaoCode);
+        const airport = findAirport(icaoCode);
+        const city = airport?.city || location?.city || location?.code || location?.name;
+        
+        // Expected headcount from the operator's seat layout and the season's load factor
+        const estimate = estimatePassengers({
+            aircraftType,
+            operator,
+            date: scheduledTime || estimatedTime || actualTime,
+            countryCode: countryInfo.code
+        });
+        
+        return {
+            flightNumber: flight.ident || flight.flight_number || 'Unknown',
+            flightNumberIata: flight.ident_iata || null,
+            airline: flight.operator || flight.operator_iata || 'Unknown',
+            origin: type === 'arrival' ? city : null,
+            destination: type === 'departure' ? city : null,
+            scheduledTime: scheduledTime,
+            estimatedTime: estimatedTime,
+            actualTime: actualTime || null,
+            status: status,
+            delayMinutes: delayMinutes,  // Negative when early, null when unknown
+            cancelled: cancelled,
+            diverted: diverted,
+            type: type,
+            aircraftType: aircraftType,
+            aircraftRegistration: aircraftRegistration,  // Add registration to response
+            estimatedPassengers: estimate.passengers,
+            seatCapacity: estimate.seats,
+            loadFactor: estimate.loadFactor,
+            passengerConfidence: estimate.confidence,  // 'high' | 'medium' | 'low'
+            countryCode: countryInfo.code,
+            countryName: countryInfo.name,
+            borderRegime: classifyCountry(countryInfo.code)
+        };
+    });
+    
+    console.log(`✅ Filtered ${type}: ${filtered.length} passport-control flights out of ${flights.length} total`);
+    return filtered;
+}
+
+// Delay in minutes at this airport's gate: FlightAware's own figure (seconds) when it has one,
+// else the best known time against the schedule
+function flightDelayMinutes(flight, type, scheduledTime, bestTime) {
+    const delaySeconds = type === 'arrival' ? flight.arrival_delay : flight.departure_delay;
+    if (typeof delaySeconds === 'number') {
+        return Math.round(delaySeconds / 60);
+    }
+    if (scheduledTime && bestTime) {
+        return Math.round((new Date(bestTime) - new Date(scheduledTime)) / 60000);
+    }
+    return null;
+}
+
+// Best available time of a flight: actual, then estimated, then scheduled
+function bestFlightTime(flight) {
+    return flight.actualTime || flight.estimatedTime || flight.scheduledTime;
+}
+
+// Whether a flight brings no one to passport control here: cancelled, or an arrival diverted elsewhere
+function isCancelledForBorder(flight) {
+    return !!flight.cancelled || (flight.type === 'arrival' && !!flight.diverted);
+}
+
+// Analyze flights and calculate peak times (hours in the airport's local time zone)
+// Cancelled flights are left out of every count and listed separately
+function analyzeFlights(allArrivals, allDepartures, timeZone) {
+    const cancelledFlights = [...allArrivals, ...allDepartures].filter(isCancelledForBorder);
+    const arrivals = allArrivals.filter(flight => !isCancelledForBorder(flight));
+    const departures = allDepartures.filter(flight => !isCancelledForBorder(flight));
+    const allFlights = [...arrivals, ...departures];
+    
+    if (allFlights.length === 0) {
+        return {
+            arrivals: [],
+            departures: [],
+            cancelledFlights: cancelledFlights,
+            totalFlights: 0,
+            totalPassengers: 0,
+            passengerConfidence: { high: 0, medium: 0, low: 0 },
+            peakHour: 'N/A',
+            peakFlights: [],
+            flightsByHour: {},
+            timeZone: timeZone
+        };
+    }
+    
+    // Expected headcount across all flights (seats × load factor per flight)
+    const totalPassengers = allFlights.reduce((sum, flight) => {
+        return sum + (flight.estimatedPassengers || 180);
+    }, 0);
+
+    // How many of those estimates rest on an operator layout, a typical layout or a guess
+    const passengerConfidence = { high: 0, medium: 0, low: 0 };
+    allFlights.forEach(flight => {
+        passengerConfidence[flight.passengerConfidence || 'low']++;
+    });
+    
+    // Group by hour
+    const flightsByHour = {};
+    
+    allFlights.forEach(flight => {
+        const timeStr = bestFlightTime(flight);
+        if (!timeStr) return;
+        
+        const time = new Date(timeStr);
+        const hour = zonedParts(time, timeZone).hour;
+        
+        if (!flightsByHour[hour]) {
+            flightsByHour[hour] = [];
+        }
+        
+        flightsByHour[hour].push({
+            ...flight,
+            time: formatLocalTime(time, timeZone)
+        });
+    });
+
+    // Find peak hour
+    let peakHour = null;
+    let maxFlights = 0;
+    
+    Object.entries(flightsByHour).forEach(([hour, flights]) => {
+        if (flights.length > maxFlights) {
+            maxFlights = flights.length;
+            peakHour = hour;
+        }
+    });
+
+    const peakHourFormatted = peakHour 
+        ? `${peakHour.toString().padStart(2, '0')}:00 - ${(parseInt(peakHour) + 1).toString().padStart(2, '0')}:00`
+        : 'N/A';
+
+    return {
+        arrivals: arrivals,
+        departures: departures,
+        cancelledFlights: cancelledFlights,
+        totalFlights: allFlights.length,
+        totalPassengers: totalPassengers,
+        passengerConfidence: passengerConfidence,
+        peakHour: peakHourFormatted,
+        peakFlights: peakHour ? flightsByHour[peakHour].slice(0, 10) : [],
+        flightsByHour: flightsByHour,
+        timeZone: timeZone
+    };
+}
+
+module.exports = {
+    filterNonEuFlights,
+    analyzeFlights,
+    bestFlightTime
+};
@@ -0,0 +1,129 @@
+// FlightAware AeroAPI client
+// Shared by every route that needs scheduled arrivals/departures for an airport
+// Every page is counted against the request budget (lib/budget.js) before it is fetched
+
+const { recordRequest } = require('./budget');
+
+// Fetch data from FlightAware API
+async function fetchFlightAwareData(apiKey, airport, type, startISO, endISO) {
+    // FlightAware AeroAPI v4 endpoint - Updated format
+    const baseUrl = 'https://aeroapi.flightaware.com/aeroapi';
+    const endpoint = type === 'arrivals' 
+        ? `${baseUrl}/airports/${airport}/flights/arrivals`
+        : `${baseUrl}/airports/${airport}/flights/departures`;
+
+    let allFlights = [];
+    let cursor = null;
+    let pageCount = 0;
+    let budgetMode = 'normal';
+    const maxPages = 10; // Safety limit to avoid infinite loops
+
+    do {
+        // Use ISO8601 format without milliseconds (YYYY-MM-DDTHH:MM:SSZ)
+        const params = new URLSearchParams({
+            start: startISO,
+            end: endISO
+        });
+
+        // Add cursor for pagination (if not first page)
+        if (cursor) {
+            params.append('cursor', cursor);
+        }
+
+        const url = `${endpoint}?${params}`;
+
+        // Throws once the budget is exhausted, before anything is billed
+        budgetMode = await recordRequest(`/airports/{id}/flights/${type}`);
+
+        console.log(`🌐 Fetching ${type} page ${pageCount + 1} from:`, url);
+
+        const response = await fetch(url, {
+            headers: {
+                'x-apikey': apiKey,
+                'Accept': 'application/json; charset=UTF-8'
+            }
+        });
+
+        console.log(`📡 FlightAware response status:`, response.status);
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error('❌ FlightAware API error:', { 
+                status: response.status, 
+                statusText: response.statusText,
+                body: errorText.substring(0, 200) // Log first 200 chars
+            });
+            
+            // Provide helpful error messages
+            if (response.status === 401) {
+                throw new Error('Invalid API key. Please check your FlightAware API key.');
+            } else if (response.status === 403) {
+                throw new Error('API key does not have permission to access this endpoint.');
+            } else if (response.status === 404) {
+                throw new Error(`Airport ${airport} not found or no data available.`);
+            } else if (response.status === 429) {
+                throw new Error('Rate limit exceeded. Please try again later.');
+            } else if (response.status === 400 && (errorText.includes('Invalid start bound') || errorText.includes('Invalid end bound'))) {
+                throw new Error('Date is outside the available range. FlightAware API only provides data for today and the next 2 days.');
+            } else {
+                throw new Error(`FlightAware API error (${response.status}): ${errorText.substring(0, 100)}`);
+            }
+        }
+
+        const data = await response.json();
+        console.log(`✅ Received ${type} data (page ${pageCount + 1}):`, {
+            hasArrivals: !!data.arrivals,
+            hasDepartures: !!data.departures,
+            hasFlights: !!data.flights,
+            flightsOnPage: (data.arrivals || data.departures || data.flights || []).length,
+            numPages: data.num_pages,
+            hasMore: !!data.links?.next
+        });
+        
+        // FlightAware returns data in 'arrivals' or 'departures' or 'flights' key
+        const pageFlights = data.arrivals || data.departures || data.flights || [];
+        
+        // DEBUG: Log complete first flight to see all available fields
+        if (pageFlights.length > 0 && pageCount === 0) {
+            console.log('🔍 COMPLETE FIRST FLIGHT OBJECT:', JSON.stringify(pageFlights[0], null, 2));
+            console.log('🔑 Available fields:', Object.keys(pageFlights[0]));
+        }
+        
+        allFlights = allFlights.concat(pageFlights);
+
+        // Check if there's a next page
+        if (data.links?.next) {
+            try {
+                // Try to parse as URL and extract cursor
+                const nextUrl = data.links.next.startsWith('http') 
+                    ? new URL(data.links.next) 
+                    : new URL(data.links.next, baseUrl);
+                cursor = nextUrl.searchParams.get('cursor');
+            } catch (e) {
+                console.log('⚠️ Could not parse next page URL:', e.message);
+                cursor = null;
+            }
+        } else {
+            cursor = null;
+        }
+        
+        pageCount++;
+
+        console.log(`📄 Page ${pageCount} complete: ${pageFlights.length} flights. Total so far: ${allFlights.length}. More pages: ${!!cursor}`);
+
+    } while (cursor && pageCount < maxPages && budgetMode === 'normal');
+
+    if (cursor && budgetMode !== 'normal') {
+        console.log(`⚠️ Stopped at page ${pageCount} to save request budget. There may be more flights available.`);
+    } else if (cursor) {
+        console.log(`⚠️ Stopped at page ${maxPages}. There may be more flights available.`);
+    }
+
+    console.log(`✅ Total ${type} fetched: ${allFlights.length} flights across ${pageCount} pages`);
+    
+    return allFlights;
+}
+
+module.exports = {
+    fetchFlightAwareData
+};
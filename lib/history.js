@@ -0,0 +1,79 @@
+// Historical trend analysis
+// Summarises past days into weekday × hour profiles so a day can be compared with "typical"
+
+const { addDays } = require('./timezone');
+
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Weekday index for a YYYY-MM-DD date (0 = Monday ... 6 = Sunday)
+ */
+function weekdayOf(dateStr) {
+    return (new Date(dateStr + 'T12:00:00Z').getUTCDay() + 6) % 7;
+}
+
+/**
+ * The N calendar dates before a date, most recent first
+ */
+function previousDates(dateStr, count) {
+    return Array.from({ length: count }, (_, i) => addDays(dateStr, -(i + 1)));
+}
+
+/**
+ * Reduce an analyzeFlights() result to per-hour counts for one day
+ */
+function summarizeDay(date, analysis) {
+    const hourlyFlights = new Array(24).fill(0);
+    const hourlyPassengers = new Array(24).fill(0);
+
+    Object.entries(analysis.flightsByHour || {}).forEach(([hour, flights]) => {
+        hourlyFlights[hour] = flights.length;
+        hourlyPassengers[hour] = flights.reduce((sum, flight) => sum + (flight.estimatedPassengers || 180), 0);
+    });
+
+    const peakFlights = Math.max(...hourlyFlights);
+
+    return {
+        date,
+        weekday: weekdayOf(date),
+        totalFlights: analysis.totalFlights,
+        totalPassengers: analysis.totalPassengers,
+        peakHour: peakFlights > 0 ? hourlyFlights.indexOf(peakFlights) : null,
+        peakFlights,
+        hourlyFlights,
+        hourlyPassengers
+    };
+}
+
+/**
+ * Average day summaries into a weekday × hour heatmap
+ */
+function buildHeatmap(days) {
+    const average = (values) => values.length > 0
+        ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10
+        : 0;
+
+    return WEEKDAY_LABELS.map((label, weekday) => {
+        const samples = days.filter(day => day.weekday === weekday);
+
+        return {
+            weekday,
+            label,
+            samples: samples.length,
+            dates: samples.map(day => day.date),
+            hourlyFlights: Array.from({ length: 24 }, (_, hour) => average(samples.map(day => day.hourlyFlights[hour]))),
+            hourlyPassengers: Array.from({ length: 24 }, (_, hour) => average(samples.map(day => day.hourlyPassengers[hour]))),
+            avgTotalFlights: average(samples.map(day => day.totalFlights)),
+            avgTotalPassengers: average(samples.map(day => day.totalPassengers)),
+            avgPeakFlights: average(samples.map(day => day.peakFlights))
+        };
+    });
+}
+
+module.exports = {
+    WEEKDAY_LABELS,
+    weekdayOf,
+    previousDates,
+    summarizeDay,
+    buildHeatmap
+};
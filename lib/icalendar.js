@@ -0,0 +1,113 @@
+// iCalendar (RFC 5545) serialisation
+// Just what the calendar feed needs: one VCALENDAR of VEVENTs with UTC times, optional alarms,
+// escaped text and lines folded at 75 octets
+
+const PRODUCT_ID = '-//pt-airport-queue-predictor//Crowd Calendar//EN';
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into 75-octet pieces, never splitting a UTF-8 character
+ */
+function foldLine(line) {
+    const pieces = [];
+    let piece = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards their 75 octets
+        const limit = pieces.length === 0 ? 75 : 74;
+        if (octets + size > limit) {
+            pieces.push(piece);
+            piece = '';
+            octets = 0;
+        }
+        piece += char;
+        octets += size;
+    }
+    pieces.push(piece);
+
+    return pieces.join('\r\n ');
+}
+
+/**
+ * UTC DATE-TIME: 20251231T143000Z
+ */
+function formatUtc(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function eventLines(event, stamp) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatUtc(event.start)}`,
+        `DTEND:${formatUtc(event.end)}`,
+        `SUMMARY:${escapeText(event.summary)}`
+    ];
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.categories) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    lines.push('TRANSP:TRANSPARENT');  // Informational - doesn't block time
+
+    if (event.alarmMinutes) {
+        lines.push(
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeText(event.summary)}`,
+            `TRIGGER:-PT${event.alarmMinutes}M`,
+            'END:VALARM'
+        );
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Serialise a calendar
+ * @param {Object} calendar - { name, description, refreshMinutes, events: [{ uid, start, end, summary,
+ *                             description, location, url, categories, alarmMinutes }] }
+ * @returns {string} text/calendar body with CRLF line endings
+ */
+function buildCalendar({ name, description, refreshMinutes, events }, now = new Date()) {
+    const stamp = formatUtc(now);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    if (name) lines.push(`NAME:${escapeText(name)}`, `X-WR-CALNAME:${escapeText(name)}`);
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`, `X-WR-CALDESC:${escapeText(description)}`);
+
+    // How often subscribed clients should fetch the feed again (RFC 7986, plus the older Outlook/Apple property)
+    if (refreshMinutes) {
+        lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+    }
+
+    events.forEach(event => lines.push(...eventLines(event, stamp)));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    escapeText,
+    foldLine,
+    formatUtc,
+    buildCalendar
+};
@@ -0,0 +1,282 @@
+// OpenAPI 3 description of the public API (/api/v1/*)
+// The response shapes are built by lib/apiV1.js - change both together
+
+const { AIRPORT_PROFILES } = require('./airports');
+const { CROWD_LEVELS } = require('./queueModel');
+const { API_VERSION, FORECAST_DAYS } = require('./apiV1');
+
+const nullable = schema => ({ ...schema, nullable: true });
+const isoDateTime = { type: 'string', format: 'date-time' };
+const integer = (minimum, maximum) => ({ type: 'integer', ...(minimum !== undefined && { minimum }), ...(maximum !== undefined && { maximum }) });
+
+const SCHEMAS = {
+    Error: {
+        type: 'object',
+        required: ['error'],
+        additionalProperties: false,
+        properties: {
+            error: {
+                type: 'object',
+                required: ['code', 'message'],
+                additionalProperties: false,
+                properties: {
+                    code: {
+                        type: 'string',
+                        enum: ['missing_parameter', 'invalid_parameter', 'unknown_parameter', 'date_out_of_range',
+                            'method_not_allowed', 'unauthorized', 'rate_limited', 'not_configured', 'budget_exhausted', 'upstream_unavailable', 'internal_error'],
+                        description: 'Stable, machine-readable error code'
+                    },
+                    message: { type: 'string', description: 'Human-readable explanation' },
+                    details: { type: 'object', description: 'Extra context, e.g. the offending parameter and its allowed values' }
+                }
+            }
+        }
+    },
+    CrowdLevel: { type: 'string', enum: CROWD_LEVELS },
+    Airport: {
+        type: 'object',
+        required: ['iata', 'icao', 'name', 'city', 'region', 'timeZone', 'terminals', 'passportBooths', 'eGates', 'waitThresholds'],
+        additionalProperties: false,
+        properties: {
+            iata: { type: 'string', enum: Object.keys(AIRPORT_PROFILES) },
+            icao: { type: 'string', pattern: '^[A-Z]{4}$' },
+            name: { type: 'string' },
+            city: { type: 'string' },
+            region: { type: 'string' },
+            timeZone: { type: 'string', description: 'IANA time zone; dates and hours are in this zone', example: 'Europe/Lisbon' },
+            terminals: { type: 'array', items: { type: 'string' } },
+            passportBooths: { $ref: '#/components/schemas/Booths' },
+            eGates: integer(0),
+            waitThresholds: {
+                type: 'array',
+                items: integer(0),
+                minItems: 3,
+                maxItems: 3,
+                description: 'Upper bounds (minutes) of the low, medium and high crowd levels'
+            }
+        }
+    },
+    Booths: {
+        type: 'object',
+        required: ['arrival', 'departure'],
+        additionalProperties: false,
+        properties: { arrival: integer(0), departure: integer(0) }
+    },
+    QueueSlot: {
+        type: 'object',
+        required: ['start', 'end', 'arrivalPassengers', 'departurePassengers', 'arrivalWaitMinutes', 'departureWaitMinutes', 'waitMinutes', 'crowdLevel'],
+        additionalProperties: false,
+        properties: {
+            start: isoDateTime,
+            end: isoDateTime,
+            arrivalPassengers: integer(0),
+            departurePassengers: integer(0),
+            arrivalWaitMinutes: integer(0),
+            departureWaitMinutes: integer(0),
+            waitMinutes: { ...integer(0), description: 'The longer of the two directions' },
+            crowdLevel: { $ref: '#/components/schemas/CrowdLevel' }
+        }
+    },
+    HourSummary: {
+        type: 'object',
+        required: ['hour', 'flights', 'arrivals', 'departures', 'passengers', 'peakWaitMinutes'],
+        additionalProperties: false,
+        properties: {
+            hour: { ...integer(0, 23), description: 'Local hour at the airport' },
+            flights: integer(0),
+            arrivals: integer(0),
+            departures: integer(0),
+            passengers: integer(0),
+            peakWaitMinutes: integer(0)
+        }
+    },
+    Flight: {
+        type: 'object',
+        required: ['flightNumber', 'flightNumberIata', 'airline', 'type', 'city', 'countryCode', 'borderRegime', 'scheduledTime',
+            'estimatedTime', 'actualTime', 'bestTime', 'status', 'delayMinutes', 'cancelled', 'diverted', 'aircraftType',
+            'aircraftRegistration', 'estimatedPassengers', 'seatCapacity', 'loadFactor', 'passengerConfidence'],
+        additionalProperties: false,
+        properties: {
+            flightNumber: { type: 'string', description: 'ICAO ident, e.g. TAP101' },
+            flightNumberIata: nullable({ type: 'string' }),
+            airline: { type: 'string' },
+            type: { type: 'string', enum: ['arrival', 'departure'] },
+            city: nullable({ type: 'string', description: 'Origin of an arrival, destination of a departure' }),
+            countryCode: nullable({ type: 'string' }),
+            borderRegime: nullable({ type: 'string' }),
+            scheduledTime: nullable(isoDateTime),
+            estimatedTime: nullable(isoDateTime),
+            actualTime: nullable(isoDateTime),
+            bestTime: nullable({ ...isoDateTime, description: 'Actual, else estimated, else scheduled gate time' }),
+            status: nullable({ type: 'string' }),
+            delayMinutes: nullable({ type: 'integer', description: 'Negative when early' }),
+            cancelled: { type: 'boolean', description: 'Cancelled flights are listed but left out of every count' },
+            diverted: { type: 'boolean' },
+            aircraftType: nullable({ type: 'string' }),
+            aircraftRegistration: nullable({ type: 'string' }),
+            estimatedPassengers: nullable(integer(0)),
+            seatCapacity: nullable(integer(0)),
+            loadFactor: nullable({ type: 'number', minimum: 0, maximum: 1 }),
+            passengerConfidence: nullable({ type: 'string', enum: ['high', 'medium', 'low'] })
+        }
+    },
+    Prediction: {
+        type: 'object',
+        required: ['apiVersion', 'airport', 'date', 'timeZone', 'crowdLevel', 'summary', 'queue', 'hourly', 'flights', 'freshness'],
+        additionalProperties: false,
+        properties: {
+            apiVersion: { type: 'string' },
+            airport: { $ref: '#/components/schemas/Airport' },
+            date: { type: 'string', format: 'date' },
+            timeZone: { type: 'string' },
+            crowdLevel: { $ref: '#/components/schemas/CrowdLevel' },
+            summary: {
+                type: 'object',
+                required: ['totalFlights', 'arrivals', 'departures', 'cancelled', 'totalPassengers', 'passengerConfidence', 'peakHour', 'peakHourFlights'],
+                additionalProperties: false,
+                properties: {
+                    totalFlights: integer(0),
+                    arrivals: integer(0),
+                    departures: integer(0),
+                    cancelled: integer(0),
+                    totalPassengers: integer(0),
+                    passengerConfidence: {
+                        type: 'object',
+                        required: ['high', 'medium', 'low'],
+                        additionalProperties: false,
+                        properties: { high: integer(0), medium: integer(0), low: integer(0) }
+                    },
+                    peakHour: nullable({ ...integer(0, 23), description: 'Local hour with the most flights, null with no flights' }),
+                    peakHourFlights: integer(0)
+                }
+            },
+            queue: {
+                type: 'object',
+                required: ['slotMinutes', 'booths', 'eGates', 'waitThresholds', 'peakWaitMinutes', 'peakStart', 'slots'],
+                additionalProperties: false,
+                properties: {
+                    slotMinutes: integer(1),
+                    booths: { $ref: '#/components/schemas/Booths' },
+                    eGates: integer(0),
+                    waitThresholds: { type: 'array', items: integer(0) },
+                    peakWaitMinutes: integer(0),
+                    peakStart: nullable(isoDateTime),
+                    slots: { type: 'array', items: { $ref: '#/components/schemas/QueueSlot' } }
+                }
+            },
+            hourly: { type: 'array', items: { $ref: '#/components/schemas/HourSummary' }, minItems: 24, maxItems: 24 },
+            flights: { type: 'array', items: { $ref: '#/components/schemas/Flight' } },
+            freshness: {
+                type: 'object',
+                required: ['fetchedAt', 'ageSeconds', 'cached', 'stale', 'warning'],
+                additionalProperties: false,
+                properties: {
+                    fetchedAt: nullable(isoDateTime),
+                    ageSeconds: nullable(integer(0)),
+                    cached: { type: 'boolean' },
+                    stale: { type: 'boolean', description: 'true when FlightAware has not refreshed an expired snapshot yet' },
+                    warning: nullable({ type: 'string' })
+                }
+            }
+        }
+    },
+    AirportList: {
+        type: 'object',
+        required: ['airports'],
+        additionalProperties: false,
+        properties: { airports: { type: 'array', items: { $ref: '#/components/schemas/Airport' } } }
+    }
+};
+
+const errorResponse = (description, headers) => ({
+    description,
+    ...(headers && { headers }),
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+// Every v1 route is rate limited (lib/apiAccess.js)
+const accessResponses = {
+    401: errorResponse('Invalid API key, or none sent while this server requires one'),
+    429: errorResponse('Rate limit exceeded', {
+        'Retry-After': { description: 'Seconds until a request will be accepted again', schema: integer(1) }
+    })
+};
+
+/**
+ * The OpenAPI document
+ * @param {string} serverUrl - Base URL of this deployment, when known
+ */
+function openApiSpec(serverUrl) {
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Portugal Airport Queue Predictor API',
+            version: API_VERSION,
+            description: 'Predicted passport-control queues at Portuguese airports, from non-EU flight schedules. ' +
+                'Dates and hours are in the airport\'s time zone; timestamps are ISO 8601 UTC. ' +
+                'Every error has the Error shape. ' +
+                'Requests are rate limited per API key, or per IP without one; RateLimit-Limit, RateLimit-Remaining ' +
+                'and RateLimit-Reset headers report the allowance and a 429 carries Retry-After. ' +
+                'Whether a key is required depends on the deployment.'
+        },
+        ...(serverUrl && { servers: [{ url: serverUrl }] }),
+        paths: {
+            '/api/v1/predict': {
+                get: {
+                    operationId: 'getPrediction',
+                    summary: 'Queue prediction for one airport and day',
+                    parameters: [
+                        { name: 'airport', in: 'query', required: true, schema: { type: 'string', enum: Object.keys(AIRPORT_PROFILES) }, description: 'IATA code' },
+                        { name: 'date', in: 'query', required: true, schema: { type: 'string', format: 'date' }, description: `Local date, today to ${FORECAST_DAYS - 1} days ahead` },
+                        { name: 'booths', in: 'query', required: false, schema: integer(1, 100), description: 'Staffed booths per direction, to model a staffing change' },
+                        { name: 'live', in: 'query', required: false, schema: { type: 'boolean' }, description: 'Refresh today\'s data if it is more than a few minutes old' }
+                    ],
+                    responses: {
+                        200: { description: 'Prediction', content: { 'application/json': { schema: { $ref: '#/components/schemas/Prediction' } } } },
+                        400: errorResponse('Invalid or unknown parameter, or a date outside the forecast range'),
+                        405: errorResponse('Method not allowed'),
+                        ...accessResponses,
+                        502: errorResponse('FlightAware could not be reached and nothing is cached'),
+                        503: errorResponse('Flight data is not configured on this server, or the FlightAware request budget is used up and nothing is cached')
+                    }
+                }
+            },
+            '/api/v1/airports': {
+                get: {
+                    operationId: 'listAirports',
+                    summary: 'Supported airports',
+                    responses: {
+                        200: { description: 'Airports', content: { 'application/json': { schema: { $ref: '#/components/schemas/AirportList' } } } },
+                        400: errorResponse('Unknown parameter'),
+                        405: errorResponse('Method not allowed'),
+                        ...accessResponses
+                    }
+                }
+            },
+            '/api/v1/openapi': {
+                get: {
+                    operationId: 'getOpenApi',
+                    summary: 'This document',
+                    security: [{}],
+                    responses: {
+                        200: { description: 'OpenAPI 3 document', content: { 'application/json': { schema: { type: 'object' } } } },
+                        ...accessResponses
+                    }
+                }
+            }
+        },
+        security: [{ apiKeyHeader: [] }, { apiKeyQuery: [] }, {}],
+        components: {
+            schemas: SCHEMAS,
+            securitySchemes: {
+                apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                apiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' }
+            }
+        }
+    };
+}
+
+module.exports = {
+    SCHEMAS,
+    openApiSpec
+};
@@ -0,0 +1,52 @@
+// Passenger flow at the border
+// When a flight's passengers actually reach passport control, relative to its gate time
+// (actual in/out once it happened, else estimated, else scheduled):
+//   arrivals   - deplaning plus the walk to the booths, 10-50 min after on-block
+//   departures - check-in, security, then exit control, 2.5 h to 45 min before off-block
+// Wide-bodies deplane slower and their (mostly long-haul) passengers come to the airport earlier
+
+const { isWideBody } = require('./seatCapacity');
+const { bestFlightTime } = require('./flightAnalysis');
+
+// Share of a flight's passengers reaching the border in each window [from, to) of minutes
+// relative to the gate time; each curve sums to 1
+const FLOW_CURVES = {
+    arrival: {
+        narrow: [[10, 15, 0.10], [15, 20, 0.25], [20, 25, 0.30], [25, 30, 0.20], [30, 35, 0.10], [35, 40, 0.05]],
+        wide: [[15, 20, 0.08], [20, 25, 0.17], [25, 30, 0.22], [30, 35, 0.21], [35, 40, 0.16], [40, 50, 0.16]]
+    },
+    departure: {
+        narrow: [[-135, -120, 0.10], [-120, -105, 0.22], [-105, -90, 0.28], [-90, -75, 0.22], [-75, -60, 0.12], [-60, -45, 0.06]],
+        wide: [[-150, -135, 0.12], [-135, -120, 0.24], [-120, -105, 0.26], [-105, -90, 0.20], [-90, -75, 0.12], [-75, -60, 0.06]]
+    }
+};
+
+/**
+ * Flow curve for a flight, by direction and body type
+ */
+function flowCurve(flight, curves = FLOW_CURVES) {
+    const direction = curves[flight.type] || curves.arrival;
+    return isWideBody(flight.aircraftType) ? direction.wide : direction.narrow;
+}
+
+/**
+ * Windows in which a flight's passengers reach the border
+ * @returns {Array<{start: number, end: number, passengers: number}>} epoch ms, passengers spread evenly within each
+ */
+function borderWindows(flight, passengers, curves = FLOW_CURVES) {
+    const timeStr = bestFlightTime(flight);
+    if (!timeStr) return [];
+
+    const gateTime = new Date(timeStr).getTime();
+    return flowCurve(flight, curves).map(([from, to, share]) => ({
+        start: gateTime + from * 60000,
+        end: gateTime + to * 60000,
+        passengers: passengers * share
+    }));
+}
+
+module.exports = {
+    FLOW_CURVES,
+    flowCurve,
+    borderWindows
+};
@@ -0,0 +1,219 @@
+// Single-day prediction pipeline
+// Cache lookup, FlightAware fetch, non-EU filter and analysis for one airport and local date,
+// shared by /api/predict and the routes that summarise several predictions
+
+const apiCache = require('./cache');
+const { forecastQueue } = require('./queueModel');
+const { queueOptionsFor } = require('./airports');
+const { localDayRange, localDateString, toApiTimestamp } = require('./timezone');
+const { fetchFlightAwareData } = require('./flightaware');
+const { filterNonEuFlights, analyzeFlights } = require('./flightAnalysis');
+const { getBudgetMode } = require('./budget');
+
+const PREDICTION_TTL = 30 * 60 * 1000; // 30 minutes - schedules change during the day
+const PREDICTION_STALE_TTL = 24 * 60 * 60 * 1000; // Keep the last good snapshot for a day as a fallback
+
+// Live mode (?live=1) refreshes today's snapshot once it's older than this, however many
+// clients poll - each refresh costs 2+ FlightAware requests, so keep it well above the poll interval.
+// Live refreshes stop at the soft budget limit, leaving the rest of the day's budget for cache misses.
+const LIVE_REFRESH_INTERVAL = (parseInt(process.env.LIVE_REFRESH_MINUTES, 10) || 10) * 60 * 1000;
+
+// Upstream fetches in flight and the last background refresh failure, per cache key (this instance only)
+const inFlight = new Map();
+const refreshErrors = new Map();
+
+/**
+ * Cache key for an airport/date analysis
+ */
+function predictionCacheKey(profile, date) {
+    return apiCache.generateKey('flightaware', { airport: profile.iata, date });
+}
+
+/**
+ * Cached analysis for an airport/date, including an expired (stale) snapshot, or null
+ * @returns {Promise<{analysis: Object, fetchedAt: number, stale: boolean}|null>}
+ */
+async function getCachedAnalysis(profile, date) {
+    const entry = await apiCache.getEntry(predictionCacheKey(profile, date));
+    return entry ? { analysis: entry.data, fetchedAt: entry.storedAt, stale: entry.stale } : null;
+}
+
+/**
+ * Fetch, filter and analyse a day's flights from FlightAware, then cache the result
+ * Concurrent calls for the same airport/date share one upstream fetch and its result
+ * Throws if FlightAware can't be reached
+ */
+function fetchDayAnalysis(profile, date, apiKey) {
+    const cacheKey = predictionCacheKey(profile, date);
+    if (inFlight.has(cacheKey)) {
+        console.log('🔗 Joining in-flight fetch for:', cacheKey);
+        return inFlight.get(cacheKey);
+    }
+
+    const pending = loadDayAnalysis(profile, date, apiKey).finally(() => {
+        inFlight.delete(cacheKey);
+    });
+
+    inFlight.set(cacheKey, pending);
+    return pending;
+}
+
+// One upstream fetch and analysis, cached on success
+async function loadDayAnalysis(profile, date, apiKey) {
+    // Local calendar day at the airport (DST-aware), as UTC bounds for FlightAware
+    // FlightAware expects ISO8601 without milliseconds (YYYY-MM-DDTHH:MM:SSZ)
+    const day = localDayRange(date, profile.timeZone);
+    const startISO = toApiTimestamp(day.start);
+    const endISO = toApiTimestamp(new Date(day.end.getTime() - 1000)); // Last second of the local day
+
+    console.log('📅 Date range:', { 
+        date: date,
+        timeZone: profile.timeZone,
+        start: startISO,
+        end: endISO
+    });
+
+    // Fetch arrivals and departures from FlightAware API
+    console.log('🛫 Fetching flight data...');
+
+    const [arrivalsData, departuresData] = await Promise.all([
+        fetchFlightAwareData(apiKey, profile.icao, 'arrivals', startISO, endISO),
+        fetchFlightAwareData(apiKey, profile.icao, 'departures', startISO, endISO)
+    ]);
+
+    console.log('✅ Flights fetched:', { 
+        arrivals: arrivalsData.length, 
+        departures: departuresData.length 
+    });
+
+    // Filter for non-EU flights
+    const nonEuArrivals = filterNonEuFlights(arrivalsData, 'arrival');
+    const nonEuDepartures = filterNonEuFlights(departuresData, 'departure');
+
+    console.log('Non-EU flights:', { arrivals: nonEuArrivals.length, departures: nonEuDepartures.length });
+
+    // Analyze data
+    const analysis = analyzeFlights(nonEuArrivals, nonEuDepartures, profile.timeZone);
+
+    // Cache the successful response
+    const cacheKey = predictionCacheKey(profile, date);
+    await apiCache.set(cacheKey, analysis, PREDICTION_TTL, PREDICTION_STALE_TTL);
+    console.log('✅ Cached response for:', cacheKey, 'TTL:', PREDICTION_TTL / 1000, 'seconds');
+
+    return analysis;
+}
+
+/**
+ * Refresh a stale analysis without making the caller wait
+ * Skipped while a fetch for the key is already running; a failure is remembered so responses can report it.
+ * On serverless hosts the refresh may be paused once the response is sent - the next
+ * request for the same day then finds the snapshot still stale and tries again.
+ */
+function refreshInBackground(profile, date, apiKey) {
+    const cacheKey = predictionCacheKey(profile, date);
+    if (inFlight.has(cacheKey)) {
+        return inFlight.get(cacheKey).catch(() => {});
+    }
+
+    console.log('🔄 Refreshing stale data in background:', cacheKey);
+    return fetchDayAnalysis(profile, date, apiKey)
+        .then(() => {
+            refreshErrors.delete(cacheKey);
+        })
+        .catch(error => {
+            console.error('❌ Background refresh failed for:', cacheKey, error.message);
+            refreshErrors.set(cacheKey, error.message);
+        });
+}
+
+/**
+ * Response fields describing how old a cached analysis is
+ * Stale data carries a warning, plus the last refresh error if FlightAware is failing
+ */
+function dataFreshness(cached, profile, date) {
+    const freshness = {
+        stale: cached.stale,
+        dataAge: cached.fetchedAt ? Math.round((Date.now() - cached.fetchedAt) / 1000) : null,
+        fetchedAt: cached.fetchedAt ? new Date(cached.fetchedAt).toISOString() : null
+    };
+
+    if (cached.stale) {
+        const refreshError = refreshErrors.get(predictionCacheKey(profile, date));
+        freshness.warning = refreshError
+            ? 'FlightAware is unavailable - showing the last good flight data.'
+            : 'Showing earlier flight data while it is refreshed.';
+        if (refreshError) {
+            freshness.refreshError = refreshError;
+        }
+    }
+
+    return freshness;
+}
+
+/**
+ * Whether a live-mode request should refresh this cached snapshot: only for the airport's
+ * current day, once the snapshot is older than LIVE_REFRESH_INTERVAL, and while the
+ * FlightAware budget is below its soft limits
+ */
+async function isLiveRefreshDue(cached, profile, date) {
+    if (date !== localDateString(new Date(), profile.timeZone) || Date.now() - cached.fetchedAt <= LIVE_REFRESH_INTERVAL) {
+        return false;
+    }
+    return (await getBudgetMode('flightaware')) === 'normal';
+}
+
+/**
+ * Analysis for an airport/date from cache, or fetched from FlightAware on a miss
+ * A stale snapshot is returned straight away and refreshed in the background
+ * @returns {Promise<{analysis: Object, cached: boolean, stale: boolean, dataAge: number}>}
+ */
+async function getDayAnalysis(profile, date, apiKey) {
+    const cached = await getCachedAnalysis(profile, date);
+    if (cached) {
+        if (cached.stale) {
+            refreshInBackground(profile, date, apiKey);
+        }
+        return { analysis: cached.analysis, cached: true, ...dataFreshness(cached, profile, date) };
+    }
+
+    const analysis = await fetchDayAnalysis(profile, date, apiKey);
+    return { analysis, cached: false, ...dataFreshness({ fetchedAt: Date.now(), stale: false }, profile, date) };
+}
+
+/**
+ * Attach the date, airport profile and border queue forecast to an analysis result
+ * Computed per response so a booth override doesn't fragment the cache
+ */
+function withQueueForecast(analysis, date, profile, booths) {
+    const day = localDayRange(date, profile.timeZone);
+    const flights = [...(analysis.arrivals || []), ...(analysis.departures || [])];
+    const options = {
+        ...queueOptionsFor(profile),
+        timeZone: profile.timeZone,
+        dayMinutes: day.minutes
+    };
+    if (booths) {
+        options.booths = { arrival: booths, departure: booths };
+    }
+
+    return {
+        ...analysis,
+        date,
+        airport: profile,
+        queue: forecastQueue(flights, day.start, options)
+    };
+}
+
+module.exports = {
+    PREDICTION_TTL,
+    PREDICTION_STALE_TTL,
+    LIVE_REFRESH_INTERVAL,
+    predictionCacheKey,
+    getCachedAnalysis,
+    fetchDayAnalysis,
+    refreshInBackground,
+    isLiveRefreshDue,
+    dataFreshness,
+    getDayAnalysis,
+    withQueueForecast
+};
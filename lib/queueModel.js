@@ -0,0 +1,137 @@
+// Border control queue model
+// Turns non-EU flights into a stream of passengers reaching passport control
+// and runs them through a fixed number of booths, minute by minute
+
+const { formatLocalTime } = require('./timezone');
+const { FLOW_CURVES, borderWindows } = require('./passengerFlow');
+
+const DEFAULT_QUEUE_CONFIG = {
+    booths: { arrival: 8, departure: 8 }, // Staffed passport booths per direction
+    eGates: 0,                      // Automated gates (take eligible passengers off the booths)
+    eGateShare: 0.3,                // Share of non-EU passengers eligible for e-gates
+    serviceSeconds: 75,             // Average processing time per passenger
+    waitThresholds: [15, 30, 60],   // Expected wait (minutes) upper bounds for Quiet / Moderate / Busy
+    slotMinutes: 15,                // Reporting granularity
+    dayMinutes: 24 * 60,            // Length of the day (1380 or 1500 on DST switch days)
+    timeZone: 'UTC',                // Time zone for slot labels
+    flowCurves: FLOW_CURVES         // When passengers reach the booths relative to gate time (lib/passengerFlow.js)
+};
+
+const CROWD_LEVELS = ['low', 'medium', 'high', 'very-high'];
+
+/**
+ * Map an expected wait in minutes to a crowd level
+ */
+function crowdLevelForWait(waitMinutes, thresholds = DEFAULT_QUEUE_CONFIG.waitThresholds) {
+    const index = thresholds.findIndex(max => waitMinutes < max);
+    return CROWD_LEVELS[index === -1 ? CROWD_LEVELS.length - 1 : index];
+}
+
+/**
+ * Spread each flight's passengers over its border flow curve
+ * Returns per-minute demand arrays for arrivals and departures
+ */
+function buildDemand(flights, dayStart, config) {
+    const demand = {
+        arrival: new Array(config.dayMinutes).fill(0),
+        departure: new Array(config.dayMinutes).fill(0)
+    };
+
+    // Passengers who can use e-gates never reach the staffed booths
+    const boothShare = config.eGates > 0 ? 1 - config.eGateShare : 1;
+
+    flights.forEach(flight => {
+        const passengers = (flight.estimatedPassengers || 180) * boothShare;
+
+        borderWindows(flight, passengers, config.flowCurves).forEach(window => {
+            const from = Math.round((window.start - dayStart) / 60000);
+            const to = Math.round((window.end - dayStart) / 60000);
+            const perMinute = window.passengers / (to - from);
+
+            for (let minute = from; minute < to; minute++) {
+                if (minute >= 0 && minute < config.dayMinutes) {
+                    demand[flight.type][minute] += perMinute;
+                }
+            }
+        });
+    });
+
+    return demand;
+}
+
+/**
+ * Run a per-minute demand array through the booths
+ * Returns the expected wait (minutes) for someone joining the queue each minute
+ */
+function simulateQueue(demand, booths, serviceSeconds) {
+    const capacityPerMinute = booths * 60 / serviceSeconds;
+    let queue = 0;
+
+    return demand.map(arriving => {
+        queue += arriving;
+        const wait = capacityPerMinute > 0 ? queue / capacityPerMinute : 0;
+        queue = Math.max(0, queue - capacityPerMinute);
+        return wait;
+    });
+}
+
+/**
+ * Build the border queue forecast for a day
+ * @param {Array} flights - Normalised non-EU flights (arrivals and departures)
+ * @param {Date} dayStart - Start of the (local) day being forecast
+ * @param {Object} options - Overrides for DEFAULT_QUEUE_CONFIG (booths may be a number for both directions)
+ */
+function forecastQueue(flights, dayStart, options = {}) {
+    const config = { ...DEFAULT_QUEUE_CONFIG, ...options };
+    if (typeof config.booths === 'number') {
+        config.booths = { arrival: config.booths, departure: config.booths };
+    }
+
+    const demand = buildDemand(flights, dayStart, config);
+    const arrivalWaits = simulateQueue(demand.arrival, config.booths.arrival, config.serviceSeconds);
+    const departureWaits = simulateQueue(demand.departure, config.booths.departure, config.serviceSeconds);
+
+    const sum = (values, from, to) => values.slice(from, to).reduce((total, value) => total + value, 0);
+
+    const slots = [];
+    for (let from = 0; from < config.dayMinutes; from += config.slotMinutes) {
+        const to = from + config.slotMinutes;
+        const arrivalWait = Math.round(sum(arrivalWaits, from, to) / config.slotMinutes);
+        const departureWait = Math.round(sum(departureWaits, from, to) / config.slotMinutes);
+        const start = new Date(dayStart.getTime() + from * 60000);
+
+        slots.push({
+            time: formatLocalTime(start, config.timeZone), // HH:MM local
+            start: start.toISOString(),
+            arrivalPassengers: Math.round(sum(demand.arrival, from, to)),
+            departurePassengers: Math.round(sum(demand.departure, from, to)),
+            arrivalWait,
+            departureWait,
+            wait: Math.max(arrivalWait, departureWait)
+        });
+    }
+
+    // Find the slot with the longest expected wait
+    const peakSlot = slots.reduce((peak, slot) => (slot.wait > peak.wait ? slot : peak), slots[0]);
+
+    return {
+        booths: config.booths,
+        eGates: config.eGates,
+        serviceSeconds: config.serviceSeconds,
+        slotMinutes: config.slotMinutes,
+        slots: slots,
+        peakWait: peakSlot.wait,
+        peakTime: peakSlot.wait > 0 ? peakSlot.time : null,
+        peakStart: peakSlot.wait > 0 ? peakSlot.start : null,
+        timeZone: config.timeZone,
+        waitThresholds: config.waitThresholds,
+        crowdLevel: crowdLevelForWait(peakSlot.wait, config.waitThresholds)
+    };
+}
+
+module.exports = {
+    DEFAULT_QUEUE_CONFIG,
+    CROWD_LEVELS,
+    crowdLevelForWait,
+    forecastQueue
+};
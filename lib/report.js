@@ -0,0 +1,269 @@
+// Printable day report
+// One self-contained HTML page per airport and day for briefing shift supervisors: crowd badge,
+// hourly chart (inline SVG, so it prints without scripts), busy periods, hourly breakdown,
+// tips and the full passport-control timetable. "Save as PDF" from the print dialog makes the PDF.
+
+const { crowdLevelForWait } = require('./queueModel');
+const { bestFlightTime } = require('./flightAnalysis');
+const { busyWindows } = require('./calendarEvents');
+const { travelTips } = require('./travelTips');
+const { formatLocalTime } = require('./timezone');
+
+const LEVELS = {
+    'low': { text: 'Quiet', color: '#16a34a' },
+    'medium': { text: 'Moderate', color: '#d97706' },
+    'high': { text: 'Busy', color: '#dc2626' },
+    'very-high': { text: 'Very Busy', color: '#7f1d1d' }
+};
+
+const COLORS = { arrival: '#088395', departure: '#c85c5c', wait: '#0a4d68', grid: '#e0e0e0', text: '#6b6b6b' };
+
+/**
+ * Escape text for HTML content and attribute values
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Per local hour: flights, people reaching passport control and the longest expected wait
+ * @returns {Array} 24 rows of { hour, arrivals, departures, arrivalPassengers, departurePassengers, peakWait, level }
+ */
+function hourlyBreakdown(analysis, queue) {
+    const rows = Array.from({ length: 24 }, (_, hour) => {
+        const flights = (analysis.flightsByHour || {})[hour] || [];
+        return {
+            hour: `${hour.toString().padStart(2, '0')}:00`,
+            arrivals: flights.filter(flight => flight.type === 'arrival').length,
+            departures: flights.filter(flight => flight.type === 'departure').length,
+            arrivalPassengers: 0,
+            departurePassengers: 0,
+            peakWait: 0
+        };
+    });
+
+    queue.slots.forEach(slot => {
+        const row = rows[parseInt(slot.time.substring(0, 2), 10)];
+        row.arrivalPassengers += slot.arrivalPassengers;
+        row.departurePassengers += slot.departurePassengers;
+        row.peakWait = Math.max(row.peakWait, slot.wait);
+    });
+
+    return rows.map(row => ({ ...row, level: crowdLevelForWait(row.peakWait, queue.waitThresholds) }));
+}
+
+// Stacked bars for people at the border per hour, with the peak wait as a line on its own scale
+function chartSvg(rows) {
+    const width = 720;
+    const height = 260;
+    const pad = { top: 20, right: 44, bottom: 28, left: 44 };
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+    const slot = plotWidth / rows.length;
+
+    const maxPeople = Math.max(1, ...rows.map(row => row.arrivalPassengers + row.departurePassengers));
+    const maxWait = Math.max(15, ...rows.map(row => row.peakWait));
+    const y = (value, max) => pad.top + plotHeight - (value / max) * plotHeight;
+
+    const bars = rows.map((row, i) => {
+        const x = (pad.left + i * slot + slot * 0.15).toFixed(1);
+        const barWidth = (slot * 0.7).toFixed(1);
+        const arrivalTop = y(row.arrivalPassengers, maxPeople);
+        const departureTop = y(row.arrivalPassengers + row.departurePassengers, maxPeople);
+        return `<rect x="${x}" y="${arrivalTop.toFixed(1)}" width="${barWidth}" height="${(pad.top + plotHeight - arrivalTop).toFixed(1)}" fill="${COLORS.arrival}"/>` +
+            `<rect x="${x}" y="${departureTop.toFixed(1)}" width="${barWidth}" height="${(arrivalTop - departureTop).toFixed(1)}" fill="${COLORS.departure}"/>`;
+    }).join('');
+
+    const line = rows
+        .map((row, i) => `${(pad.left + (i + 0.5) * slot).toFixed(1)},${y(row.peakWait, maxWait).toFixed(1)}`)
+        .join(' ');
+
+    const hourLabels = rows
+        .filter((row, i) => i % 3 === 0)
+        .map((row, i) => `<text x="${(pad.left + (i * 3 + 0.5) * slot).toFixed(1)}" y="${height - 8}" text-anchor="middle">${row.hour}</text>`)
+        .join('');
+
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="People at passport control and expected wait by hour">
+        <g font-size="11" fill="${COLORS.text}" font-family="sans-serif">
+            <line x1="${pad.left}" y1="${pad.top + plotHeight}" x2="${width - pad.right}" y2="${pad.top + plotHeight}" stroke="${COLORS.grid}"/>
+            <text x="${pad.left - 6}" y="${pad.top + 4}" text-anchor="end">${maxPeople}</text>
+            <text x="${pad.left - 6}" y="${pad.top + plotHeight}" text-anchor="end">0</text>
+            <text x="${width - pad.right + 6}" y="${pad.top + 4}">${maxWait} min</text>
+            <text x="${width - pad.right + 6}" y="${pad.top + plotHeight}">0</text>
+            ${hourLabels}
+        </g>
+        ${bars}
+        <polyline points="${line}" fill="none" stroke="${COLORS.wait}" stroke-width="2" stroke-dasharray="5 3"/>
+    </svg>`;
+}
+
+function flightRow(flight, timeZone) {
+    const time = formatLocalTime(bestFlightTime(flight), timeZone);
+    const scheduled = flight.scheduledTime ? formatLocalTime(flight.scheduledTime, timeZone) : null;
+    const status = flight.cancelled ? 'Cancelled'
+        : flight.diverted ? 'Diverted'
+        : flight.delayMinutes >= 15 ? `+${flight.delayMinutes} min`
+        : '';
+    const cells = [
+        scheduled && scheduled !== time ? `${time} <s>${scheduled}</s>` : time,
+        escapeHtml(flight.flightNumber),
+        escapeHtml(flight.airline || ''),
+        escapeHtml(flight.origin || flight.destination || 'Unknown'),
+        escapeHtml(flight.aircraftType || ''),
+        flight.estimatedPassengers || '',
+        flight.type,
+        status
+    ];
+    return `<tr${flight.cancelled ? ' class="cancelled"' : ''}>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+}
+
+/**
+ * Render the report page
+ * @param {Object} prediction - Day analysis with airport profile and queue (withQueueForecast)
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {Object} options - { generatedAt, fetchedAt, stale, autoPrint }
+ * @returns {string} HTML document
+ */
+function renderReport(prediction, date, options = {}) {
+    const { airport: profile, queue } = prediction;
+    const tz = profile.timeZone;
+    const level = queue.crowdLevel;
+    const rows = hourlyBreakdown(prediction, queue);
+    const generatedAt = options.generatedAt || new Date();
+
+    const dayLabel = new Date(`${date}T12:00:00Z`).toLocaleDateString('en-GB', {
+        weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+    });
+
+    const flights = [...prediction.arrivals, ...prediction.departures, ...(prediction.cancelledFlights || [])]
+        .filter(flight => bestFlightTime(flight))
+        .sort((a, b) => new Date(bestFlightTime(a)) - new Date(bestFlightTime(b)));
+
+    const windows = busyWindows(queue).map(window => {
+        const peak = window.slots.reduce((max, slot) => (slot.wait > max.wait ? slot : max), window.slots[0]);
+        const windowLevel = LEVELS[crowdLevelForWait(peak.wait, queue.waitThresholds)];
+        return `<li><strong>${formatLocalTime(window.start, tz)}-${formatLocalTime(window.end, tz)}</strong> ` +
+            `${windowLevel.text}, longest wait ≈ ${peak.wait} min around ${peak.time}</li>`;
+    });
+
+    const freshness = [
+        `Generated ${formatLocalTime(generatedAt, tz)} airport time`,
+        options.fetchedAt ? `flight data from ${formatLocalTime(options.fetchedAt, tz)}` : null,
+        options.stale ? 'showing earlier flight data - FlightAware has not refreshed it yet' : null
+    ].filter(Boolean).join(' · ');
+
+    const summary = queue.peakTime
+        ? `Expected wait at ${queue.peakTime} ≈ ${queue.peakWait} min (${queue.booths.arrival} arrival / ${queue.booths.departure} departure passport booths)`
+        : 'No border queue expected for non-EU passengers on this day';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${profile.iata} passport control - ${date}</title>
+<style>
+    body { font-family: 'Work Sans', -apple-system, sans-serif; color: #1a1a1a; max-width: 960px; margin: 0 auto; padding: 2rem; }
+    h1 { font-family: 'Crimson Pro', Georgia, serif; color: #0a4d68; margin: 0; }
+    h2 { font-size: 1.1rem; color: #0a4d68; border-bottom: 2px solid #e8d5b7; padding-bottom: 0.25rem; margin-top: 2rem; }
+    .meta { color: #6b6b6b; font-size: 0.9rem; }
+    .badge { display: inline-block; padding: 0.4rem 1rem; border-radius: 999px; color: white; font-weight: 700; background: ${LEVELS[level].color}; }
+    .stats { display: grid; grid-template-columns: repeat(5, 1fr); gap: 0.75rem; margin-top: 1rem; }
+    .stat { background: #f8f6f2; border-radius: 8px; padding: 0.6rem; text-align: center; }
+    .stat b { display: block; font-size: 1.4rem; color: #0a4d68; }
+    .chart { width: 100%; height: auto; }
+    .legend span { margin-right: 1rem; font-size: 0.85rem; }
+    .legend i { display: inline-block; width: 12px; height: 12px; margin-right: 0.3rem; vertical-align: middle; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th, td { text-align: left; padding: 0.3rem 0.5rem; border-bottom: 1px solid #e0e0e0; }
+    th { background: #f8f6f2; }
+    tr.cancelled td { color: #6b6b6b; text-decoration: line-through; }
+    td.level-high, td.level-very-high { color: #991b1b; font-weight: 700; }
+    .actions { margin: 1rem 0; }
+    .actions button { padding: 0.5rem 1rem; border: 0; border-radius: 8px; background: #0a4d68; color: white; font-weight: 600; cursor: pointer; }
+    @media print {
+        body { padding: 0; max-width: none; }
+        .actions { display: none; }
+        h2 { break-after: avoid; }
+        tr, li { break-inside: avoid; }
+        .badge, .stat, th, .legend i { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    }
+</style>
+</head>
+<body>
+<header>
+    <h1>✈️ ${escapeHtml(profile.iata)} · ${escapeHtml(profile.name)} Airport, ${escapeHtml(profile.city)}</h1>
+    <p class="meta">Passport control forecast for ${dayLabel} · times in ${escapeHtml(tz)}<br>${freshness}</p>
+    <div class="actions"><button type="button" onclick="window.print()">🖨️ Print / Save as PDF</button></div>
+</header>
+
+<section>
+    <span class="badge">${LEVELS[level].text}${queue.peakTime ? ` · ≈ ${queue.peakWait} min` : ''}</span>
+    <p>${summary}</p>
+    <div class="stats">
+        <div class="stat"><b>${prediction.totalFlights}</b>non-EU flights</div>
+        <div class="stat"><b>${prediction.arrivals.length}</b>arrivals</div>
+        <div class="stat"><b>${prediction.departures.length}</b>departures</div>
+        <div class="stat"><b>${(prediction.totalPassengers || 0).toLocaleString('en')}</b>passengers (est.)</div>
+        <div class="stat"><b>${(prediction.cancelledFlights || []).length}</b>cancelled</div>
+    </div>
+</section>
+
+<section>
+    <h2>People at passport control by hour</h2>
+    ${chartSvg(rows)}
+    <p class="legend">
+        <span><i style="background: ${COLORS.arrival}"></i>Arriving</span>
+        <span><i style="background: ${COLORS.departure}"></i>Departing</span>
+        <span><i style="background: ${COLORS.wait}; height: 2px"></i>Longest expected wait</span>
+    </p>
+</section>
+
+<section>
+    <h2>Busy periods</h2>
+    ${windows.length ? `<ul>${windows.join('')}</ul>` : '<p>No Busy or Very Busy periods predicted.</p>'}
+</section>
+
+<section>
+    <h2>Hourly breakdown</h2>
+    <table>
+        <thead><tr><th>Hour</th><th>Arrivals</th><th>Departures</th><th>People arriving</th><th>People departing</th><th>Longest wait</th><th>Level</th></tr></thead>
+        <tbody>
+            ${rows.filter(row => row.arrivals || row.departures || row.arrivalPassengers || row.departurePassengers).map(row => `<tr>
+                <td>${row.hour}</td><td>${row.arrivals}</td><td>${row.departures}</td>
+                <td>${row.arrivalPassengers}</td><td>${row.departurePassengers}</td>
+                <td>${row.peakWait} min</td><td class="level-${row.level}">${LEVELS[row.level].text}</td>
+            </tr>`).join('')}
+        </tbody>
+    </table>
+</section>
+
+<section>
+    <h2>Tips for travellers</h2>
+    <ul>${travelTips(queue, profile).map(tip => `<li>${escapeHtml(tip)}</li>`).join('')}</ul>
+</section>
+
+<section>
+    <h2>Timetable (${flights.length} flights)</h2>
+    <table>
+        <thead><tr><th>Time</th><th>Flight</th><th>Airline</th><th>Route</th><th>Aircraft</th><th>Pax</th><th>Type</th><th>Status</th></tr></thead>
+        <tbody>${flights.map(flight => flightRow(flight, tz)).join('')}</tbody>
+    </table>
+</section>
+${options.autoPrint ? '<script>window.addEventListener(\'load\', () => window.print());</script>' : ''}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    LEVELS,
+    escapeHtml,
+    hourlyBreakdown,
+    renderReport
+};
@@ -0,0 +1,168 @@
+// Seat capacity and load factors
+// Turns a flight's aircraft type and operator into an expected passenger headcount:
+//   seats     - the operator's own cabin layout for that type when known, else a typical layout
+//   load      - seasonal load factor for the month, adjusted for the route's market
+// Each estimate carries a confidence: 'high' (operator layout), 'medium' (typical layout for
+// the type) or 'low' (unknown type, default seats)
+
+const DEFAULT_SEATS = 180;
+
+// Typical seats by ICAO type designator (two-class layouts for wide-bodies)
+const TYPE_SEATS = {
+    // Airbus narrow-body
+    'A318': 132, 'A319': 144, 'A19N': 150, 'A320': 180, 'A20N': 186,
+    'A321': 210, 'A21N': 220, 'BCS1': 115, 'BCS3': 140,
+
+    // Airbus wide-body
+    'A306': 260, 'A332': 260, 'A333': 290, 'A338': 250, 'A339': 290,
+    'A342': 260, 'A343': 280, 'A345': 300, 'A346': 350,
+    'A359': 315, 'A35K': 360, 'A388': 500,
+
+    // Boeing narrow-body
+    'B712': 110, 'B733': 140, 'B734': 150, 'B735': 120, 'B736': 120,
+    'B737': 140, 'B738': 186, 'B739': 180, 'B37M': 150, 'B38M': 186,
+    'B39M': 190, 'B3XM': 200, 'B752': 190, 'B753': 240,
+
+    // Boeing wide-body
+    'B762': 210, 'B763': 230, 'B764': 240, 'B772': 300, 'B773': 340,
+    'B77L': 300, 'B77W': 360, 'B778': 350, 'B779': 400,
+    'B788': 240, 'B789': 270, 'B78X': 320, 'B744': 380, 'B748': 360,
+
+    // Embraer
+    'E135': 37, 'E145': 50, 'E170': 72, 'E75S': 76, 'E75L': 76,
+    'E190': 100, 'E195': 118, 'E290': 108, 'E295': 132,
+
+    // Bombardier, Sukhoi, Fokker
+    'CRJ2': 50, 'CRJ7': 70, 'CRJ9': 86, 'CRJX': 100, 'SU95': 98, 'F100': 100,
+
+    // Turboprops
+    'AT43': 48, 'AT45': 48, 'AT72': 70, 'AT75': 70, 'AT76': 72,
+    'DH8A': 37, 'DH8B': 37, 'DH8C': 50, 'DH8D': 78,
+
+    // Business jets
+    'C56X': 8, 'C68A': 9, 'C700': 12, 'CL35': 9, 'CL60': 10, 'E55P': 8,
+    'F2TH': 10, 'FA7X': 14, 'FA8X': 14, 'GLEX': 14, 'GL5T': 14, 'GL7T': 17,
+    'GLF4': 14, 'GLF5': 16, 'GLF6': 16, 'H25B': 8, 'LJ45': 8, 'PC12': 8, 'PC24': 8
+};
+
+// Twin-aisle types (slower to deplane and board, see lib/passengerFlow.js)
+const WIDE_BODY_TYPES = new Set([
+    'A306', 'A332', 'A333', 'A338', 'A339', 'A342', 'A343', 'A345', 'A346', 'A359', 'A35K', 'A388',
+    'B762', 'B763', 'B764', 'B772', 'B773', 'B77L', 'B77W', 'B778', 'B779', 'B788', 'B789', 'B78X',
+    'B744', 'B748'
+]);
+
+// Operator-specific layouts by airline ICAO code, for the carriers that dominate
+// passport-control traffic at the Portuguese airports
+const OPERATOR_SEATS = {
+    TAP: { 'A319': 144, 'A320': 174, 'A20N': 174, 'A321': 216, 'A21N': 204, 'A332': 269, 'A339': 298, 'E190': 106, 'E195': 118, 'AT76': 70 }, // A21N: mix of 232-seat neo and 171-seat LR
+    AZU: { 'A332': 272, 'A339': 298, 'A20N': 174, 'E195': 118, 'E295': 136 },  // Azul
+    TAM: { 'A320': 174, 'A321': 220, 'B763': 221, 'B77W': 410, 'B789': 296 },  // LATAM Brasil
+    UAL: { 'B752': 176, 'B753': 234, 'B763': 167, 'B764': 231, 'B772': 276, 'B77W': 350, 'B788': 243, 'B789': 257, 'B78X': 318 },
+    DAL: { 'A332': 234, 'A333': 282, 'A339': 281, 'A359': 306, 'B752': 160, 'B763': 211, 'B764': 238 },
+    AAL: { 'B772': 273, 'B77W': 304, 'B788': 234, 'B789': 285 },
+    ACA: { 'BCS3': 137, 'A333': 297, 'B77W': 400, 'B788': 255, 'B789': 298 },  // Air Canada
+    TSC: { 'A21N': 199, 'A332': 332, 'A333': 345 },                            // Air Transat
+    BAW: { 'A319': 143, 'A320': 168, 'A20N': 168, 'A321': 205, 'A21N': 200, 'E190': 98, 'A359': 331, 'A35K': 331, 'A388': 469, 'B772': 272, 'B77W': 297, 'B788': 214, 'B789': 216, 'B78X': 256 },
+    EZY: { 'A319': 156, 'A320': 186, 'A20N': 186, 'A21N': 235 },               // easyJet UK
+    EJU: { 'A319': 156, 'A320': 186, 'A20N': 186, 'A21N': 235 },               // easyJet Europe
+    RYR: { 'B738': 189, 'B38M': 197 },                                         // Ryanair
+    RUK: { 'B738': 189, 'B38M': 197 },                                         // Ryanair UK
+    EXS: { 'B733': 148, 'B738': 189, 'B752': 235, 'A21N': 232 },               // Jet2
+    TOM: { 'B738': 189, 'B38M': 189, 'B788': 291, 'B789': 345 },               // TUI Airways
+    WUK: { 'A321': 230, 'A21N': 239 },                                         // Wizz Air UK
+    WZZ: { 'A320': 180, 'A321': 230, 'A21N': 239 },                            // Wizz Air
+    EIN: { 'A320': 174, 'A20N': 186, 'A21N': 184, 'A332': 317, 'A333': 317 },  // Aer Lingus
+    RZO: { 'A20N': 168, 'A21N': 190 },                                         // Azores Airlines
+    SAT: { 'DH8B': 37, 'DH8D': 80 },                                           // SATA Air Açores
+    UAE: { 'B77W': 360, 'A388': 489 },                                         // Emirates
+    QTR: { 'A359': 283, 'A35K': 327, 'A388': 517, 'B77W': 354, 'B788': 254, 'B789': 311 },
+    THY: { 'A321': 180, 'A21N': 182, 'A332': 250, 'A333': 289, 'A359': 329, 'B738': 151, 'B38M': 151, 'B77W': 349, 'B789': 300 },
+    RAM: { 'B738': 159, 'B788': 274, 'B789': 302, 'E190': 96 }                 // Royal Air Maroc
+};
+
+// Average share of seats sold by month (January first), European short and long haul
+const SEASONAL_LOAD_FACTORS = [0.76, 0.78, 0.80, 0.83, 0.84, 0.87, 0.89, 0.90, 0.86, 0.84, 0.79, 0.81];
+
+// Route markets (ISO country of the other airport) that run fuller or emptier than the season
+const MARKET_ADJUSTMENTS = {
+    BR: 0.03,   // Brazil - VFR and tourism demand year-round
+    US: 0.02,
+    CA: 0.02,
+    CV: 0.02,   // Cape Verde
+    AO: 0.02,   // Angola
+    GB: 0.01,
+    MA: -0.03   // Morocco - short hops with spare capacity
+};
+
+const MIN_LOAD_FACTOR = 0.5;
+const MAX_LOAD_FACTOR = 0.97;
+
+/**
+ * Normalize an aircraft type to its ICAO designator ("a320-200" -> "A320")
+ */
+function normalizeType(aircraftType) {
+    return String(aircraftType || '').toUpperCase().trim().split(/[-/\s]/)[0];
+}
+
+/**
+ * Seats on a flight, from the operator's layout or the typical layout for the type
+ * @returns {{seats: number, confidence: 'high'|'medium'|'low'}}
+ */
+function seatCapacity(aircraftType, operator) {
+    const type = normalizeType(aircraftType);
+    const operatorSeats = OPERATOR_SEATS[String(operator || '').toUpperCase()];
+
+    if (operatorSeats && operatorSeats[type]) {
+        return { seats: operatorSeats[type], confidence: 'high' };
+    }
+    if (TYPE_SEATS[type]) {
+        return { seats: TYPE_SEATS[type], confidence: 'medium' };
+    }
+    return { seats: DEFAULT_SEATS, confidence: 'low' };
+}
+
+/**
+ * Whether an aircraft type is a wide-body (twin-aisle)
+ */
+function isWideBody(aircraftType) {
+    return WIDE_BODY_TYPES.has(normalizeType(aircraftType));
+}
+
+/**
+ * Expected load factor for a flight date and the country at the other end of the route
+ */
+function loadFactor(date, countryCode) {
+    const month = date ? new Date(date).getUTCMonth() : NaN;
+    const seasonal = Number.isNaN(month)
+        ? SEASONAL_LOAD_FACTORS.reduce((sum, value) => sum + value, 0) / 12
+        : SEASONAL_LOAD_FACTORS[month];
+    const adjusted = seasonal + (MARKET_ADJUSTMENTS[countryCode] || 0);
+
+    return Math.round(Math.min(MAX_LOAD_FACTOR, Math.max(MIN_LOAD_FACTOR, adjusted)) * 100) / 100;
+}
+
+/**
+ * Expected passengers on board: seats × load factor
+ * @param {Object} flight - { aircraftType, operator, date, countryCode }
+ * @returns {{passengers: number, seats: number, loadFactor: number, confidence: string}}
+ */
+function estimatePassengers({ aircraftType, operator, date, countryCode }) {
+    const { seats, confidence } = seatCapacity(aircraftType, operator);
+    const load = loadFactor(date, countryCode);
+
+    return {
+        passengers: Math.round(seats * load),
+        seats,
+        loadFactor: load,
+        confidence
+    };
+}
+
+module.exports = {
+    DEFAULT_SEATS,
+    seatCapacity,
+    isWideBody,
+    loadFactor,
+    estimatePassengers
+};
@@ -0,0 +1,200 @@
+// Minimal SMTP client for alert emails
+// One connection per message: EHLO, STARTTLS when the server offers it, AUTH PLAIN, one recipient
+// Credentials are only ever sent over TLS - a server that offers neither smtps nor STARTTLS is refused
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+class SmtpClient {
+    /**
+     * @param {string} url - smtp://[user:password@]host[:port] (STARTTLS, port 587 by default)
+     *                       or smtps://... (implicit TLS, port 465 by default)
+     */
+    constructor(url, { timeout = 10000 } = {}) {
+        const parsed = new URL(url);
+        this.host = parsed.hostname;
+        this.secure = parsed.protocol === 'smtps:';
+        this.port = parseInt(parsed.port, 10) || (this.secure ? 465 : 587);
+        this.username = decodeURIComponent(parsed.username || '');
+        this.password = decodeURIComponent(parsed.password || '');
+        this.timeout = timeout;
+    }
+
+    /**
+     * Send a plain-text message
+     * @param {Object} message - { from, to, subject, text, headers }
+     */
+    async send({ from, to, subject, text, headers = {} }) {
+        const session = await this.open();
+
+        try {
+            await session.reply(220);
+            let features = await session.command(`EHLO ${os.hostname()}`, 250);
+
+            let encrypted = this.secure;
+            if (!encrypted && /^STARTTLS$/im.test(features)) {
+                await session.command('STARTTLS', 220);
+                await session.upgrade(this.host);
+                features = await session.command(`EHLO ${os.hostname()}`, 250);
+                encrypted = true;
+            }
+
+            if (this.username) {
+                if (!encrypted) {
+                    throw new Error(`SMTP server ${this.host}:${this.port} does not offer STARTTLS - refusing to send credentials unencrypted`);
+                }
+                const credentials = Buffer.from(`\0${this.username}\0${this.password}`).toString('base64');
+                await session.command(`AUTH PLAIN ${credentials}`, 235);
+            }
+
+            await session.command(`MAIL FROM:<${from}>`, 250);
+            await session.command(`RCPT TO:<${to}>`, [250, 251]);
+            await session.command('DATA', 354);
+            await session.command(`${formatMessage({ from, to, subject, text, headers })}\r\n.`, 250);
+            await session.command('QUIT', 221).catch(() => {});
+        } finally {
+            session.close();
+        }
+    }
+
+    // Connect and wrap the socket in a reply reader
+    open() {
+        return new Promise((resolve, reject) => {
+            const options = { host: this.host, port: this.port };
+            const socket = this.secure
+                ? tls.connect({ ...options, servername: this.host })
+                : net.connect(options);
+
+            socket.setTimeout(this.timeout, () => {
+                socket.destroy(new Error(`SMTP timeout (${this.host}:${this.port})`));
+            });
+            socket.once(this.secure ? 'secureConnect' : 'connect', () => resolve(new SmtpSession(socket, this.timeout)));
+            socket.once('error', reject);
+        });
+    }
+}
+
+/**
+ * One SMTP conversation: write commands, read (multi-line) replies
+ */
+class SmtpSession {
+    constructor(socket, timeout) {
+        this.timeout = timeout;
+        this.buffer = '';
+        this.waiting = null;
+        this.failure = null;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        socket.setEncoding('utf8');
+        socket.on('data', chunk => {
+            this.buffer += chunk;
+            this.deliver();
+        });
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    }
+
+    fail(error) {
+        this.failure = this.failure || error;
+        if (this.waiting) {
+            const { reject } = this.waiting;
+            this.waiting = null;
+            reject(this.failure);
+        }
+    }
+
+    // Resolve the pending read once a complete reply ("250-..." lines ending with "250 ...") is buffered
+    deliver() {
+        if (!this.waiting) return;
+
+        const match = /(?:^|\r\n)(\d{3}) [^\r\n]*\r\n/.exec(this.buffer);
+        if (!match) return;
+
+        const end = match.index + match[0].length;
+        const text = this.buffer.slice(0, end);
+        this.buffer = this.buffer.slice(end);
+
+        const { resolve } = this.waiting;
+        this.waiting = null;
+        resolve({ code: parseInt(match[1], 10), text });
+    }
+
+    /**
+     * Read the next reply and check its code
+     */
+    async reply(expected) {
+        if (this.failure) throw this.failure;
+
+        const { code, text } = await new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+            this.deliver();
+        });
+
+        const accepted = Array.isArray(expected) ? expected : [expected];
+        if (!accepted.includes(code)) {
+            throw new Error(`SMTP error: ${text.trim()}`);
+        }
+        return text;
+    }
+
+    async command(line, expected) {
+        this.socket.write(`${line}\r\n`);
+        return this.reply(expected);
+    }
+
+    // Switch the open connection to TLS after STARTTLS
+    upgrade(servername) {
+        return new Promise((resolve, reject) => {
+            const plain = this.socket;
+            plain.removeAllListeners('data');
+            plain.removeAllListeners('close');
+
+            const secure = tls.connect({ socket: plain, servername }, () => resolve());
+            secure.setTimeout(this.timeout, () => secure.destroy(new Error('SMTP timeout')));
+            secure.once('error', reject);
+            this.buffer = '';
+            this.attach(secure);
+        });
+    }
+
+    close() {
+        this.socket.end();
+        this.socket.destroy();
+    }
+}
+
+/**
+ * RFC 5322 message with UTF-8 subject and body, dot-stuffed for DATA
+ */
+function formatMessage({ from, to, subject, text, headers }) {
+    const encodedSubject = /^[\x20-\x7e]*$/.test(subject)
+        ? subject
+        : `=?UTF-8?B?${Buffer.from(subject).toString('base64')}?=`;
+    const domain = from.split('@')[1] || 'localhost';
+
+    const lines = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${encodedSubject}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit',
+        ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+        '',
+        ...text.replace(/\r?\n/g, '\n').split('\n')
+    ];
+
+    // Lines starting with a dot get a second one so they don't end DATA early
+    return lines.map(line => (line.startsWith('.') ? `.${line}` : line)).join('\r\n');
+}
+
+module.exports = {
+    SmtpClient
+};
@@ -0,0 +1,127 @@
+// Time zone helpers for airport-local days and hours
+// Uses Intl so DST transitions (WET/WEST, Azores) come from the platform tz database
+
+const formatters = new Map();
+
+/**
+ * Cached Intl formatter returning numeric date/time parts in a time zone
+ */
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-GB', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @returns {{year, month, day, hour, minute, second}} numbers
+ */
+function zonedParts(date, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    });
+    return parts;
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant, in minutes (WEST = +60, Azores winter = -60)
+ */
+function zoneOffsetMinutes(date, timeZone) {
+    const p = zonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * UTC instant of a local wall-clock time (YYYY-MM-DD, HH:MM) in a time zone
+ */
+function zonedTimeToUtc(dateStr, timeStr, timeZone) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const [hour, minute] = timeStr.split(':').map(Number);
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Try the offset before and after a possible DST switch, and keep the earliest
+    // candidate that falls on the requested date (the Azores skip midnight in March)
+    const first = guess - zoneOffsetMinutes(new Date(guess), timeZone) * 60000;
+    const second = guess - zoneOffsetMinutes(new Date(first), timeZone) * 60000;
+    const candidates = [first, second]
+        .filter(instant => localDateString(instant, timeZone) === dateStr)
+        .sort((a, b) => a - b);
+
+    return new Date(candidates.length > 0 ? candidates[0] : first);
+}
+
+/**
+ * UTC instant of local midnight for a YYYY-MM-DD date in a time zone
+ */
+function zonedMidnight(dateStr, timeZone) {
+    return zonedTimeToUtc(dateStr, '00:00', timeZone);
+}
+
+/**
+ * Calendar date N days after a YYYY-MM-DD date (negative for earlier dates)
+ */
+function addDays(dateStr, days) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+/**
+ * Start and end of a local calendar day as UTC instants
+ * The day is 23 or 25 hours long on DST switch days
+ */
+function localDayRange(dateStr, timeZone) {
+    const start = zonedMidnight(dateStr, timeZone);
+    const end = zonedMidnight(addDays(dateStr, 1), timeZone);
+
+    return {
+        start,
+        end,
+        minutes: Math.round((end - start) / 60000)
+    };
+}
+
+/**
+ * Local HH:MM for an instant
+ */
+function formatLocalTime(date, timeZone) {
+    const p = zonedParts(new Date(date), timeZone);
+    return `${p.hour.toString().padStart(2, '0')}:${p.minute.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Local YYYY-MM-DD for an instant
+ */
+function localDateString(date, timeZone) {
+    const p = zonedParts(new Date(date), timeZone);
+    return `${p.year}-${p.month.toString().padStart(2, '0')}-${p.day.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Format an instant as ISO8601 without milliseconds (what FlightAware expects)
+ */
+function toApiTimestamp(date) {
+    return date.toISOString().split('.')[0] + 'Z';
+}
+
+module.exports = {
+    zonedParts,
+    zoneOffsetMinutes,
+    zonedTimeToUtc,
+    addDays,
+    localDayRange,
+    formatLocalTime,
+    localDateString,
+    toApiTimestamp
+};
@@ -0,0 +1,75 @@
+// Travel tips by crowd level
+// The one list of tips: the printable report renders them and /api/predict sends them to the page
+// (the "tips" field), so the two always agree. Levels come from each airport's wait thresholds, so
+// the tips name no fixed wait - the first one carries the day's predicted peak instead.
+
+const LEVEL_TIPS = {
+    'low': [
+        'Great time to travel! Expect minimal queues',
+        'Perfect conditions for a stress-free journey'
+    ],
+    'medium': [
+        'Moderate crowds expected',
+        'Have documents ready before reaching passport control',
+        'Check online check-in options to save time',
+        'Consider bringing a water bottle to stay hydrated',
+        '📱 Download airport wifi info in case of delays'
+    ],
+    'high': [
+        'Busy period - expect longer queues',
+        '⚡ Bring a powerbank - charging stations may be crowded',
+        '🪑 Consider a portable folding stool for queue comfort',
+        '🥤 Pack snacks and water for potential long waits',
+        '📱 Connect to airport wifi to stay updated on flight status',
+        'Consider fast-track services if available',
+        'Prepare all documents in advance',
+        'Wear comfortable shoes for extended standing'
+    ],
+    'very-high': [
+        '🚨 Very busy period - expect long waits',
+        '🪑 STRONGLY RECOMMENDED: Bring a portable stool or cushion',
+        '⚡ Powerbank is ESSENTIAL - long waits drain batteries',
+        '🍫 Pack substantial snacks (granola bars, sandwiches, fruit)',
+        '💧 Bring a refillable water bottle (fill after security)',
+        '📱 Download movies/books/podcasts for offline entertainment',
+        '📶 Airport wifi: Connect early to stay informed',
+        '💊 Bring any necessary medications in carry-on',
+        '📋 Have passport, boarding pass, and documents easily accessible',
+        '👟 Wear your most comfortable shoes',
+        '🧘 Consider meditation apps to stay calm',
+        'Strongly consider fast-track or premium services',
+        'Check flight status every 30 minutes'
+    ]
+};
+
+/**
+ * Airport-specific tips from the profile registry
+ */
+function airportTips(profile) {
+    const tips = [];
+    if (profile.eGates > 0) {
+        tips.push(`🛂 ${profile.city} has ${profile.eGates} automated e-gates - check if your passport is eligible`);
+    } else {
+        tips.push(`🛂 ${profile.city} has no e-gates - every non-EU passenger goes through a staffed booth`);
+    }
+    if (profile.terminals.length > 1) {
+        tips.push(`🏢 ${profile.iata} has ${profile.terminals.join(' and ')} - check which terminal your airline uses`);
+    }
+    return tips;
+}
+
+/**
+ * Tips for a day's queue forecast at an airport
+ * @param {Object} queue - Queue forecast (crowdLevel, peakWait, peakTime)
+ */
+function travelTips(queue, profile) {
+    const [headline, ...rest] = LEVEL_TIPS[queue.crowdLevel];
+    const peak = queue.peakTime && queue.peakWait > 0 ? ` (up to ≈ ${queue.peakWait} min around ${queue.peakTime})` : '';
+    return [headline + peak, ...rest, ...airportTips(profile)];
+}
+
+module.exports = {
+    LEVEL_TIPS,
+    airportTips,
+    travelTips
+};
@@ -0,0 +1,265 @@
+// Trip planner: "when should I leave for the airport?"
+// Walks a departing traveller through the airport for candidate arrival times and picks the
+// latest one that still reaches the gate before it closes, with a safety buffer:
+//   bag drop (when checking a bag) -> security -> exit passport control -> walk to the gate
+// Passport control uses the predicted departure wait (lib/queueModel.js) at the minute the
+// traveller would join the queue; security is not measured, so it is estimated from the same
+// departure-side crowd level (both fill with the same waves of departing passengers).
+// Bag drop and the gate are planned from the scheduled departure: an estimated delay is reported,
+// but airlines can win the time back and may still close on schedule.
+
+const { crowdLevelForWait } = require('./queueModel');
+const { isWideBody } = require('./seatCapacity');
+const { bestFlightTime } = require('./flightAnalysis');
+const { formatLocalTime, zonedTimeToUtc } = require('./timezone');
+const { parseDate } = require('./apiV1');
+
+const PLAN_CONFIG = {
+    bagDropMinutes: 15,                         // Queue and drop at the desk
+    bagDropClose: { narrow: 40, wide: 60 },     // Desks close this long before departure
+    gateClose: { narrow: 20, wide: 30 },        // Boarding gate closes this long before departure
+    walkToGateMinutes: 10,
+    bufferMinutes: 15,
+    securityMinutes: { 'low': 10, 'medium': 15, 'high': 25, 'very-high': 35 },
+    stepMinutes: 5,                             // Granularity of the recommended arrival time
+    earliestArrival: 6 * 60                     // Never look further back than this before departure
+};
+
+const MAX_TRAVEL_MINUTES = 6 * 60;
+
+const LEVEL_LABELS = { 'low': 'Quiet', 'medium': 'Moderate', 'high': 'Busy', 'very-high': 'Very Busy' };
+
+/**
+ * Thrown for a trip the planner can't work with (unknown flight, bad time) - the API answers 400/404
+ */
+class TripPlanError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'TripPlanError';
+        this.status = status;
+    }
+}
+
+/**
+ * Trip from query parameters (shared by /api/plan and /api/calendar)
+ * @param {Object} query - { date, flight, time, bag, travel, schengen }
+ * @returns {Object} trip for planTrip
+ */
+function tripFromQuery(query, profile) {
+    const { date, flight, time } = query;
+
+    // Same window as /api/predict: today to 2 days ahead at the airport
+    try {
+        parseDate(date, profile);
+    } catch (error) {
+        throw new TripPlanError(error.message);
+    }
+
+    if (!flight && !time) {
+        throw new TripPlanError('Give a flight number (flight) or a departure time (time)');
+    }
+    if (time && !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+        throw new TripPlanError('time must be HH:MM (airport-local)');
+    }
+
+    const travelMinutes = query.travel === undefined ? 0 : parseInt(query.travel, 10);
+    if (!Number.isInteger(travelMinutes) || travelMinutes < 0 || travelMinutes > MAX_TRAVEL_MINUTES) {
+        throw new TripPlanError(`travel must be between 0 and ${MAX_TRAVEL_MINUTES} minutes`);
+    }
+
+    const isTrue = value => value === '1' || value === 'true';
+    return {
+        date,
+        flight,
+        time,
+        checkedBag: isTrue(query.bag),
+        travelMinutes,
+        passportControl: !isTrue(query.schengen)
+    };
+}
+
+/**
+ * Canonical flight number: "tp 0123" -> "TP123", "TAP123" stays ICAO
+ */
+function normalizeFlightNumber(value) {
+    const compact = String(value || '').toUpperCase().replace(/[\s-]/g, '');
+    const match = /^([A-Z]{3}|[A-Z0-9]{2})0*(\d{1,4}[A-Z]?)$/.exec(compact);
+    return match ? `${match[1]}${match[2]}` : compact;
+}
+
+/**
+ * A departure by flight number (ICAO "TAP123" or IATA "TP123") among the day's passport-control departures
+ * @returns {{flight: Object, cancelled: boolean}|null}
+ */
+function findDeparture(analysis, flightNumber) {
+    const wanted = normalizeFlightNumber(flightNumber);
+    const matches = flight => flight.type === 'departure' && [flight.flightNumber, flight.flightNumberIata]
+        .some(number => number && normalizeFlightNumber(number) === wanted);
+
+    const flight = (analysis.departures || []).find(matches);
+    if (flight) return { flight, cancelled: false };
+
+    const cancelled = (analysis.cancelledFlights || []).find(matches);
+    return cancelled ? { flight: cancelled, cancelled: true } : null;
+}
+
+// Predicted wait at exit passport control for someone joining the queue at a given instant
+function departureWaitAt(queue, time) {
+    const slotMs = queue.slotMinutes * 60000;
+    const slot = queue.slots.find(s => {
+        const start = new Date(s.start).getTime();
+        return time >= start && time < start + slotMs;
+    });
+    return slot ? slot.departureWait : 0;
+}
+
+// Steps from the airport entrance to the gate for one arrival time
+function walkThrough(arrival, trip, queue, config) {
+    const steps = [];
+    let time = arrival;
+
+    const addStep = (step, minutes, extra = {}) => {
+        steps.push({ step, at: new Date(time).toISOString(), minutes, ...extra });
+        time += minutes * 60000;
+    };
+
+    if (trip.checkedBag) {
+        addStep('bag-drop', config.bagDropMinutes);
+    }
+
+    const securityLevel = crowdLevelForWait(departureWaitAt(queue, time), queue.waitThresholds);
+    addStep('security', config.securityMinutes[securityLevel], { level: securityLevel });
+
+    if (trip.passportControl) {
+        const wait = Math.round(departureWaitAt(queue, time));
+        addStep('passport-control', wait, { level: crowdLevelForWait(wait, queue.waitThresholds) });
+    }
+
+    addStep('walk-to-gate', config.walkToGateMinutes);
+    return { steps, atGate: time };
+}
+
+/**
+ * Recommended time to reach the airport and to leave for it, from the scheduled departure
+ * @param {Object} analysis - Day analysis with departures (lib/prediction.js)
+ * @param {Object} queue - Queue forecast for the same day
+ * @param {Object} profile - Airport profile
+ * @param {Object} trip - { date, flight?: flight number, time?: 'HH:MM' local departure, checkedBag, travelMinutes }
+ */
+function planTrip(analysis, queue, profile, trip, config = PLAN_CONFIG) {
+    const tz = profile.timeZone;
+    let flight = null;
+    let departure;
+    let expected = null;
+
+    if (trip.flight) {
+        const found = findDeparture(analysis, trip.flight);
+        if (found && found.cancelled) {
+            throw new TripPlanError(`${found.flight.flightNumber} on ${trip.date} is cancelled - check with your airline`, 409);
+        }
+        if (found) {
+            flight = found.flight;
+            departure = new Date(flight.scheduledTime || bestFlightTime(flight)).getTime();
+            expected = new Date(bestFlightTime(flight)).getTime();
+        } else if (!trip.time) {
+            throw new TripPlanError(
+                `${normalizeFlightNumber(trip.flight)} is not among ${profile.iata}'s passport-control departures on ${trip.date}. ` +
+                'Flights to Schengen countries skip passport control - enter the departure time instead.',
+                404
+            );
+        }
+    }
+    if (!departure) {
+        departure = zonedTimeToUtc(trip.date, trip.time, tz).getTime();
+    }
+
+    // A departure time on its own is taken to need passport control unless it's a Schengen trip
+    const passportControl = flight ? true : trip.passportControl !== false;
+    const bodyType = flight && isWideBody(flight.aircraftType) ? 'wide' : 'narrow';
+    const gateCloses = departure - config.gateClose[bodyType] * 60000;
+    const bagDropCloses = trip.checkedBag ? departure - config.bagDropClose[bodyType] * 60000 : null;
+    const route = { checkedBag: trip.checkedBag, passportControl };
+
+    // Latest arrival, on the step grid, that makes the gate with the buffer to spare
+    const stepMs = config.stepMinutes * 60000;
+    const earliest = departure - config.earliestArrival * 60000;
+    let arrival = Math.floor(departure / stepMs) * stepMs;
+    let walk = null;
+
+    for (; arrival >= earliest; arrival -= stepMs) {
+        if (bagDropCloses && arrival > bagDropCloses - config.bagDropMinutes * 60000) continue;
+        walk = walkThrough(arrival, route, queue, config);
+        if (walk.atGate + config.bufferMinutes * 60000 <= gateCloses) break;
+        walk = null;
+    }
+
+    const warnings = [];
+    if (!walk) {
+        arrival = earliest;
+        walk = walkThrough(arrival, route, queue, config);
+        warnings.push(`Queues are predicted to be so long that even arriving ${config.earliestArrival / 60} hours early may not be enough - consider fast-track`);
+    }
+
+    const leave = arrival - (trip.travelMinutes || 0) * 60000;
+    const clock = time => formatLocalTime(time, tz);
+    const border = walk.steps.find(step => step.step === 'passport-control');
+    const security = walk.steps.find(step => step.step === 'security');
+
+    const delayed = flight && flight.delayMinutes >= 15;
+    const reasons = [
+        `${flight ? `${flight.flightNumber} to ${flight.destination}` : 'Your flight'} ${flight ? 'is scheduled at' : 'leaves at'} ${clock(departure)}` +
+            `; the gate closes at ${clock(gateCloses)}`,
+        ...(delayed ? [`It is expected to leave around ${clock(expected)} (${flight.delayMinutes} min late) - ` +
+            'this plan still keeps to the scheduled time, as the delay may shrink and bag drop and boarding can close on schedule'] : []),
+        ...(bagDropCloses ? [`Bag drop closes at ${clock(bagDropCloses)} - allow ${config.bagDropMinutes} min at the desk`] : []),
+        `Security around ${clock(new Date(security.at))}: about ${security.minutes} min (${LEVEL_LABELS[security.level]} departure period)`,
+        ...(border ? [`Passport control around ${clock(new Date(border.at))}: ≈ ${border.minutes} min predicted wait (${LEVEL_LABELS[border.level]})`] : []),
+        `${config.walkToGateMinutes} min to walk to the gate and a ${config.bufferMinutes} min buffer`,
+        ...(trip.travelMinutes ? [`${trip.travelMinutes} min to get to the airport`] : [])
+    ];
+
+    // The forecast covers the selected day only
+    if (border && new Date(border.at) < new Date(queue.slots[0].start)) {
+        warnings.push('Passport control would be reached before this day\'s forecast starts - its wait is not predicted');
+    }
+
+    // A busier wave shortly after the recommended time is worth knowing about
+    if (border) {
+        const laterWait = departureWaitAt(queue, new Date(border.at).getTime() + 30 * 60000);
+        if (laterWait >= border.minutes + 15) {
+            warnings.push(`Passport control gets busier soon after (≈ ${Math.round(laterWait)} min 30 min later) - don't be late`);
+        }
+    }
+
+    return {
+        flight: flight && {
+            flightNumber: flight.flightNumber,
+            flightNumberIata: flight.flightNumberIata || null,
+            destination: flight.destination,
+            scheduledTime: flight.scheduledTime,
+            status: flight.status,
+            delayMinutes: flight.delayMinutes,
+            aircraftType: flight.aircraftType
+        },
+        departureTime: new Date(departure).toISOString(),
+        expectedDepartureTime: expected !== null && expected !== departure ? new Date(expected).toISOString() : null,
+        gateCloses: new Date(gateCloses).toISOString(),
+        bagDropCloses: bagDropCloses && new Date(bagDropCloses).toISOString(),
+        arriveBy: new Date(arrival).toISOString(),
+        leaveBy: new Date(leave).toISOString(),
+        minutesBeforeDeparture: Math.round((departure - arrival) / 60000),
+        timeZone: tz,
+        steps: walk.steps,
+        reasons,
+        warnings
+    };
+}
+
+module.exports = {
+    PLAN_CONFIG,
+    TripPlanError,
+    tripFromQuery,
+    normalizeFlightNumber,
+    findDeparture,
+    planTrip
+};
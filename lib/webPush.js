@@ -0,0 +1,158 @@
+// Web Push (RFC 8030) with VAPID authentication (RFC 8292) and aes128gcm payload encryption (RFC 8291)
+// Keys come from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (base64url, as printed by generateVapidKeys)
+// and VAPID_SUBJECT (a mailto: or https: contact for the push services)
+
+const crypto = require('crypto');
+
+const RECORD_SIZE = 4096;
+const TOKEN_LIFETIME = 12 * 60 * 60;   // VAPID tokens may live at most 24 hours
+const DEFAULT_TTL = 6 * 60 * 60;       // How long a push service keeps an undelivered message
+const PUSH_TIMEOUT = 10000;
+
+/**
+ * Thrown when the push service says the subscription no longer exists (404/410)
+ */
+class PushSubscriptionGoneError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PushSubscriptionGoneError';
+    }
+}
+
+function base64url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+/**
+ * New VAPID key pair, base64url-encoded (uncompressed P-256 public key, raw private key)
+ */
+function generateVapidKeys() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    return { publicKey: base64url(ecdh.getPublicKey()), privateKey: base64url(ecdh.getPrivateKey()) };
+}
+
+/**
+ * VAPID settings from the environment, or null when push isn't configured
+ */
+function vapidConfig(env = process.env) {
+    if (!env.VAPID_PUBLIC_KEY || !env.VAPID_PRIVATE_KEY || !env.VAPID_SUBJECT) return null;
+    return { publicKey: env.VAPID_PUBLIC_KEY, privateKey: env.VAPID_PRIVATE_KEY, subject: env.VAPID_SUBJECT };
+}
+
+/**
+ * Signed VAPID JWT for a push service origin
+ */
+function vapidToken(audience, vapid, now = Date.now()) {
+    const publicKey = Buffer.from(vapid.publicKey, 'base64url');
+    const key = crypto.createPrivateKey({
+        format: 'jwk',
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: base64url(publicKey.subarray(1, 33)),
+            y: base64url(publicKey.subarray(33, 65)),
+            d: vapid.privateKey
+        }
+    });
+
+    const header = base64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const claims = base64url(JSON.stringify({
+        aud: audience,
+        exp: Math.floor(now / 1000) + TOKEN_LIFETIME,
+        sub: vapid.subject
+    }));
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+
+    return `${header}.${claims}.${base64url(signature)}`;
+}
+
+/**
+ * Encrypt a payload for one subscription (single aes128gcm record)
+ * @param {Object} keys - The subscription's { p256dh, auth }, base64url
+ * @param {Buffer|string} payload
+ * @param {Object} [options] - { salt, serverKeys: ECDH } fixed values, for checking against the RFC example
+ * @returns {Buffer} Request body: header (salt, record size, server public key) + ciphertext
+ */
+function encryptPayload(keys, payload, { salt = crypto.randomBytes(16), serverKeys } = {}) {
+    const clientPublicKey = Buffer.from(keys.p256dh, 'base64url');
+    const authSecret = Buffer.from(keys.auth, 'base64url');
+
+    const ecdh = serverKeys || crypto.createECDH('prime256v1');
+    if (!serverKeys) ecdh.generateKeys();
+    const serverPublicKey = ecdh.getPublicKey();
+    const sharedSecret = ecdh.computeSecret(clientPublicKey);
+
+    // Input keying material bound to both public keys, then the content key and nonce
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientPublicKey, serverPublicKey]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+    const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    // 0x02 marks the last (and only) record
+    const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+    if (plaintext.length + 16 > RECORD_SIZE) {
+        throw new Error('Push payload too large');
+    }
+
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverPublicKey.length, 20);
+
+    return Buffer.concat([header, serverPublicKey, ciphertext]);
+}
+
+/**
+ * Send an encrypted message to a browser push subscription
+ * @param {Object} subscription - PushSubscription JSON: { endpoint, keys: { p256dh, auth } }
+ * @param {Object} payload - JSON-serialisable message for the service worker
+ * @param {Object} [options] - { ttl: seconds, urgency }
+ */
+async function sendNotification(subscription, payload, { ttl = DEFAULT_TTL, urgency = 'normal', env = process.env } = {}) {
+    const vapid = vapidConfig(env);
+    if (!vapid) {
+        throw new Error('Web Push is not configured (VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT)');
+    }
+
+    const endpoint = new URL(subscription.endpoint);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), PUSH_TIMEOUT);
+
+    try {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Authorization': `vapid t=${vapidToken(endpoint.origin, vapid)}, k=${vapid.publicKey}`,
+                'Content-Encoding': 'aes128gcm',
+                'Content-Type': 'application/octet-stream',
+                'TTL': String(Math.max(0, Math.round(ttl))),
+                'Urgency': urgency
+            },
+            body: encryptPayload(subscription.keys, JSON.stringify(payload)),
+            redirect: 'error',
+            signal: controller.signal
+        });
+
+        if (response.status === 404 || response.status === 410) {
+            throw new PushSubscriptionGoneError(`Push subscription expired (${response.status})`);
+        }
+        if (!response.ok) {
+            throw new Error(`Push service returned ${response.status}`);
+        }
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+module.exports = {
+    PushSubscriptionGoneError,
+    generateVapidKeys,
+    vapidConfig,
+    vapidToken,
+    encryptPayload,
+    sendNotification
+};
@@ -0,0 +1,156 @@
+// Embeddable crowd widget
+// A small self-contained HTML page for third-party sites (hotels, travel agencies), framed by
+// widget.js or embedded as an <iframe> directly: "Lisbon airport today: Busy, peak 14:00-15:00"
+// and a mini hourly chart of the expected wait. No external assets, so it renders wherever it's framed.
+
+const { LEVELS, escapeHtml, hourlyBreakdown } = require('./report');
+const { formatLocalTime, zonedParts } = require('./timezone');
+
+const THEMES = {
+    light: { background: '#ffffff', text: '#1a1a1a', muted: '#6b6b6b', border: '#e0e0e0', bar: '#d6e4ea' },
+    dark: { background: '#12212a', text: '#eef3f5', muted: '#9fb3bb', border: '#2b3d47', bar: '#2b4452' }
+};
+
+const DEFAULT_ACCENT = '0a4d68';
+
+/**
+ * Widget options from the query string; bad values fall back to the defaults rather than
+ * breaking a partner's page
+ * @returns {{theme: string, accent: string, chart: boolean}}
+ */
+function widgetOptions(query) {
+    return {
+        theme: ['light', 'dark', 'auto'].includes(query.theme) ? query.theme : 'light',
+        accent: `#${/^([0-9a-f]{3}){1,2}$/i.test(query.accent || '') ? query.accent : DEFAULT_ACCENT}`,
+        chart: query.chart !== '0' && query.chart !== 'false'
+    };
+}
+
+function themeVariables(theme) {
+    return Object.entries(THEMES[theme]).map(([name, value]) => `--${name}: ${value};`).join(' ');
+}
+
+// One bar per local hour, its height the longest expected wait and its colour the crowd level
+function miniChartSvg(rows, peakHour, nowHour) {
+    const width = 288;
+    const height = 56;
+    const labelHeight = 12;
+    const plotHeight = height - labelHeight;
+    const slot = width / rows.length;
+    const maxWait = Math.max(15, ...rows.map(row => row.peakWait));
+
+    const bars = rows.map((row, i) => {
+        const barHeight = Math.max(1, (row.peakWait / maxWait) * plotHeight);
+        const fill = row.peakWait > 0 ? LEVELS[row.level].color : 'var(--bar)';
+        return `<rect x="${(i * slot + 1).toFixed(1)}" y="${(plotHeight - barHeight).toFixed(1)}" width="${(slot - 2).toFixed(1)}" ` +
+            `height="${barHeight.toFixed(1)}" rx="1.5" fill="${fill}"${i === peakHour ? ' class="peak"' : ''}><title>${row.hour} ≈ ${row.peakWait} min</title></rect>`;
+    }).join('');
+
+    const now = `<line x1="${((nowHour + 0.5) * slot).toFixed(1)}" y1="0" x2="${((nowHour + 0.5) * slot).toFixed(1)}" y2="${plotHeight}" stroke="var(--text)" stroke-width="1" stroke-dasharray="2 2"/>`;
+
+    const labels = [0, 6, 12, 18].map(hour =>
+        `<text x="${(hour * slot + 1).toFixed(1)}" y="${height - 1}">${rows[hour].hour}</text>`
+    ).join('');
+
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="Expected passport-control wait by hour">
+        ${bars}${now}
+        <g font-size="9" fill="var(--muted)" font-family="sans-serif">${labels}</g>
+    </svg>`;
+}
+
+// Shared page shell: theme variables, layout, and a resize message so widget.js can fit the frame
+function page(title, body, options) {
+    const colors = options.theme === 'auto'
+        ? `:root { ${themeVariables('light')} } @media (prefers-color-scheme: dark) { :root { ${themeVariables('dark')} } }`
+        : `:root { ${themeVariables(options.theme)} }`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<style>
+    ${colors}
+    :root { --accent: ${options.accent}; }
+    html, body { margin: 0; background: transparent; }
+    .widget { box-sizing: border-box; font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; font-size: 14px; line-height: 1.35;
+        color: var(--text); background: var(--background); border: 1px solid var(--border); border-top: 3px solid var(--accent);
+        border-radius: 10px; padding: 10px 12px; max-width: 320px; }
+    .headline { margin: 0; font-size: 14px; font-weight: 600; }
+    .badge { display: inline-block; padding: 1px 8px; border-radius: 999px; color: #ffffff; font-weight: 700; }
+    .detail, .footer { color: var(--muted); font-size: 12px; margin: 4px 0 0; }
+    .chart { display: block; width: 100%; height: auto; margin-top: 8px; }
+    .chart .peak { stroke: var(--text); stroke-width: 1; }
+    .footer { display: flex; justify-content: space-between; gap: 8px; }
+    a { color: var(--accent); text-decoration: none; font-weight: 600; }
+    a:hover { text-decoration: underline; }
+</style>
+</head>
+<body>
+${body}
+<script>
+    // Let widget.js size the iframe to the content
+    if (window.parent !== window) {
+        window.parent.postMessage({ type: 'pt-airport-queue:resize', height: document.documentElement.scrollHeight }, '*');
+    }
+</script>
+</body>
+</html>`;
+}
+
+/**
+ * Render the widget for an airport's day
+ * @param {Object} prediction - Day analysis with airport profile and queue (withQueueForecast)
+ * @param {string} date - Local date (YYYY-MM-DD), today at the airport
+ * @param {Object} options - widgetOptions() plus { fetchedAt, stale, now }
+ * @returns {string} HTML document
+ */
+function renderWidget(prediction, date, options) {
+    const { airport: profile, queue } = prediction;
+    const tz = profile.timeZone;
+    const level = LEVELS[queue.crowdLevel];
+    const rows = hourlyBreakdown(prediction, queue);
+
+    const peak = rows.reduce((max, row) => (row.peakWait > max.peakWait ? row : max), rows[0]);
+    const peakHour = peak.peakWait > 0 ? rows.indexOf(peak) : null;
+    const peakLabel = peakHour === null ? 'no queue expected'
+        : `peak ${peak.hour}-${String((peakHour + 1) % 24).padStart(2, '0')}:00`;
+    const nowHour = zonedParts(options.now || new Date(), tz).hour;
+
+    const detail = peakHour === null
+        ? 'No non-EU flights expected at passport control'
+        : `Longest expected wait ≈ ${peak.peakWait} min at passport control`;
+    const updated = [
+        options.fetchedAt ? `Updated ${formatLocalTime(options.fetchedAt, tz)}` : null,
+        options.stale ? 'earlier data' : null
+    ].filter(Boolean).join(' · ');
+    // Relative, so it resolves against the widget's own URL inside the iframe - nothing from the
+    // request ends up in the CDN-cached page
+    const link = `/?airport=${encodeURIComponent(profile.iata)}&date=${date}`;
+
+    const body = `<div class="widget">
+    <p class="headline">${escapeHtml(profile.city)} airport today:
+        <span class="badge" style="background: ${level.color}">${level.text}</span>, ${peakLabel}</p>
+    <p class="detail">${detail}</p>
+    ${options.chart ? miniChartSvg(rows, peakHour, nowHour) : ''}
+    <p class="footer"><span>${updated}</span><a href="${escapeHtml(link)}" target="_blank" rel="noopener">Full forecast →</a></p>
+</div>`;
+
+    return page(`${profile.iata} passport control today`, body, options);
+}
+
+/**
+ * The widget's place-holder when there's no forecast to show
+ */
+function renderWidgetError(message, options) {
+    return page('Airport crowd forecast', `<div class="widget"><p class="detail">${escapeHtml(message)}</p></div>`, options);
+}
+
+module.exports = {
+    THEMES,
+    widgetOptions,
+    renderWidget,
+    renderWidgetError
+};
@@ -1,10 +1,3 @@
-// EU Countries (for filtering non-EU flights)
-const EU_COUNTRIES = [
-    'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR',
-    'DE', 'GR', 'HU', 'IE', 'IT', 'LV', 'LT', 'LU', 'MT', 'NL',
-    'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE', 'IS', 'LI', 'NO', 'CH'
-];
-
 // Initialize page
 class FrontendCache {
     constructor(namespace = 'airportQueue') {
@@ -231,13 +224,13 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Set min date to today and max to 2 days from now (FlightAware API limit)
     // According to FlightAware docs: "must be no further than 10 days in the past and 2 days in the future"
+    // "Today" is the calendar day in Portugal, not in UTC or the browser's zone
     const today = new Date();
-    const maxDate = new Date();
-    maxDate.setDate(today.getDate() + 2);
+    const maxDate = new Date(today.getTime() + 2 * 24 * 60 * 60 * 1000);
     
-    dateInput.min = today.toISOString().split('T')[0];
-    dateInput.max = maxDate.toISOString().split('T')[0];
-    dateInput.value = today.toISOString().split('T')[0];
+    dateInput.min = localDateString(today, 'Europe/Lisbon');
+    dateInput.max = localDateString(maxDate, 'Europe/Lisbon');
+    dateInput.value = localDateString(today, 'Europe/Lisbon');
 
     // Enable button when both inputs are selected
     const checkInputs = () => {
@@ -247,6 +240,61 @@ document.addEventListener('DOMContentLoaded', () => {
     airportSelect.addEventListener('change', checkInputs);
     dateInput.addEventListener('change', checkInputs);
 
+    // Show the three-day outlook for the selected airport
+    airportSelect.addEventListener('change', () => {
+        if (airportSelect.value) {
+            fetchAndDisplayOutlook(airportSelect.value);
+        }
+    });
+
+    // Compare all airports for the selected date
+    const compareBtn = document.getElementById('compareBtn');
+    compareBtn.addEventListener('click', () => {
+        if (dateInput.value) {
+            fetchAndDisplayComparison(dateInput.value);
+        }
+    });
+    document.getElementById('closeCompareBtn').addEventListener('click', () => {
+        document.getElementById('compareSection').classList.add('hidden');
+    });
+
+    // Keep the selected day highlighted in the outlook strip
+    dateInput.addEventListener('change', () => {
+        if (currentOutlook && currentOutlook.airport === airportSelect.value) {
+            renderOutlook(currentOutlook);
+        }
+    });
+
+    // Populate the airport list from the profile registry
+    loadAirportProfiles().then(profiles => {
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.iata;
+            option.textContent = profile.label;
+            airportSelect.appendChild(option);
+        });
+        checkInputs();
+
+        // Open the day a notification links to (/?airport=LIS&date=YYYY-MM-DD)
+        const params = new URLSearchParams(window.location.search);
+        const linkedDate = params.get('date');
+        if (airportProfiles[params.get('airport')] && linkedDate && linkedDate >= dateInput.min && linkedDate <= dateInput.max) {
+            airportSelect.value = params.get('airport');
+            dateInput.value = linkedDate;
+            checkInputs();
+            fetchAndDisplayOutlook(airportSelect.value);
+            fetchAndDisplayPrediction(airportSelect.value, linkedDate);
+        } else if (!navigator.onLine) {
+            // Opened without signal - show the last forecast loaded on this device
+            const lastView = frontendCache.get(lastViewKey);
+            if (lastView && airportProfiles[lastView.airport]) {
+                airportSelect.value = lastView.airport;
+                checkInputs();
+                displayOfflinePrediction(lastView.airport, lastView.date);
+            }
+        }
+    });
+
     // Handle predict button click
     predictBtn.addEventListener('click', async () => {
         console.log('🔘 Predict button clicked!');
@@ -277,6 +325,66 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
     
+    // Setup local/UTC time toggle
+    document.querySelectorAll('.time-toggle-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.mode === timeDisplayMode);
+        button.addEventListener('click', () => setTimeDisplayMode(button.dataset.mode));
+    });
+    
+    // Setup live mode toggle, and catch up as soon as a hidden tab is shown again
+    document.getElementById('liveToggle').addEventListener('click', () => setLiveEnabled(!liveEnabled));
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden && liveEnabled && liveTarget && Date.now() - liveUpdatedAt >= LIVE_POLL_INTERVAL) {
+            pollLivePrediction();
+        }
+    });
+    
+    // Back online - replace the offline copy with a fresh prediction
+    window.addEventListener('online', () => {
+        if (offlineView) {
+            fetchAndDisplayPrediction(offlineView.airport, offlineView.date);
+        }
+    });
+    
+    // Setup history view
+    document.getElementById('loadHistoryBtn').addEventListener('click', () => {
+        const airport = airportSelect.value;
+        if (airport) {
+            fetchAndDisplayHistory(airport, document.getElementById('historyDays').value);
+        }
+    });
+    
+    // Setup trip planner (travel time and bag are remembered per browser)
+    const tripSettings = frontendCache.get(tripSettingsKey);
+    if (tripSettings) {
+        document.getElementById('tripTravel').value = tripSettings.travelMinutes;
+        document.getElementById('tripBag').checked = tripSettings.checkedBag;
+    }
+    document.getElementById('tripForm').addEventListener('submit', event => {
+        event.preventDefault();
+        fetchAndDisplayTripPlan(airportSelect.value, dateInput.value);
+    });
+    
+    // Setup crowd alert subscriptions
+    const alertChannel = document.getElementById('alertChannel');
+    alertChannel.addEventListener('change', () => {
+        document.getElementById('alertTarget').placeholder =
+            alertChannel.value === 'email' ? 'you@example.com' : 'https://example.com/hook';
+    });
+    document.getElementById('alertForm').addEventListener('submit', event => {
+        event.preventDefault();
+        subscribeToAlert(airportSelect.value, dateInput.value);
+    });
+    
+    // Service worker: offline copy of the app and push notifications
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/sw.js').catch(err => console.warn('Service worker registration failed:', err));
+    }
+    
+    // Setup push notifications ("watch this day")
+    document.getElementById('pushWatchBtn').addEventListener('click', togglePushWatch);
+    setupPushNotifications();
+    
     // Setup warning banner close button
     const closeBtn = document.getElementById('closeWarning');
     if (closeBtn) {
@@ -286,6 +394,34 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 });
 
+// Airport profiles keyed by IATA code (from /api/airports)
+let airportProfiles = {};
+
+// Load airport profiles (cached for a day, they only change on deploy)
+async function loadAirportProfiles() {
+    const cacheKey = frontendCache.key('airports', {});
+    let profiles = frontendCache.get(cacheKey);
+
+    if (!profiles) {
+        try {
+            const response = await fetch('/api/airports');
+            if (!response.ok) {
+                throw new Error(`API Error: ${response.status} ${response.statusText}`);
+            }
+            profiles = (await response.json()).airports;
+            frontendCache.set(cacheKey, profiles, 24 * 60 * 60 * 1000);
+            frontendCache.set(offlineAirportsKey, profiles, OFFLINE_TTL);
+        } catch (e) {
+            console.error('Could not load airport profiles:', e);
+            profiles = frontendCache.get(offlineAirportsKey);
+            if (!profiles) return [];
+        }
+    }
+
+    airportProfiles = Object.fromEntries(profiles.map(profile => [profile.iata, profile]));
+    return profiles;
+}
+
 // Fetch prediction data from API
 async function fetchAndDisplayPrediction(airport, date) {
     const resultsSection = document.getElementById('resultsSection');
@@ -306,7 +442,11 @@ async function fetchAndDisplayPrediction(airport, date) {
         error.classList.add('hidden');
         results.classList.remove('hidden');
         timetableCard.classList.add('hidden');
+        hideOfflineBanner();
         displayResults(cachedData);
+        saveOfflinePrediction(airport, date, cachedData);
+        updateLiveMode(airport, date, cachedData);
+        updatePushWatch(airport, date, cachedData);
         return;
     }
 
@@ -322,22 +462,37 @@ async function fetchAndDisplayPrediction(airport, date) {
         const response = await fetch(`/api/predict?airport=${airport}&date=${date}`);
         
         if (!response.ok) {
-            throw new Error(`API Error: ${response.status} ${response.statusText}`);
+            // 503 when the FlightAware budget is used up and this day isn't cached
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.budgetExhausted ? body.details : `API Error: ${response.status} ${response.statusText}`);
         }
 
         const data = await response.json();
         
-        // Cache the response (30 minutes TTL)
-        frontendCache.set(cacheKey, data, 30 * 60 * 1000);
+        // Cache the response (30 minutes TTL, 1 minute for stale data so the refreshed copy shows up)
+        frontendCache.set(cacheKey, data, data.stale ? 60 * 1000 : 30 * 60 * 1000);
         console.log('✅ Cached prediction data for', airport, date);
         
         // Hide loading and show results
         loading.classList.add('hidden');
         results.classList.remove('hidden');
         
+        hideOfflineBanner();
         displayResults(data);
+        saveOfflinePrediction(airport, date, data);
+        updateLiveMode(airport, date, data);
+        updatePushWatch(airport, date, data);
     } catch (err) {
         console.error('Error fetching prediction:', err);
+        liveTarget = null;
+        scheduleLivePoll();
+
+        // No connection - fall back to the last forecast loaded for this airport
+        if ((!navigator.onLine || err instanceof TypeError) && displayOfflinePrediction(airport, date)) {
+            return;
+        }
+
+        hideOfflineBanner();
         loading.classList.add('hidden');
         error.classList.remove('hidden');
         
@@ -346,24 +501,581 @@ async function fetchAndDisplayPrediction(airport, date) {
             error.textContent = `⚠️ Date is too far in the future. FlightAware API only provides flight data for today and the next 2 days. Please select today, tomorrow, or the day after tomorrow.`;
         } else if (err.message.includes('Rate limit')) {
             error.textContent = `⚠️ API rate limit exceeded. Please wait a moment and try again.`;
+        } else if (err.message.includes('request budget exhausted')) {
+            error.textContent = `💸 The FlightAware request budget for this period has been used up and this day hasn't been fetched before. Try a day someone has already searched, or come back later.`;
         } else {
             error.textContent = `Failed to fetch data: ${err.message}. Please check your API configuration and try again.`;
         }
     }
 }
 
+// Live mode
+// For the airport's current day, the prediction is re-fetched every few minutes while the page is
+// open and diffed into the chart, crowd badge and timetable. Off until the user turns it on with the
+// Live button. The server only goes back to FlightAware every LIVE_REFRESH_MINUTES, so most polls
+// are cheap cache hits.
+const LIVE_POLL_INTERVAL = 3 * 60 * 1000;
+const LIVE_HIGHLIGHT_DURATION = 30 * 60 * 1000; // How long a newly delayed/cancelled flight stays highlighted
+const liveModeKey = frontendCache.key('settings', { name: 'liveMode' });
+
+let liveEnabled = frontendCache.get(liveModeKey) === 'on'; // Opt-in - live refreshes spend FlightAware budget
+let liveTimer = null;
+let liveTarget = null;          // { airport, date } being followed
+let liveChanges = new Map();    // Flight key -> { change: 'delayed' | 'cancelled' | 'diverted', at }
+let liveUpdatedAt = null;
+
+// Show the live bar for today's prediction and start or stop polling
+function updateLiveMode(airport, date, data) {
+    const profile = data.airport || airportProfiles[airport];
+    const today = localDateString(new Date(), profile ? profile.timeZone : 'Europe/Lisbon');
+    const isToday = date === today;
+
+    if (!liveTarget || liveTarget.airport !== airport || liveTarget.date !== date) {
+        liveChanges = new Map();
+    }
+    liveTarget = isToday ? { airport, date } : null;
+    liveUpdatedAt = new Date();
+
+    document.getElementById('liveBar').classList.toggle('hidden', !isToday);
+    renderLiveBar(data);
+    scheduleLivePoll();
+}
+
+// (Re)start the poll timer when live mode applies, clear it otherwise
+function scheduleLivePoll() {
+    clearInterval(liveTimer);
+    liveTimer = null;
+    if (liveEnabled && liveTarget) {
+        liveTimer = setInterval(pollLivePrediction, LIVE_POLL_INTERVAL);
+    }
+}
+
+// Turn live mode on or off (remembered for a year)
+function setLiveEnabled(enabled) {
+    liveEnabled = enabled;
+    frontendCache.set(liveModeKey, enabled ? 'on' : 'off', 365 * 24 * 60 * 60 * 1000);
+    scheduleLivePoll();
+    renderLiveBar(currentFlightData);
+    if (enabled) {
+        pollLivePrediction();
+    }
+}
+
+// Fetch the latest prediction for the followed day and diff it into the page
+async function pollLivePrediction() {
+    if (!liveTarget || document.hidden) return;
+    const { airport, date } = liveTarget;
+
+    // The day rolled over at the airport - today's prediction is no longer live
+    const profile = airportProfiles[airport];
+    if (profile && localDateString(new Date(), profile.timeZone) !== date) {
+        liveTarget = null;
+        scheduleLivePoll();
+        document.getElementById('liveBar').classList.add('hidden');
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/predict?airport=${airport}&date=${date}&live=1`);
+        if (!response.ok) {
+            throw new Error(`API Error: ${response.status} ${response.statusText}`);
+        }
+        const data = await response.json();
+
+        // Ignore the answer if the user moved on to another prediction meanwhile
+        if (!liveTarget || liveTarget.airport !== airport || liveTarget.date !== date) return;
+
+        frontendCache.set(frontendCache.key('prediction', { airport, date }), data, data.stale ? 60 * 1000 : LIVE_POLL_INTERVAL);
+        recordLiveChanges(currentFlightData, data);
+        liveUpdatedAt = new Date();
+        applyLiveUpdate(data);
+        saveOfflinePrediction(airport, date, data);
+    } catch (err) {
+        console.error('Live update failed:', err);
+        document.getElementById('liveUpdated').textContent = `Update failed at ${formatClock(new Date(), displayTimeZone(currentFlightData))} - retrying`;
+    }
+}
+
+// Key identifying a flight across refreshes
+function liveFlightKey(flight) {
+    return `${flight.type}:${flight.flightNumber}:${flight.scheduledTime}`;
+}
+
+// Flights that became cancelled, diverted or (further) delayed since the previous data
+function recordLiveChanges(previous, next) {
+    if (!previous) return;
+
+    const allFlights = data => [...(data.arrivals || []), ...(data.departures || []), ...(data.cancelledFlights || [])];
+    const before = new Map(allFlights(previous).map(flight => [liveFlightKey(flight), flight]));
+    const now = Date.now();
+
+    allFlights(next).forEach(flight => {
+        const old = before.get(liveFlightKey(flight));
+        if (!old) return;
+
+        let change = null;
+        if (flight.cancelled && !old.cancelled) {
+            change = 'cancelled';
+        } else if (flight.diverted && !old.diverted) {
+            change = 'diverted';
+        } else if (flight.delayMinutes >= 15 && flight.delayMinutes - (old.delayMinutes || 0) >= 15) {
+            change = 'delayed';
+        }
+        if (change) {
+            liveChanges.set(liveFlightKey(flight), { change, at: now });
+        }
+    });
+
+    // Forget highlights older than LIVE_HIGHLIGHT_DURATION
+    liveChanges.forEach((entry, key) => {
+        if (now - entry.at > LIVE_HIGHLIGHT_DURATION) {
+            liveChanges.delete(key);
+        }
+    });
+}
+
+// Live change of a flight still highlighted, or null
+function liveChangeFor(flight) {
+    const entry = liveChanges.get(liveFlightKey(flight));
+    return entry ? entry.change : null;
+}
+
+// Diff new data into the page without resetting what the user is looking at
+function applyLiveUpdate(data) {
+    const previousLevel = currentFlightData ? calculateCrowdLevel(currentFlightData) : null;
+
+    displayResults(data, true);
+
+    // Flash the crowd badge when the level changes
+    const badge = document.getElementById('crowdBadge');
+    if (previousLevel && previousLevel !== calculateCrowdLevel(data)) {
+        badge.classList.add('live-flash');
+        setTimeout(() => badge.classList.remove('live-flash'), 4000);
+    }
+
+    // Rebuild the open timetable with the new flights
+    if (!document.getElementById('timetableCard').classList.contains('hidden') && currentTimetableView) {
+        if (currentTimetableView.type) {
+            showTimetable(currentTimetableView.type, false);
+        } else {
+            showTimetableForHour(currentTimetableView.hour, false);
+        }
+    }
+
+    renderLiveBar(data);
+}
+
+// Live toggle, "last updated" clock and a summary of highlighted changes
+function renderLiveBar(data) {
+    const toggle = document.getElementById('liveToggle');
+    toggle.classList.toggle('active', liveEnabled);
+    toggle.setAttribute('aria-pressed', liveEnabled);
+
+    const timeZone = displayTimeZone(data);
+    const updated = document.getElementById('liveUpdated');
+    if (!liveEnabled) {
+        updated.textContent = 'Turn on Live to refresh every few minutes';
+    } else if (liveUpdatedAt) {
+        const dataTime = data && data.fetchedAt ? ` · flight data from ${formatClock(data.fetchedAt, timeZone)}` : '';
+        updated.textContent = `Last updated ${formatClock(liveUpdatedAt, timeZone)}${dataTime}`;
+    }
+
+    const counts = { delayed: 0, cancelled: 0, diverted: 0 };
+    liveChanges.forEach(entry => counts[entry.change]++);
+    const parts = [];
+    if (counts.delayed) parts.push(`${counts.delayed} newly delayed`);
+    if (counts.cancelled) parts.push(`${counts.cancelled} cancelled`);
+    if (counts.diverted) parts.push(`${counts.diverted} diverted`);
+    document.getElementById('liveChanges').textContent = parts.length ? `🔔 ${parts.join(' · ')}` : '';
+}
+
+// Offline mode
+// The service worker (sw.js) keeps the page itself available without a connection. The last
+// prediction shown for each airport is kept here for a week, apart from the 30-minute cache,
+// so a traveller without signal still sees the forecast they loaded earlier, marked as offline.
+const OFFLINE_TTL = 7 * 24 * 60 * 60 * 1000;
+const lastViewKey = frontendCache.key('offline', { name: 'lastView' });
+const offlineAirportsKey = frontendCache.key('offline', { name: 'airports' });
+
+let offlineView = null;     // { airport, date } shown from the offline copy
+
+function offlinePredictionKey(airport) {
+    return frontendCache.key('offline', { airport });
+}
+
+function saveOfflinePrediction(airport, date, data) {
+    frontendCache.set(offlinePredictionKey(airport), { date, data, savedAt: Date.now() }, OFFLINE_TTL);
+    frontendCache.set(lastViewKey, { airport, date }, OFFLINE_TTL);
+}
+
+// Show the last saved prediction for an airport; false when there is none
+function displayOfflinePrediction(airport, date) {
+    const saved = frontendCache.get(offlinePredictionKey(airport));
+    if (!saved) return false;
+
+    document.getElementById('resultsSection').classList.remove('hidden');
+    document.getElementById('loading').classList.add('hidden');
+    document.getElementById('error').classList.add('hidden');
+    document.getElementById('timetableCard').classList.add('hidden');
+    document.getElementById('results').classList.remove('hidden');
+    document.getElementById('liveBar').classList.add('hidden');
+
+    displayResults(saved.data);
+    offlineView = { airport, date };
+
+    // "Offline – data from 12:40", with the day when it isn't the one asked for
+    const timeZone = displayTimeZone(saved.data);
+    const dataTime = saved.data.fetchedAt || saved.savedAt;
+    const otherDay = saved.date !== date ? ` · showing ${saved.date}, the last day loaded for ${airport}` : '';
+    const banner = document.getElementById('offlineBanner');
+    banner.textContent = `📴 Offline – data from ${formatClock(dataTime, timeZone)}` +
+        (localDateString(dataTime, timeZone) !== localDateString(new Date(), timeZone) ? ` on ${localDateString(dataTime, timeZone)}` : '') +
+        otherDay;
+    banner.classList.remove('hidden');
+
+    console.log(`📴 Showing offline prediction for ${airport} ${saved.date}`);
+    return true;
+}
+
+function hideOfflineBanner() {
+    offlineView = null;
+    document.getElementById('offlineBanner').classList.add('hidden');
+}
+
+// Fetch the all-airports comparison for a date and display it as a grid
+async function fetchAndDisplayComparison(date) {
+    const section = document.getElementById('compareSection');
+    const status = document.getElementById('compareStatus');
+    const grid = document.getElementById('compareGrid');
+    const button = document.getElementById('compareBtn');
+
+    // Same TTL as a single prediction - the server shares its cache with /api/predict
+    const cacheKey = frontendCache.key('compare', { date });
+    let comparison = frontendCache.get(cacheKey);
+
+    section.classList.remove('hidden');
+
+    if (!comparison) {
+        status.textContent = `Loading all airports for ${date}...`;
+        grid.innerHTML = '';
+        button.disabled = true;
+
+        try {
+            const response = await fetch(`/api/compare?date=${date}`);
+            comparison = await response.json();
+            if (!response.ok) {
+                const error = new Error(comparison.error || `API Error: ${response.status} ${response.statusText}`);
+                error.budgetExhausted = !!comparison.budgetExhausted;
+                throw error;
+            }
+            frontendCache.set(cacheKey, comparison, 30 * 60 * 1000);
+        } catch (err) {
+            console.error('Error fetching comparison:', err);
+            status.textContent = err.budgetExhausted
+                ? `💸 The FlightAware request budget for this period has been used up and no airport has been fetched for this date yet. Come back later.`
+                : `⚠️ Could not load the comparison: ${err.message}`;
+            return;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    status.textContent = `Non-EU passport control on ${date}, local time at each airport. Click an airport for the full forecast.`;
+    renderComparison(comparison);
+}
+
+// Render one card per airport with a flights/wait sparkline
+function renderComparison(comparison) {
+    const grid = document.getElementById('compareGrid');
+    const levelNames = { 'low': 'Quiet', 'medium': 'Moderate', 'high': 'Busy', 'very-high': 'Very Busy' };
+    const available = comparison.airports.filter(airport => !airport.error);
+
+    // Shared scales so the sparklines are comparable between airports
+    const maxFlights = Math.max(1, ...available.map(airport => Math.max(...airport.hourlyFlights)));
+    const maxWait = Math.max(1, ...available.map(airport => Math.max(...airport.hourlyWaits)));
+
+    grid.innerHTML = comparison.airports.map(airport => {
+        if (airport.error) {
+            return `
+                <button class="compare-airport" data-airport="${airport.iata}" disabled>
+                    <div class="compare-airport-code">${airport.iata}</div>
+                    <div class="compare-airport-city">${airport.city}</div>
+                    <div class="compare-airport-detail">No data available</div>
+                </button>
+            `;
+        }
+
+        return `
+            <button class="compare-airport" data-airport="${airport.iata}">
+                <div class="compare-airport-code">${airport.iata}</div>
+                <div class="compare-airport-city">${airport.city}</div>
+                <span class="crowd-badge ${airport.crowdLevel}">${levelNames[airport.crowdLevel]} · ≈ ${airport.peakWait} min</span>
+                <div class="compare-airport-detail">Peak ${airport.peakHour}</div>
+                <div class="compare-airport-detail">${airport.totalPassengers.toLocaleString()} non-EU passengers · ${airport.totalFlights} flights</div>
+                ${sparklineSvg(airport.hourlyFlights, airport.hourlyWaits, maxFlights, maxWait)}
+            </button>
+        `;
+    }).join('');
+
+    // Clicking an airport opens its detailed view for the same date
+    grid.querySelectorAll('.compare-airport:not(:disabled)').forEach(card => {
+        card.addEventListener('click', async () => {
+            const airportSelect = document.getElementById('airport');
+            const dateInput = document.getElementById('date');
+            airportSelect.value = card.dataset.airport;
+            dateInput.value = comparison.date;
+            airportSelect.dispatchEvent(new Event('change'));
+            dateInput.dispatchEvent(new Event('change'));
+
+            await fetchAndDisplayPrediction(card.dataset.airport, comparison.date);
+            document.getElementById('resultsSection').scrollIntoView({ behavior: 'smooth' });
+        });
+    });
+}
+
+// Inline SVG sparkline: hourly flights as bars, expected wait as a line
+function sparklineSvg(hourlyFlights, hourlyWaits, maxFlights, maxWait) {
+    const width = 240;
+    const height = 40;
+    const barWidth = width / 24;
+
+    const bars = hourlyFlights.map((count, hour) => {
+        const barHeight = count / maxFlights * height;
+        return `<rect class="sparkline-flights" x="${hour * barWidth + 1}" y="${height - barHeight}" width="${barWidth - 2}" height="${barHeight}"></rect>`;
+    }).join('');
+
+    const points = hourlyWaits.map((wait, hour) =>
+        `${hour * barWidth + barWidth / 2},${height - wait / maxWait * (height - 2) - 1}`
+    ).join(' ');
+
+    return `
+        <svg class="compare-sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+            <title>Non-EU flights (bars) and expected wait (line) per hour</title>
+            ${bars}
+            <polyline class="sparkline-wait" points="${points}"></polyline>
+        </svg>
+    `;
+}
+
+// Outlook strip state
+let currentOutlook = null;
+
+// Fetch the today + 2 days outlook for an airport and display it as a strip
+async function fetchAndDisplayOutlook(airport) {
+    const section = document.getElementById('outlookSection');
+    const status = document.getElementById('outlookStatus');
+    const daysContainer = document.getElementById('outlookDays');
+
+    // Same TTL as a single prediction - the server shares its cache with /api/predict
+    const cacheKey = frontendCache.key('outlook', { airport });
+    let outlook = frontendCache.get(cacheKey);
+
+    section.classList.remove('hidden');
+
+    if (!outlook) {
+        status.textContent = `Loading the next 3 days for ${airport}...`;
+        daysContainer.innerHTML = '';
+
+        try {
+            const response = await fetch(`/api/outlook?airport=${airport}`);
+            outlook = await response.json();
+            if (!response.ok) {
+                const error = new Error(outlook.error || `API Error: ${response.status} ${response.statusText}`);
+                error.budgetExhausted = !!outlook.budgetExhausted;
+                throw error;
+            }
+            frontendCache.set(cacheKey, outlook, 30 * 60 * 1000);
+        } catch (err) {
+            console.error('Error fetching outlook:', err);
+            status.textContent = err.budgetExhausted
+                ? `💸 The FlightAware request budget for this period has been used up and none of these days has been fetched yet. Come back later.`
+                : `⚠️ Could not load the 3-day outlook: ${err.message}`;
+            return;
+        }
+    }
+
+    // Ignore a late response for an airport that is no longer selected
+    if (document.getElementById('airport').value !== outlook.airport) {
+        return;
+    }
+
+    currentOutlook = outlook;
+    status.textContent = 'Pick the quietest day for non-EU passport control - click a day for the full forecast.';
+    renderOutlook(outlook);
+}
+
+// Render one card per outlook day
+function renderOutlook(outlook) {
+    const daysContainer = document.getElementById('outlookDays');
+    const selectedDate = document.getElementById('date').value;
+    const levelNames = { 'low': 'Quiet', 'medium': 'Moderate', 'high': 'Busy', 'very-high': 'Very Busy' };
+    const profile = airportProfiles[outlook.airport];
+    const zoneLabel = profile ? `${profile.city} time` : outlook.timeZone;
+
+    daysContainer.innerHTML = outlook.days.map((day, index) => {
+        const name = index === 0 ? 'Today' : index === 1 ? 'Tomorrow' : WEEKDAY_NAMES[weekdayOf(day.date)];
+        const dateLabel = new Date(day.date + 'T12:00:00Z').toLocaleDateString('en-GB', { timeZone: 'UTC', weekday: 'short', day: 'numeric', month: 'short' });
+        const classes = ['outlook-day'];
+        if (day.date === outlook.bestDate) classes.push('best');
+        if (day.date === selectedDate) classes.push('selected');
+
+        if (day.error) {
+            return `
+                <button class="${classes.join(' ')}" data-date="${day.date}" disabled>
+                    <div class="outlook-day-name">${name}</div>
+                    <div class="outlook-day-date">${dateLabel}</div>
+                    <div class="outlook-day-detail">No data available</div>
+                </button>
+            `;
+        }
+
+        return `
+            <button class="${classes.join(' ')}" data-date="${day.date}">
+                ${day.date === outlook.bestDate ? '<span class="outlook-best-tag">Best day</span>' : ''}
+                <div class="outlook-day-name">${name}</div>
+                <div class="outlook-day-date">${dateLabel}</div>
+                <span class="crowd-badge ${day.crowdLevel}">${levelNames[day.crowdLevel]} · ≈ ${day.peakWait} min</span>
+                <div class="outlook-day-detail">Peak ${day.peakHour} (${zoneLabel})</div>
+                <div class="outlook-day-detail">${day.totalPassengers.toLocaleString()} non-EU passengers · ${day.totalFlights} flights</div>
+            </button>
+        `;
+    }).join('');
+
+    // Clicking a day loads its full prediction
+    daysContainer.querySelectorAll('.outlook-day:not(:disabled)').forEach(card => {
+        card.addEventListener('click', () => {
+            const dateInput = document.getElementById('date');
+            dateInput.value = card.dataset.date;
+            dateInput.dispatchEvent(new Event('change'));
+            fetchAndDisplayPrediction(outlook.airport, card.dataset.date);
+        });
+    });
+}
+
 // Global variables
 let flightsChart = null;
 let currentFlightData = null;
 
+// Time display mode: 'local' (airport time zone) or 'utc', remembered for a year
+const timeModeKey = frontendCache.key('settings', { name: 'timeMode' });
+let timeDisplayMode = frontendCache.get(timeModeKey) || 'local';
+
+// Switch between airport-local and UTC times and re-render
+function setTimeDisplayMode(mode) {
+    timeDisplayMode = mode;
+    frontendCache.set(timeModeKey, mode, 365 * 24 * 60 * 60 * 1000);
+    document.querySelectorAll('.time-toggle-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.mode === mode);
+    });
+
+    if (currentFlightData) {
+        // Hour-based timetables no longer match the chart, so close it
+        document.getElementById('timetableCard').classList.add('hidden');
+        displayResults(currentFlightData);
+    }
+}
+
+// Time zone used for display (responses carry the airport's zone; older ones were UTC)
+function displayTimeZone(data) {
+    return timeDisplayMode === 'utc' || !data || !data.timeZone ? 'UTC' : data.timeZone;
+}
+
+// Short label for the display time zone, e.g. "Lisbon time" or "UTC"
+function displayZoneLabel(data) {
+    if (displayTimeZone(data) === 'UTC') return 'UTC';
+    return data.airport ? `${data.airport.city} time` : 'local time';
+}
+
+// HH:MM for a timestamp in a time zone
+function formatClock(timestamp, timeZone) {
+    return new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        hourCycle: 'h23',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).format(new Date(timestamp));
+}
+
+// YYYY-MM-DD for a timestamp in a time zone
+function localDateString(timestamp, timeZone) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone }).format(new Date(timestamp));
+}
+
+// The time a flight is bucketed on: actual, then estimated, then scheduled
+function flightTimestamp(flight) {
+    return flight.actualTime || flight.estimatedTime || flight.scheduledTime;
+}
+
+// Status badge for the timetable: cancelled, diverted, delayed (15+ min) or early (10+ min)
+function flightStatusBadge(flight) {
+    if (flight.cancelled) {
+        return '<span class="status-badge cancelled">Cancelled</span>';
+    }
+    if (flight.diverted) {
+        return '<span class="status-badge diverted">Diverted</span>';
+    }
+    const delay = flight.delayMinutes;
+    if (typeof delay !== 'number') {
+        return '';
+    }
+    if (delay >= 15) {
+        const label = delay >= 60 ? `+${Math.floor(delay / 60)}h ${(delay % 60).toString().padStart(2, '0')}m` : `+${delay} min`;
+        return `<span class="status-badge delayed${delay >= 60 ? ' severe' : ''}" title="${flight.status || 'Delayed'}">${label}</span>`;
+    }
+    if (delay <= -10) {
+        return `<span class="status-badge early" title="${flight.status || 'Early'}">${-delay} min early</span>`;
+    }
+    return '';
+}
+
+// Flights grouped by hour in the display time zone
+// The server groups by airport-local hour; UTC view is regrouped here
+function displayFlightsByHour(data) {
+    const timeZone = displayTimeZone(data);
+    if (timeZone === data.timeZone || !data.timeZone) {
+        return data.flightsByHour;
+    }
+
+    const flightsByHour = {};
+    [...data.arrivals, ...data.departures].forEach(flight => {
+        const timestamp = flightTimestamp(flight);
+        if (!timestamp) return;
+
+        const time = formatClock(timestamp, timeZone);
+        const hour = parseInt(time.substring(0, 2), 10);
+        if (!flightsByHour[hour]) {
+            flightsByHour[hour] = [];
+        }
+        flightsByHour[hour].push({ ...flight, time });
+    });
+    return flightsByHour;
+}
+
+// Busiest hour of a flightsByHour map
+function findPeakHour(flightsByHour) {
+    let peakHour = null;
+    let maxFlights = 0;
+
+    Object.entries(flightsByHour).forEach(([hour, flights]) => {
+        if (flights.length > maxFlights) {
+            maxFlights = flights.length;
+            peakHour = parseInt(hour, 10);
+        }
+    });
+    return peakHour;
+}
+
 // Display the prediction results
-function displayResults(data) {
+// liveUpdate: a refresh of the prediction already on screen (live mode), diffed in rather than redrawn
+function displayResults(data, liveUpdate = false) {
     // Store data globally for interactive features
     currentFlightData = data;
     
     // Check for warnings or errors in the response
     const hasWarning = !!(data.warning || data.apiError);
-    if (hasWarning) {
+    if (data.stale) {
+        showStaleDataBanner(data);
+    } else if (hasWarning) {
         showWarningBanner(data.warning, data.apiError);
     } else {
         hideWarningBanner();
@@ -374,41 +1086,63 @@ function displayResults(data) {
     if (hasWarning && data.totalFlights === 0) {
         updateCrowdDisplayNoData();
     } else {
-        const crowdLevel = calculateCrowdLevel(data.totalFlights);
-        updateCrowdDisplay(crowdLevel, data.totalFlights);
+        const crowdLevel = calculateCrowdLevel(data);
+        updateCrowdDisplay(crowdLevel, data.queue, displayTimeZone(data));
     }
 
+    // Hours in the selected display time zone
+    const flightsByHour = displayFlightsByHour(data);
+    const peakHour = findPeakHour(flightsByHour);
+    const zoneLabel = displayZoneLabel(data);
+
     // Update statistics
     document.getElementById('arrivals').textContent = data.arrivals.length;
     document.getElementById('departures').textContent = data.departures.length;
     document.getElementById('totalPassengers').textContent = (data.totalPassengers || estimatePassengers(data.totalFlights)).toLocaleString();
-    document.getElementById('peakTime').textContent = data.peakHour || 'N/A';
+    const peakTime = document.getElementById('peakTime');
+    peakTime.textContent = peakHour !== null
+        ? `${peakHour.toString().padStart(2, '0')}:00 - ${(peakHour + 1).toString().padStart(2, '0')}:00`
+        : 'N/A';
+    peakTime.title = zoneLabel;
 
     // Setup interactive panels
     setupInteractivePanels();
 
     // Display hourly chart
-    displayHourlyChart(data.flightsByHour);
+    displayHourlyChart(flightsByHour, data.queue, displayTimeZone(data), zoneLabel, liveUpdate);
 
     // Display peak hour flights
-    displayFlights(data.peakFlights);
+    displayFlights(peakHour !== null ? flightsByHour[peakHour].slice(0, 10) : []);
+
+    // Compare with history if it was loaded for this airport
+    refreshHistoryComparison(data);
+    refreshTripPlan(data);
+    updateCalendarLink(data);
+    updateReportLink(data);
 
     // Display travel tips
-    displayTravelTips(hasWarning && data.totalFlights === 0 ? 'no-data' : calculateCrowdLevel(data.totalFlights));
+    displayTravelTips(data);
 }
 
-// Calculate crowd level based on number of flights
-function calculateCrowdLevel(totalFlights) {
-    if (totalFlights < 10) return 'low';
-    if (totalFlights < 20) return 'medium';
-    if (totalFlights < 35) return 'high';
+// Calculate crowd level from the server-side queue forecast
+function calculateCrowdLevel(data) {
+    if (data.queue) return data.queue.crowdLevel;
+
+    // Older cached responses have no queue forecast - fall back to the airport's flight thresholds
+    const profile = data.airport || airportProfiles[document.getElementById('airport').value];
+    const [quiet, moderate, busy] = profile ? profile.crowdThresholds.flights : [10, 20, 35];
+    const totalFlights = data.totalFlights;
+    if (totalFlights < quiet) return 'low';
+    if (totalFlights < moderate) return 'medium';
+    if (totalFlights < busy) return 'high';
     return 'very-high';
 }
 
 // Update crowd display elements
-function updateCrowdDisplay(level, totalFlights) {
+function updateCrowdDisplay(level, queue, timeZone) {
     const badge = document.getElementById('crowdBadge');
     const bar = document.getElementById('crowdBar');
+    const waitSummary = document.getElementById('waitSummary');
 
     const levels = {
         'low': { text: 'Quiet', color: 'linear-gradient(90deg, #22c55e 0%, #16a34a 100%)', width: '25%' },
@@ -418,10 +1152,18 @@ function updateCrowdDisplay(level, totalFlights) {
     };
 
     const config = levels[level];
-    badge.textContent = config.text;
+    badge.textContent = queue ? `≈ ${queue.peakWait} min wait` : config.text;
     badge.className = `crowd-badge ${level}`;
     bar.style.background = config.color;
     bar.style.width = config.width;
+
+    if (queue && queue.peakTime) {
+        waitSummary.textContent = `${config.text}: expected wait at ${formatClock(queue.peakStart, timeZone)} ≈ ${queue.peakWait} min (${queue.booths.arrival} arrival / ${queue.booths.departure} departure passport booths)`;
+    } else if (queue) {
+        waitSummary.textContent = 'No border queue expected for non-EU passengers on this day';
+    } else {
+        waitSummary.textContent = '';
+    }
 }
 
 // Update crowd display for no-data state
@@ -431,6 +1173,7 @@ function updateCrowdDisplayNoData() {
 
     badge.textContent = 'No Data';
     badge.className = 'crowd-badge no-data';
+    document.getElementById('waitSummary').textContent = '';
     bar.style.background = 'linear-gradient(90deg, #f59e0b 0%, #d97706 100%)';
     bar.style.width = '0%';
 }
@@ -457,63 +1200,31 @@ function displayFlights(flights) {
     `).join('');
 }
 
-// Display travel tips based on crowd level
-function displayTravelTips(level) {
+// Display the travel tips /api/predict sent for the crowd level (lib/travelTips.js), headed by the trip tip
+function displayTravelTips(data) {
     const tipsList = document.getElementById('travelTips');
-    
-    const tips = {
-        'no-data': [
-            'Unable to retrieve flight data at this time',
-            'This may be due to API rate limits or date availability',
-            'Try again in a few minutes or select a different date',
-            'For current information, check the airport\'s official website'
-        ],
-        'low': [
-            'Great time to travel! Expect minimal queues',
-            'Arrive 90 minutes before departure for international flights',
-            'Use automated passport gates if eligible',
-            'Consider arriving slightly earlier on weekends',
-            'Perfect conditions for a stress-free journey'
-        ],
-        'medium': [
-            'Moderate crowds expected',
-            'Arrive 2 hours before departure',
-            'Have documents ready before reaching passport control',
-            'Check online check-in options to save time',
-            'Consider bringing a water bottle to stay hydrated',
-            '📱 Download airport wifi info in case of delays'
-        ],
-        'high': [
-            'Busy period - expect longer queues (30-60 min waits)',
-            'Arrive at least 2.5 hours before departure',
-            '⚡ Bring a powerbank - charging stations may be crowded',
-            '🪑 Consider a portable folding stool for queue comfort',
-            '🥤 Pack snacks and water for potential long waits',
-            '📱 Connect to airport wifi to stay updated on flight status',
-            'Consider fast-track services if available',
-            'Prepare all documents in advance',
-            'Wear comfortable shoes for extended standing'
-        ],
-        'very-high': [
-            '🚨 Very busy period - expect 1-2+ hour waits',
-            'Arrive 3+ hours before international flights',
-            '🪑 STRONGLY RECOMMENDED: Bring a portable stool or cushion',
-            '⚡ Powerbank is ESSENTIAL - long waits drain batteries',
-            '🍫 Pack substantial snacks (granola bars, sandwiches, fruit)',
-            '💧 Bring a refillable water bottle (fill after security)',
-            '📱 Download movies/books/podcasts for offline entertainment',
-            '📶 Airport wifi: Connect early to stay informed',
-            '💊 Bring any necessary medications in carry-on',
-            '📋 Have passport, boarding pass, and documents easily accessible',
-            '👟 Wear your most comfortable shoes',
-            '🧘 Consider meditation apps to stay calm',
-            'Strongly consider fast-track or premium services',
-            'Check flight status every 30 minutes',
-            '⏰ Given recent chaos, budget even MORE time than suggested'
-        ]
-    };
+    const hasWarning = !!(data.warning || data.apiError);
+
+    const noDataTips = [
+        'Unable to retrieve flight data at this time',
+        'This may be due to API rate limits or date availability',
+        'Try again in a few minutes or select a different date',
+        'For current information, check the airport\'s official website'
+    ];
 
-    tipsList.innerHTML = tips[level].map(tip => `<li>${tip}</li>`).join('');
+    const levelTips = hasWarning && data.totalFlights === 0 ? noDataTips : [tripTip(), ...(data.tips || [])];
+    tipsList.innerHTML = levelTips.map(tip => `<li>${tip}</li>`).join('');
+}
+
+// When to leave: the trip plan for the displayed day, or a pointer to the planner
+function tripTip() {
+    const data = currentFlightData;
+    if (tripPlanMatches(data)) {
+        const timeZone = currentTripPlan.timeZone;
+        return `🧭 Leave by ${formatClock(currentTripPlan.leaveBy, timeZone)} for ${currentTripPlan.flight ? currentTripPlan.flight.flightNumber : 'your flight'} ` +
+            `(at the airport by ${formatClock(currentTripPlan.arriveBy, timeZone)})`;
+    }
+    return '🧭 Use "When should I leave?" above for an arrival time worked out for your own flight';
 }
 
 // Estimate total passengers (rough calculation)
@@ -522,30 +1233,73 @@ function estimatePassengers(totalFlights) {
     return Math.round(totalFlights * 180);
 }
 
+// Longest expected border wait per hour, from the 15-minute queue slots
+function hourlyPeakWaits(queue, timeZone) {
+    const waits = new Array(24).fill(0);
+    if (!queue) return waits;
+
+    queue.slots.forEach(slot => {
+        const hour = parseInt(formatClock(slot.start, timeZone).substring(0, 2), 10);
+        waits[hour] = Math.max(waits[hour], slot.wait);
+    });
+    return waits;
+}
+
+// People reaching passport control per hour and direction, from the 15-minute queue slots
+function hourlyBorderPassengers(queue, timeZone) {
+    const people = { arrival: new Array(24).fill(0), departure: new Array(24).fill(0) };
+
+    queue.slots.forEach(slot => {
+        const hour = parseInt(formatClock(slot.start, timeZone).substring(0, 2), 10);
+        people.arrival[hour] += slot.arrivalPassengers;
+        people.departure[hour] += slot.departurePassengers;
+    });
+    return people;
+}
+
 // Display hourly chart
-function displayHourlyChart(flightsByHour) {
+// Bars are people at the border when a queue forecast is available, flights scheduled otherwise
+// A live update moves the existing bars to their new heights instead of redrawing the chart
+function displayHourlyChart(flightsByHour, queue, timeZone, zoneLabel, liveUpdate = false) {
     const canvas = document.getElementById('flightsChart');
     const ctx = canvas.getContext('2d');
 
-    // Destroy existing chart if it exists
-    if (flightsChart) {
-        flightsChart.destroy();
-    }
-
     // Prepare data for all 24 hours
     const hours = Array.from({ length: 24 }, (_, i) => i);
     
     // Separate arrivals and departures by hour
-    const arrivalCounts = hours.map(hour => {
+    const showPeople = !!(queue && queue.slots);
+    const borderPassengers = showPeople ? hourlyBorderPassengers(queue, timeZone) : null;
+    const unit = showPeople ? ['person', 'people'] : ['flight', 'flights'];
+
+    const arrivalCounts = showPeople ? borderPassengers.arrival : hours.map(hour => {
         const flights = flightsByHour[hour.toString()] || [];
         return flights.filter(f => f.type === 'arrival').length;
     });
     
-    const departureCounts = hours.map(hour => {
+    const departureCounts = showPeople ? borderPassengers.departure : hours.map(hour => {
         const flights = flightsByHour[hour.toString()] || [];
         return flights.filter(f => f.type === 'departure').length;
     });
 
+    if (liveUpdate && flightsChart && flightsChart.$showPeople === showPeople && flightsChart.$zoneLabel === zoneLabel) {
+        flightsChart.data.datasets[0].data = arrivalCounts;
+        flightsChart.data.datasets[1].data = departureCounts;
+        flightsChart.data.datasets[2].data = hourlyPeakWaits(queue, timeZone);
+        flightsChart.update();
+        return;
+    }
+
+    // Destroy existing chart if it exists
+    if (flightsChart) {
+        flightsChart.destroy();
+    }
+
+    const chartTitle = document.getElementById('hourlyChartTitle');
+    if (chartTitle) {
+        chartTitle.textContent = showPeople ? 'People at Passport Control by Hour' : 'Hourly Flight Distribution';
+    }
+
     // Create labels (00:00, 01:00, etc.)
     const labels = hours.map(h => `${h.toString().padStart(2, '0')}:00`);
 
@@ -580,6 +1334,18 @@ function displayHourlyChart(flightsByHour) {
                     borderWidth: 2,
                     borderRadius: 8,
                     hoverBackgroundColor: '#c85c5c',
+                },
+                {
+                    type: 'line',
+                    label: 'Expected wait',
+                    data: hourlyPeakWaits(queue, timeZone),
+                    yAxisID: 'wait',
+                    borderColor: '#991b1b',
+                    backgroundColor: '#991b1b',
+                    borderWidth: 2,
+                    pointRadius: 2,
+                    tension: 0.3,
+                    hidden: !queue
                 }
             ]
         },
@@ -621,12 +1387,16 @@ function displayHourlyChart(flightsByHour) {
                         label: function(context) {
                             const count = context.parsed.y;
                             const label = context.dataset.label;
-                            const plural = count === 1 ? 'flight' : 'flights';
-                            return `${label}: ${count} ${plural}`;
+                            if (context.dataset.yAxisID === 'wait') {
+                                return `${label}: up to ${count} min`;
+                            }
+                            return `${label}: ${count.toLocaleString()} ${count === 1 ? unit[0] : unit[1]}`;
                         },
                         afterBody: function(tooltipItems) {
-                            const total = tooltipItems.reduce((sum, item) => sum + item.parsed.y, 0);
-                            return total > 0 ? `\nTotal: ${total} flights` : '';
+                            const total = tooltipItems
+                                .filter(item => item.dataset.yAxisID !== 'wait')
+                                .reduce((sum, item) => sum + item.parsed.y, 0);
+                            return total > 0 ? `\nTotal: ${total.toLocaleString()} ${unit[1]}` : '';
                         }
                     }
                 }
@@ -649,7 +1419,7 @@ function displayHourlyChart(flightsByHour) {
                     },
                     title: {
                         display: true,
-                        text: 'Hour of Day (UTC)',
+                        text: `Hour of Day (${zoneLabel})`,
                         font: {
                             family: 'Manrope',
                             size: 13,
@@ -662,7 +1432,7 @@ function displayHourlyChart(flightsByHour) {
                     stacked: true,
                     beginAtZero: true,
                     ticks: {
-                        stepSize: 1,
+                        precision: 0,
                         font: {
                             family: 'Manrope',
                             size: 12
@@ -675,7 +1445,7 @@ function displayHourlyChart(flightsByHour) {
                     },
                     title: {
                         display: true,
-                        text: 'Number of Flights',
+                        text: showPeople ? 'People at the Border' : 'Number of Flights',
                         font: {
                             family: 'Manrope',
                             size: 13,
@@ -683,6 +1453,32 @@ function displayHourlyChart(flightsByHour) {
                         },
                         color: '#0a4d68'
                     }
+                },
+                wait: {
+                    display: !!queue,
+                    position: 'right',
+                    beginAtZero: true,
+                    ticks: {
+                        font: {
+                            family: 'Manrope',
+                            size: 12
+                        },
+                        color: '#991b1b'
+                    },
+                    grid: {
+                        display: false,
+                        drawBorder: false
+                    },
+                    title: {
+                        display: true,
+                        text: 'Expected Wait (min)',
+                        font: {
+                            family: 'Manrope',
+                            size: 13,
+                            weight: '600'
+                        },
+                        color: '#991b1b'
+                    }
                 }
             },
             interaction: {
@@ -697,6 +1493,444 @@ function displayHourlyChart(flightsByHour) {
             }
         }
     });
+    flightsChart.$showPeople = showPeople;
+    flightsChart.$zoneLabel = zoneLabel;
+}
+
+// History view state
+let historyChart = null;
+let currentHistory = null;
+
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Weekday index for a YYYY-MM-DD date (0 = Monday ... 6 = Sunday), same as lib/history.js
+function weekdayOf(dateStr) {
+    return (new Date(dateStr + 'T12:00:00Z').getUTCDay() + 6) % 7;
+}
+
+// Fetch the last N days of history for an airport and display it
+async function fetchAndDisplayHistory(airport, days) {
+    const status = document.getElementById('historyStatus');
+    const button = document.getElementById('loadHistoryBtn');
+
+    // Past days don't change, but "yesterday" moves - cache for 6 hours
+    const cacheKey = frontendCache.key('history', { airport, days });
+    let history = frontendCache.get(cacheKey);
+
+    if (!history) {
+        status.textContent = `Loading the last ${days} days for ${airport}...`;
+        button.disabled = true;
+
+        try {
+            const response = await fetch(`/api/history?airport=${airport}&days=${days}`);
+            history = await response.json();
+            if (!response.ok) {
+                throw new Error(history.error || `API Error: ${response.status} ${response.statusText}`);
+            }
+            frontendCache.set(cacheKey, history, 6 * 60 * 60 * 1000);
+        } catch (err) {
+            console.error('Error fetching history:', err);
+            status.textContent = `⚠️ Could not load history: ${err.message}`;
+            return;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    currentHistory = history;
+    const missing = history.missingDates.length > 0 ? ` (${history.missingDates.length} days unavailable)` : '';
+    status.textContent = `Based on ${history.days.length} days of non-EU flights at ${history.airport}${missing}.`;
+    document.getElementById('historyResults').classList.remove('hidden');
+
+    renderHistoryHeatmap(history.heatmap);
+    if (currentFlightData) {
+        displayTypicalComparison(currentFlightData, history);
+    }
+}
+
+// Keep the history comparison in sync with the displayed prediction
+function refreshHistoryComparison(data) {
+    const airport = data.airport ? data.airport.iata : document.getElementById('airport').value;
+
+    if (currentHistory && currentHistory.airport === airport) {
+        displayTypicalComparison(data, currentHistory);
+    } else {
+        // History belongs to another airport - reset the view
+        currentHistory = null;
+        document.getElementById('historyResults').classList.add('hidden');
+        document.getElementById('historyStatus').textContent = 'Compare this day with the last few weeks of non-EU traffic at this airport.';
+    }
+}
+
+// Render the weekday × hour heatmap as a table
+function renderHistoryHeatmap(heatmap) {
+    const container = document.getElementById('historyHeatmap');
+    const max = Math.max(1, ...heatmap.flatMap(row => row.hourlyFlights));
+    const hours = Array.from({ length: 24 }, (_, i) => i);
+
+    container.innerHTML = `
+        <table class="heatmap-table">
+            <thead>
+                <tr>
+                    <th></th>
+                    ${hours.map(h => `<th>${h.toString().padStart(2, '0')}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${heatmap.map(row => `
+                    <tr>
+                        <th title="${row.samples} day(s) of data">${row.label}</th>
+                        ${row.hourlyFlights.map((flights, hour) => `
+                            <td class="heatmap-cell"
+                                style="background: rgba(10, 77, 104, ${row.samples > 0 ? (0.08 + 0.92 * flights / max).toFixed(2) : 0});"
+                                title="${WEEKDAY_NAMES[row.weekday]} ${hour.toString().padStart(2, '0')}:00 - avg ${flights} flights, ${Math.round(row.hourlyPassengers[hour])} pax (${row.samples} day(s))">
+                            </td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Compare the displayed day with the typical same weekday
+function displayTypicalComparison(data, history) {
+    const selectedDate = document.getElementById('date').value;
+    const weekday = weekdayOf(selectedDate);
+    const typical = history.heatmap[weekday];
+    const weekdayName = WEEKDAY_NAMES[weekday];
+    const verdict = document.getElementById('historyVerdict');
+
+    // Server hours are airport-local, like the heatmap
+    const selectedHourly = Array.from({ length: 24 }, (_, hour) => (data.flightsByHour[hour.toString()] || []).length);
+    const selectedPeak = Math.max(...selectedHourly);
+    const selectedPeakHour = selectedHourly.indexOf(selectedPeak);
+
+    if (typical.samples === 0) {
+        verdict.textContent = `No past ${weekdayName}s in the loaded history - load more days to compare.`;
+        verdict.className = 'history-verdict';
+    } else {
+        const ratio = typical.avgPeakFlights > 0 ? selectedPeak / typical.avgPeakFlights : (selectedPeak > 0 ? Infinity : 1);
+        const detail = `peak of ${selectedPeak} flights at ${selectedPeakHour.toString().padStart(2, '0')}:00 vs a typical ${typical.avgPeakFlights}, ${data.totalFlights} flights vs ${typical.avgTotalFlights} over the day`;
+
+        if (ratio >= 1.25) {
+            verdict.textContent = `🔺 Unusually busy for a ${weekdayName}: ${detail}`;
+            verdict.className = 'history-verdict busier';
+        } else if (ratio <= 0.75) {
+            verdict.textContent = `🔻 Quieter than a typical ${weekdayName}: ${detail}`;
+            verdict.className = 'history-verdict quieter';
+        } else {
+            verdict.textContent = `✅ Just a normal ${weekdayName}: ${detail}`;
+            verdict.className = 'history-verdict normal';
+        }
+    }
+
+    const ctx = document.getElementById('historyChart').getContext('2d');
+    if (historyChart) {
+        historyChart.destroy();
+    }
+
+    historyChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: Array.from({ length: 24 }, (_, h) => `${h.toString().padStart(2, '0')}:00`),
+            datasets: [
+                {
+                    label: `Typical ${weekdayName} (${typical.samples} day${typical.samples === 1 ? '' : 's'})`,
+                    data: typical.hourlyFlights,
+                    borderColor: '#8b7355',
+                    backgroundColor: 'rgba(139, 115, 85, 0.15)',
+                    borderDash: [6, 4],
+                    fill: true,
+                    tension: 0.3,
+                    pointRadius: 0
+                },
+                {
+                    label: selectedDate,
+                    data: selectedHourly,
+                    borderColor: '#0a4d68',
+                    backgroundColor: '#0a4d68',
+                    borderWidth: 3,
+                    tension: 0.3,
+                    pointRadius: 2
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    position: 'top',
+                    align: 'end',
+                    labels: {
+                        font: { family: 'Manrope', size: 12, weight: '600' },
+                        color: '#0a4d68',
+                        usePointStyle: true
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: { font: { family: 'Manrope', size: 11 }, color: '#6b6b6b' },
+                    grid: { display: false }
+                },
+                y: {
+                    beginAtZero: true,
+                    ticks: { font: { family: 'Manrope', size: 12 }, color: '#6b6b6b' },
+                    title: {
+                        display: true,
+                        text: 'Non-EU Flights',
+                        font: { family: 'Manrope', size: 13, weight: '600' },
+                        color: '#0a4d68'
+                    }
+                }
+            },
+            interaction: {
+                intersect: false,
+                mode: 'index'
+            }
+        }
+    });
+}
+
+// Subscribe to a crowd alert for the selected airport and day
+async function subscribeToAlert(airport, date) {
+    const status = document.getElementById('alertStatus');
+    const button = document.getElementById('alertSubmit');
+    const channelType = document.getElementById('alertChannel').value;
+    const target = document.getElementById('alertTarget').value.trim();
+    const to = document.getElementById('alertTo').value;
+
+    const subscription = {
+        airport,
+        date,
+        direction: document.getElementById('alertDirection').value,
+        from: document.getElementById('alertFrom').value,
+        to: to === '23:59' ? '24:00' : to, // Time inputs stop at 23:59 - mean the end of the day
+        minLevel: document.getElementById('alertLevel').value,
+        channel: channelType === 'email' ? { type: 'email', to: target } : { type: 'webhook', url: target }
+    };
+
+    button.disabled = true;
+    status.classList.remove('hidden', 'error');
+
+    try {
+        const response = await fetch('/api/alerts', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(subscription)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `API Error: ${response.status} ${response.statusText}`);
+        }
+
+        const confirmation = result.subscription.confirmed === false
+            ? ' Check your inbox and follow the link in our email to confirm - no alerts are sent until you do.'
+            : '';
+        status.innerHTML = `✅ Subscribed: ${airport} on ${date}, ${subscription.from}-${subscription.to}.${confirmation} ` +
+            `<a href="${result.unsubscribeUrl}" target="_blank" rel="noopener">Unsubscribe</a> (keep this link).`;
+        console.log(`🔔 Alert subscription ${result.subscription.id} created`);
+    } catch (err) {
+        console.error('Error subscribing to alert:', err);
+        status.textContent = `⚠️ Could not subscribe: ${err.message}`;
+        status.classList.add('error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Trip planner
+// Asks /api/plan when to leave for a flight (by number, or by departure time) on the selected day
+const tripSettingsKey = frontendCache.key('settings', { name: 'trip' });
+
+let currentTripPlan = null;
+
+async function fetchAndDisplayTripPlan(airport, date) {
+    const button = document.getElementById('tripSubmit');
+    const status = document.getElementById('tripStatus');
+    const flight = document.getElementById('tripFlight').value.trim();
+    const time = document.getElementById('tripTime').value;
+    const travelMinutes = parseInt(document.getElementById('tripTravel').value, 10) || 0;
+    const checkedBag = document.getElementById('tripBag').checked;
+
+    status.classList.add('hidden');
+    if (!flight && !time) {
+        status.textContent = '⚠️ Enter your flight number or its departure time';
+        status.classList.remove('hidden');
+        return;
+    }
+    frontendCache.set(tripSettingsKey, { travelMinutes, checkedBag }, 365 * 24 * 60 * 60 * 1000);
+
+    const params = new URLSearchParams({ airport, date, travel: travelMinutes, bag: checkedBag ? '1' : '0' });
+    if (flight) params.set('flight', flight);
+    if (time) params.set('time', time);
+
+    button.disabled = true;
+    try {
+        const response = await fetch(`/api/plan?${params}`);
+        const plan = await response.json();
+        if (!response.ok) {
+            throw new Error(plan.error || `API Error: ${response.status} ${response.statusText}`);
+        }
+
+        currentTripPlan = plan;
+        renderTripPlan(plan);
+        document.getElementById('tripCalendarLink').href = `/api/calendar?${params}`;
+        if (currentFlightData) {
+            displayTravelTips(currentFlightData);
+        }
+    } catch (err) {
+        console.error('Error planning trip:', err);
+        document.getElementById('tripResult').classList.add('hidden');
+        status.textContent = `⚠️ ${err.message}`;
+        status.classList.remove('hidden');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function tripPlanMatches(data) {
+    return !!(currentTripPlan && data && data.airport && currentTripPlan.airport === data.airport.iata && currentTripPlan.date === data.date);
+}
+
+// Keep the planner in step with the displayed prediction - a plan for another day is dropped
+function refreshTripPlan(data) {
+    if (currentTripPlan && !tripPlanMatches(data)) {
+        currentTripPlan = null;
+        document.getElementById('tripResult').classList.add('hidden');
+    }
+}
+
+// Shown in airport time, like the reasons the server writes
+function renderTripPlan(plan) {
+    const timeZone = plan.timeZone;
+    const zone = displayZoneLabel({ timeZone, airport: airportProfiles[plan.airport] });
+    const before = plan.minutesBeforeDeparture;
+    const beforeLabel = before >= 60 ? `${Math.floor(before / 60)} h ${before % 60} min` : `${before} min`;
+
+    document.getElementById('tripLeaveBy').textContent = `Leave by ${formatClock(plan.leaveBy, timeZone)}`;
+    document.getElementById('tripArriveBy').textContent =
+        `Be at the airport by ${formatClock(plan.arriveBy, timeZone)} (${zone}) - ${beforeLabel} before departure`;
+    document.getElementById('tripReasons').innerHTML = [
+        ...plan.reasons.map(reason => `<li>${reason}</li>`),
+        ...plan.warnings.map(warning => `<li class="trip-warning">⚠️ ${warning}</li>`)
+    ].join('');
+    document.getElementById('tripResult').classList.remove('hidden');
+}
+
+// Calendar feed
+// A webcal:// link makes calendar apps subscribe to /api/calendar and refresh it, rather than import it once
+function updateCalendarLink(data) {
+    const iata = data.airport ? data.airport.iata : document.getElementById('airport').value;
+    document.getElementById('calendarSubscribeLink').href = `webcal://${location.host}/api/calendar?airport=${iata}`;
+}
+
+// Push notifications
+// "Watch this day" registers the service worker (sw.js), subscribes this browser with the server's
+// VAPID key and asks /api/push to notify it whenever the day's predicted crowd level changes.
+// Watches are remembered per browser so the button can turn them off again.
+const pushSupported = 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+let pushPublicKey = null;   // VAPID key from /api/push, null when the server has no push set up
+let pushTarget = null;      // { airport, date, level } on screen
+
+function pushWatchKey(airport, date) {
+    return frontendCache.key('pushWatch', { airport, date });
+}
+
+// Check the server supports push once the service worker is running
+async function setupPushNotifications() {
+    if (!pushSupported) return;
+
+    try {
+        await navigator.serviceWorker.ready;
+        const response = await fetch('/api/push');
+        if (!response.ok) return; // Not configured on this server
+        pushPublicKey = (await response.json()).publicKey;
+        renderPushWatch();
+    } catch (err) {
+        console.warn('Push notifications unavailable:', err);
+    }
+}
+
+// Track the displayed prediction - a new watch starts from the level on screen
+function updatePushWatch(airport, date, data) {
+    pushTarget = { airport, date, level: calculateCrowdLevel(data) };
+    renderPushWatch();
+}
+
+function renderPushWatch() {
+    const row = document.getElementById('pushWatch');
+    if (!pushPublicKey || !pushTarget) {
+        row.classList.add('hidden');
+        return;
+    }
+
+    const watching = !!frontendCache.get(pushWatchKey(pushTarget.airport, pushTarget.date));
+    const button = document.getElementById('pushWatchBtn');
+    button.textContent = watching ? '🔕 Stop watching' : '🔔 Watch this day';
+    button.classList.toggle('active', watching);
+    document.getElementById('pushWatchStatus').textContent = watching
+        ? `Watching ${pushTarget.airport} on ${pushTarget.date} - this device gets a notification when the crowd level changes.`
+        : 'Get a notification on this device whenever the predicted crowd level for this day changes.';
+    row.classList.remove('hidden');
+}
+
+async function togglePushWatch() {
+    const { airport, date, level } = pushTarget;
+    const key = pushWatchKey(airport, date);
+    const watch = frontendCache.get(key);
+    const button = document.getElementById('pushWatchBtn');
+    const status = document.getElementById('pushWatchStatus');
+
+    button.disabled = true;
+    try {
+        if (watch) {
+            await fetch(`/api/push?id=${watch.id}&token=${watch.token}`, { method: 'DELETE' });
+            frontendCache.clear(key);
+            console.log(`🔕 Stopped watching ${airport} ${date}`);
+        } else {
+            if (await Notification.requestPermission() !== 'granted') {
+                throw new Error('notifications are blocked for this site');
+            }
+
+            const registration = await navigator.serviceWorker.ready;
+            const subscription = await registration.pushManager.getSubscription() ||
+                await registration.pushManager.subscribe({
+                    userVisibleOnly: true,
+                    applicationServerKey: base64UrlToBytes(pushPublicKey)
+                });
+
+            const response = await fetch('/api/push', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ airport, date, level, subscription: subscription.toJSON() })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || `API Error: ${response.status} ${response.statusText}`);
+            }
+
+            // Keep the id and token to stop watching; the server forgets the watch after the day
+            const params = new URL(result.unsubscribeUrl, window.location.origin).searchParams;
+            frontendCache.set(key, { id: params.get('id'), token: params.get('token') }, 3 * 24 * 60 * 60 * 1000);
+            console.log(`🔔 Watching ${airport} ${date} (${result.subscription.id})`);
+        }
+        renderPushWatch();
+    } catch (err) {
+        console.error('Error updating push watch:', err);
+        status.textContent = `⚠️ Could not ${watch ? 'stop watching' : 'watch this day'}: ${err.message}`;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// VAPID keys are base64url; the Push API wants bytes
+function base64UrlToBytes(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - value.length % 4) % 4);
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
 }
 
 // Setup interactive panels
@@ -716,6 +1950,12 @@ function setupInteractivePanels() {
         document.getElementById('timetableCard').classList.add('hidden');
     };
     
+    // Exports
+    document.getElementById('exportTimetableCsv').onclick = () => exportTimetable('csv');
+    document.getElementById('exportTimetableJson').onclick = () => exportTimetable('json');
+    document.getElementById('exportHourlyCsv').onclick = () => exportHourly('csv');
+    document.getElementById('exportHourlyJson').onclick = () => exportHourly('json');
+    
     // Tab switching
     document.querySelectorAll('.timetable-tab').forEach(tab => {
         tab.onclick = (e) => {
@@ -734,18 +1974,26 @@ function setupInteractivePanels() {
     });
 }
 
-// Store current timetable data
+// Store current timetable data, and which view it shows so live updates can rebuild it
 let currentTimetableData = null;
+let currentTimetableView = null;
+let currentTimetableRows = null; // { flights, filter } as last rendered, for export
 
 // Show timetable for specific type
-function showTimetable(type) {
+function showTimetable(type, scroll = true) {
     if (!currentFlightData) return;
+    currentTimetableView = { type };
     
     const flights = type === 'arrivals' 
         ? currentFlightData.arrivals 
         : currentFlightData.departures;
     
-    currentTimetableData = { arrivals: currentFlightData.arrivals, departures: currentFlightData.departures };
+    // The full-day timetable also lists cancellations (they're left out of every count)
+    const cancelled = currentFlightData.cancelledFlights || [];
+    currentTimetableData = {
+        arrivals: [...currentFlightData.arrivals, ...cancelled.filter(f => f.type === 'arrival')],
+        departures: [...currentFlightData.departures, ...cancelled.filter(f => f.type === 'departure')]
+    };
     
     // Get selected date from the date input
     const selectedDate = document.getElementById('date').value;
@@ -767,14 +2015,17 @@ function showTimetable(type) {
     renderTimetableContent(currentTimetableData, type);
     
     // Scroll to timetable
-    document.getElementById('timetableCard').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    if (scroll) {
+        document.getElementById('timetableCard').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
 }
 
 // Show timetable for specific hour
-function showTimetableForHour(hour) {
+function showTimetableForHour(hour, scroll = true) {
     if (!currentFlightData) return;
+    currentTimetableView = { hour };
     
-    const hourFlights = currentFlightData.flightsByHour[hour.toString()] || [];
+    const hourFlights = displayFlightsByHour(currentFlightData)[hour.toString()] || [];
     
     if (hourFlights.length === 0) {
         return; // Don't show empty timetable
@@ -796,7 +2047,7 @@ function showTimetableForHour(hour) {
     });
     
     const hourLabel = hour.toString().padStart(2, '0') + ':00';
-    document.getElementById('timetableTitle').textContent = `${formattedDate} - ${hourLabel} UTC`;
+    document.getElementById('timetableTitle').textContent = `${formattedDate} - ${hourLabel} ${displayZoneLabel(currentFlightData)}`;
     document.getElementById('timetableCard').classList.remove('hidden');
     
     // Set "All Flights" tab active
@@ -806,7 +2057,9 @@ function showTimetableForHour(hour) {
     renderTimetableContent(currentTimetableData, 'all');
     
     // Scroll to timetable
-    document.getElementById('timetableCard').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    if (scroll) {
+        document.getElementById('timetableCard').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
 }
 
 // Render timetable content
@@ -822,12 +2075,15 @@ function renderTimetableContent(data, filter = 'all') {
         flights = data.departures;
     }
     
-    // Sort by scheduled time
+    // Sort by best available time
     flights.sort((a, b) => {
-        const timeA = new Date(a.scheduledTime || a.estimatedTime);
-        const timeB = new Date(b.scheduledTime || b.estimatedTime);
+        const timeA = new Date(flightTimestamp(a));
+        const timeB = new Date(flightTimestamp(b));
         return timeA - timeB;
     });
+
+    const timeZone = displayTimeZone(currentFlightData);
+    currentTimetableRows = { flights, filter };
     
     if (flights.length === 0) {
         content.innerHTML = '<div class="empty-timetable">No flights found</div>';
@@ -838,7 +2094,7 @@ function renderTimetableContent(data, filter = 'all') {
         <table class="timetable-table">
             <thead>
                 <tr>
-                    <th>Time</th>
+                    <th>Time (${displayZoneLabel(currentFlightData)})</th>
                     <th>Flight</th>
                     <th>Airline</th>
                     <th>Route</th>
@@ -849,11 +2105,16 @@ function renderTimetableContent(data, filter = 'all') {
             </thead>
             <tbody>
                 ${flights.map(flight => {
-                    const time = new Date(flight.scheduledTime || flight.estimatedTime);
-                    const timeStr = time.toISOString().substring(11, 16); // HH:MM
+                    const timeStr = formatClock(flightTimestamp(flight), timeZone); // HH:MM
+                    const scheduledStr = flight.scheduledTime ? formatClock(flight.scheduledTime, timeZone) : null;
+                    const statusBadge = flightStatusBadge(flight);
+                    const liveChange = liveChangeFor(flight);
                     const route = flight.origin || flight.destination || 'Unknown';
                     const aircraft = flight.aircraftType || 'Unknown';
                     const passengers = flight.estimatedPassengers || '-';
+                    const paxTitle = flight.seatCapacity
+                        ? `${flight.seatCapacity} seats × ${Math.round(flight.loadFactor * 100)}% load (${flight.passengerConfidence} confidence)`
+                        : '';
                     const countryCode = (flight.countryCode || 'un').toLowerCase();
                     const countryName = flight.countryName || 'Unknown';
                     const airline = flight.airline || 'Unknown';
@@ -875,8 +2136,13 @@ function renderTimetableContent(data, filter = 'all') {
                     }
                     
                     return `
-                        <tr>
-                            <td class="flight-time-cell">${timeStr}</td>
+                        <tr class="${flight.cancelled ? 'flight-cancelled' : ''} ${liveChange ? 'flight-live-changed' : ''}">
+                            <td class="flight-time-cell">
+                                ${timeStr}
+                                ${scheduledStr && scheduledStr !== timeStr ? `<span class="scheduled-time">${scheduledStr}</span>` : ''}
+                                ${statusBadge}
+                                ${liveChange ? `<span class="status-badge live-change">${liveChange === 'cancelled' ? 'Just cancelled' : liveChange === 'diverted' ? 'Just diverted' : 'Newly delayed'}</span>` : ''}
+                            </td>
                             <td class="flight-number-cell">${flight.flightNumber}</td>
                             <td>
                                 <span class="tooltip-wrapper" data-tooltip="${airlineCode}">
@@ -959,7 +2225,7 @@ function renderTimetableContent(data, filter = 'all') {
                                     </span>
                                 </span>
                             </td>
-                            <td><strong>${passengers}</strong></td>
+                            <td title="${paxTitle}"><strong>${flight.passengerConfidence === 'low' ? '~' : ''}${passengers}</strong></td>
                             <td><span class="flight-badge ${flight.type}">${flight.type}</span></td>
                         </tr>
                     `;
@@ -974,6 +2240,131 @@ function renderTimetableContent(data, filter = 'all') {
     fetchPlanespottersPhotos();
 }
 
+// Export
+// CSV and JSON downloads of what's on screen - the timetable as filtered and the hourly breakdown -
+// in the selected time zone, plus a link to the printable report rendered by /api/report
+const TIMETABLE_COLUMNS = [
+    ['time', 'Time'],
+    ['scheduled', 'Scheduled'],
+    ['flight', 'Flight'],
+    ['airline', 'Airline'],
+    ['route', 'Route'],
+    ['country', 'Country'],
+    ['aircraft', 'Aircraft'],
+    ['registration', 'Registration'],
+    ['passengers', 'Pax'],
+    ['type', 'Type'],
+    ['status', 'Status']
+];
+
+const HOURLY_COLUMNS = [
+    ['hour', 'Hour'],
+    ['arrivals', 'Arrivals'],
+    ['departures', 'Departures'],
+    ['passengers', 'Passengers (est.)'],
+    ['arrivalsAtBorder', 'People arriving at passport control'],
+    ['departuresAtBorder', 'People departing through passport control'],
+    ['peakWait', 'Longest wait (min)']
+];
+
+function timetableExportRows() {
+    const timeZone = displayTimeZone(currentFlightData);
+    return currentTimetableRows.flights.map(flight => ({
+        time: formatClock(flightTimestamp(flight), timeZone),
+        scheduled: flight.scheduledTime ? formatClock(flight.scheduledTime, timeZone) : '',
+        flight: flight.flightNumber,
+        airline: flight.airline ? getAirlineName(flight.airline.trim()) : '',
+        route: flight.origin || flight.destination || '',
+        country: flight.countryName || '',
+        aircraft: flight.aircraftType || '',
+        registration: flight.aircraftRegistration || '',
+        passengers: flight.estimatedPassengers || '',
+        type: flight.type,
+        status: flight.cancelled ? 'Cancelled' : flight.diverted ? 'Diverted' : (flight.status || '')
+    }));
+}
+
+function hourlyExportRows() {
+    const data = currentFlightData;
+    const timeZone = displayTimeZone(data);
+    const flightsByHour = displayFlightsByHour(data);
+    const border = data.queue ? hourlyBorderPassengers(data.queue, timeZone) : null;
+    const waits = hourlyPeakWaits(data.queue, timeZone);
+
+    return Array.from({ length: 24 }, (_, hour) => {
+        const flights = flightsByHour[hour.toString()] || [];
+        return {
+            hour: `${hour.toString().padStart(2, '0')}:00`,
+            arrivals: flights.filter(f => f.type === 'arrival').length,
+            departures: flights.filter(f => f.type === 'departure').length,
+            passengers: flights.reduce((sum, f) => sum + (f.estimatedPassengers || 0), 0),
+            arrivalsAtBorder: border ? border.arrival[hour] : '',
+            departuresAtBorder: border ? border.departure[hour] : '',
+            peakWait: data.queue ? waits[hour] : ''
+        };
+    });
+}
+
+// RFC 4180: quote fields with commas, quotes or line breaks; the BOM makes Excel read it as UTF-8.
+// Text from upstream data (idents, city and airport names) that starts like a formula gets a leading '
+// so spreadsheets show it instead of running it - numbers are ours and stay as they are
+function toCsv(columns, rows) {
+    const cell = value => {
+        let text = String(value ?? '');
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = columns.map(([, label]) => cell(label));
+    const lines = rows.map(row => columns.map(([key]) => cell(row[key])));
+    return '\ufeff' + [header, ...lines].map(line => line.join(',')).join('\r\n') + '\r\n';
+}
+
+function downloadFile(filename, mimeType, content) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportFile(name, format, columns, rows, meta) {
+    const data = currentFlightData;
+    const filename = `${data.airport.iata}-${data.date}-${name}.${format}`;
+    if (format === 'csv') {
+        downloadFile(filename, 'text/csv;charset=utf-8', toCsv(columns, rows));
+    } else {
+        const body = { airport: data.airport.iata, date: data.date, timeZone: displayTimeZone(data), ...meta, rows };
+        downloadFile(filename, 'application/json', JSON.stringify(body, null, 2));
+    }
+    console.log(`⬇️ Exported ${rows.length} rows to ${filename}`);
+}
+
+function exportTimetable(format) {
+    if (!currentFlightData || !currentTimetableRows) return;
+    const view = currentTimetableView && currentTimetableView.hour !== undefined
+        ? `${currentTimetableView.hour.toString().padStart(2, '0')}00`
+        : currentTimetableRows.filter;
+    exportFile(`timetable-${view}`, format, TIMETABLE_COLUMNS, timetableExportRows(), { filter: currentTimetableRows.filter, view: currentTimetableView });
+}
+
+function exportHourly(format) {
+    if (!currentFlightData) return;
+    exportFile('hourly', format, HOURLY_COLUMNS, hourlyExportRows(), { crowdLevel: calculateCrowdLevel(currentFlightData) });
+}
+
+function updateReportLink(data) {
+    const link = document.getElementById('reportLink');
+    link.classList.toggle('hidden', !data.airport || !data.date);
+    if (data.airport && data.date) {
+        link.href = `/api/report?airport=${data.airport.iata}&date=${data.date}`;
+    }
+}
+
 // Fetch aircraft photos from Planespotters API
 async function fetchPlanespottersPhotos() {
     // Find all tooltip wrappers with registration data
@@ -1059,7 +2450,10 @@ function showWarningBanner(warning, apiError) {
     let warningMessage = '';
     
     if (apiError) {
-        if (apiError.includes('Rate limit') || apiError.includes('429')) {
+        if (apiError.includes('request budget exhausted')) {
+            warningTitle = 'Cache-Only Mode';
+            warningMessage = '💸 The FlightAware request budget for this period has been used up, so only previously fetched predictions can be shown. Try a day someone has already searched, or come back later.';
+        } else if (apiError.includes('Rate limit') || apiError.includes('429')) {
             warningTitle = 'Rate Limit Reached';
             warningMessage = '⏱️ The FlightAware API rate limit has been exceeded. The data shown may be incomplete or from cache. Please try again in a few minutes, or results may be limited to cached data.';
         } else if (apiError.includes('Invalid start bound') || apiError.includes('Invalid end bound') || apiError.includes('time is too far')) {
@@ -1085,6 +2479,34 @@ function showWarningBanner(warning, apiError) {
     banner.classList.remove('hidden');
 }
 
+// Show how old the data is when the server served a stale snapshot
+function showStaleDataBanner(data) {
+    const banner = document.getElementById('warningBanner');
+    const age = formatDataAge(data.fetchedAt);
+
+    if (data.refreshError) {
+        document.getElementById('warningTitle').textContent = 'FlightAware Unavailable';
+        document.getElementById('warningMessage').textContent = `🕒 Showing the last good flight data, from ${age}. FlightAware could not be reached to refresh it - try again in a few minutes.`;
+    } else {
+        document.getElementById('warningTitle').textContent = 'Refreshing Data';
+        document.getElementById('warningMessage').textContent = `🕒 Showing flight data from ${age} while it is refreshed. Search again in a minute for the latest schedule.`;
+    }
+
+    banner.classList.remove('hidden');
+}
+
+// Human-readable age of a timestamp ("5 minutes ago", "2 hours ago")
+function formatDataAge(timestamp) {
+    if (!timestamp) return 'earlier';
+
+    const minutes = Math.max(0, Math.round((Date.now() - new Date(timestamp).getTime()) / 60000));
+    if (minutes < 1) return 'moments ago';
+    if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+
+    const hours = Math.round(minutes / 60);
+    return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+}
+
 // Hide warning banner
 function hideWarningBanner() {
     const banner = document.getElementById('warningBanner');
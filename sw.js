@@ -0,0 +1,99 @@
+// Service worker
+// - Precaches the app (page, styles, script, Chart.js) so it opens without a connection; the
+//   predictions themselves are kept offline by script.js in localStorage
+// - Shows crowd-level push notifications sent by the scheduled alert run (lib/alerts.js via
+//   lib/webPush.js) and opens the day they are about when clicked
+
+// Bump when the precached files change shape; old caches are removed on activate
+const CACHE_NAME = 'airport-queue-v1';
+
+const PRECACHE_URLS = [
+    '/',
+    '/styles.css',
+    '/script.js',
+    '/manifest.webmanifest',
+    '/icons/icon.svg',
+    '/icons/icon-192.png',
+    'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js'
+];
+
+// Cross-origin files worth keeping offline once fetched
+const RUNTIME_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// App files: answer from the cache straight away and refresh it in the background
+// (stale-while-revalidate), so a deploy shows up on the next visit. API calls are never cached here.
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+    if (sameOrigin && url.pathname.startsWith('/api/')) return;
+    if (!sameOrigin && !PRECACHE_URLS.includes(url.href) && !RUNTIME_ORIGINS.includes(url.origin)) return;
+
+    // Page loads with a query (?airport=LIS&date=...) are the same page
+    const cacheKey = request.mode === 'navigate' ? '/' : request;
+
+    event.respondWith(caches.open(CACHE_NAME).then(async cache => {
+        const cached = await cache.match(cacheKey);
+        const refresh = fetch(request)
+            .then(response => {
+                if (response.ok || response.type === 'opaque') {
+                    cache.put(cacheKey, response.clone());
+                }
+                return response;
+            });
+
+        if (cached) {
+            event.waitUntil(refresh.catch(() => {}));
+            return cached;
+        }
+        return refresh;
+    }));
+});
+
+self.addEventListener('push', event => {
+    let message = {};
+    try {
+        message = event.data ? event.data.json() : {};
+    } catch (e) {
+        message = { body: event.data.text() };
+    }
+
+    event.waitUntil(self.registration.showNotification(message.title || 'Airport queue update', {
+        body: message.body || '',
+        tag: message.tag,
+        renotify: !!message.tag,
+        data: { url: message.url || '/' }
+    }));
+});
+
+// Focus an open page (loading the notified day) or open a new one
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const url = new URL(event.notification.data.url, self.location.origin).href;
+
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+        const open = windows.find(client => new URL(client.url).origin === self.location.origin);
+        if (open) {
+            return open.navigate(url).then(client => (client || open).focus());
+        }
+        return self.clients.openWindow(url);
+    }));
+});
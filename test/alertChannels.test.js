@@ -0,0 +1,67 @@
+// Alert delivery: webhooks are only posted to hosts that resolve to public addresses
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const { AlertValidationError, validateChannel, deliver } = require('../lib/alertChannels');
+
+const alert = { subject: 'LIS: Busy', text: 'Queue ≈ 40 min', payload: { type: 'crowd-alert' }, unsubscribeUrl: 'https://example.pt/x' };
+
+describe('webhook channel', () => {
+    const originalLookup = dns.promises.lookup;
+    const originalFetch = global.fetch;
+    const records = {
+        'hooks.example.com': ['93.184.216.34'],
+        'rebind.example.com': ['93.184.216.34', '10.0.0.5'],
+        'metadata.example.com': ['169.254.169.254'],
+        'v6.example.com': ['::1']
+    };
+    let posted;
+
+    before(() => {
+        dns.promises.lookup = async hostname => {
+            if (!records[hostname]) throw new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+            return records[hostname].map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+        };
+        global.fetch = async url => {
+            posted.push(url);
+            return { ok: true, status: 200 };
+        };
+    });
+
+    after(() => {
+        dns.promises.lookup = originalLookup;
+        global.fetch = originalFetch;
+    });
+
+    beforeEach(() => {
+        posted = [];
+    });
+
+    it('rejects literal private addresses and internal names when subscribing', () => {
+        ['https://127.0.0.1/hook', 'https://10.1.2.3/hook', 'https://[::1]/hook', 'https://localhost/hook', 'https://db.internal/hook']
+            .forEach(url => {
+                assert.throws(() => validateChannel({ type: 'webhook', url }), AlertValidationError, url);
+            });
+    });
+
+    it('posts to a host whose addresses are all public', async () => {
+        const channel = validateChannel({ type: 'webhook', url: 'https://hooks.example.com/alerts' });
+        await deliver(channel, alert);
+        assert.deepEqual(posted, ['https://hooks.example.com/alerts']);
+    });
+
+    ['rebind.example.com', 'metadata.example.com', 'v6.example.com'].forEach(hostname => {
+        it(`refuses ${hostname}, which resolves to a private address`, async () => {
+            const channel = validateChannel({ type: 'webhook', url: `https://${hostname}/alerts` });
+            await assert.rejects(deliver(channel, alert), /resolves to a private address/);
+            assert.deepEqual(posted, []);
+        });
+    });
+
+    it('fails when the host does not resolve', async () => {
+        const channel = validateChannel({ type: 'webhook', url: 'https://missing.example.com/alerts' });
+        await assert.rejects(deliver(channel, alert), /ENOTFOUND/);
+        assert.deepEqual(posted, []);
+    });
+});
@@ -0,0 +1,189 @@
+// Alert subscriptions: links in alerts come from PUBLIC_BASE_URL, never from the request,
+// and email subscriptions need confirming before any alert is sent
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const apiCache = require('../lib/cache');
+const { getAirport } = require('../lib/airports');
+const { localDateString } = require('../lib/timezone');
+const { AlertValidationError, createSubscription, confirmSubscription, runAlerts } = require('../lib/alerts');
+const { SmtpClient } = require('../lib/smtpClient');
+
+// Vercel compiles the handlers' `export default`; load them as CommonJS so node:test can call them
+function loadHandler(route) {
+    const file = path.join(__dirname, '..', 'api', `${route}.js`);
+    const source = fs.readFileSync(file, 'utf8').replace('export default async function', 'module.exports = async function');
+    const handlerModule = new Module(file);
+    handlerModule.filename = file;
+    handlerModule.paths = Module._nodeModulePaths(path.dirname(file));
+    handlerModule._compile(source, file);
+    return handlerModule.exports;
+}
+
+async function callConfirm(method, query) {
+    const res = {
+        statusCode: 0,
+        headers: {},
+        setHeader(name, value) {
+            this.headers[name] = value;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+        send(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    await loadHandler('alerts/confirm')({ method, headers: { accept: 'text/html' }, query }, res);
+    return res;
+}
+
+const today = localDateString(new Date(), getAirport('LIS').timeZone);
+const webhook = { airport: 'LIS', date: today, channel: { type: 'webhook', url: 'https://hooks.example.com/alerts' } };
+
+describe('createSubscription', () => {
+    const { log } = console;
+    const originalBaseUrl = process.env.PUBLIC_BASE_URL;
+
+    before(() => {
+        console.log = () => {};
+    });
+
+    after(() => {
+        console.log = log;
+        if (originalBaseUrl === undefined) {
+            delete process.env.PUBLIC_BASE_URL;
+        } else {
+            process.env.PUBLIC_BASE_URL = originalBaseUrl;
+        }
+    });
+
+    beforeEach(async () => {
+        delete process.env.PUBLIC_BASE_URL;
+        await apiCache.clear();
+    });
+
+    it('refuses webhook and email alerts without PUBLIC_BASE_URL', async () => {
+        await assert.rejects(createSubscription(webhook), AlertValidationError);
+        await assert.rejects(createSubscription(webhook, null), /PUBLIC_BASE_URL/);
+        assert.equal((await apiCache.getStats()).size, 0);
+    });
+
+    it('builds the unsubscribe link from PUBLIC_BASE_URL', async () => {
+        process.env.PUBLIC_BASE_URL = 'https://queues.example.pt/';
+
+        const { unsubscribeUrl } = await createSubscription(webhook);
+        assert.match(unsubscribeUrl, /^https:\/\/queues\.example\.pt\/api\/alerts\/unsubscribe\?id=[0-9a-f]{16}&token=[0-9a-f]{32}$/);
+    });
+
+    it('gives channels without links a relative unsubscribe URL', async () => {
+        const { unsubscribeUrl } = await createSubscription({ airport: 'LIS', date: today, channel: { type: 'console' } });
+        assert.match(unsubscribeUrl, /^\/api\/alerts\/unsubscribe\?/);
+    });
+});
+
+describe('email double opt-in', () => {
+    const { log, warn } = console;
+    const originalEnv = { ...process.env };
+    const originalSend = SmtpClient.prototype.send;
+    let sent;
+
+    before(() => {
+        console.log = () => {};
+        console.warn = () => {};
+        Object.assign(process.env, {
+            PUBLIC_BASE_URL: 'https://queues.example.pt',
+            SMTP_URL: 'smtp://127.0.0.1:1',
+            ALERT_EMAIL_FROM: 'alerts@example.pt'
+        });
+        // Capture mail instead of talking SMTP
+        SmtpClient.prototype.send = async message => {
+            sent.push(message);
+        };
+    });
+
+    after(() => {
+        Object.assign(console, { log, warn });
+        process.env = originalEnv;
+        SmtpClient.prototype.send = originalSend;
+    });
+
+    beforeEach(async () => {
+        sent = [];
+        await apiCache.clear();
+    });
+
+    const email = to => ({ airport: 'LIS', date: today, minLevel: 'medium', channel: { type: 'email', to } });
+
+    it('sends one confirmation mail and no alerts until the link is followed', async () => {
+        const { subscription, unsubscribeUrl } = await createSubscription(email('traveller@example.com'));
+
+        assert.equal(subscription.confirmed, false);
+        assert.equal(subscription.confirmToken, undefined);
+        assert.equal(sent.length, 1);
+        assert.match(sent[0].subject, /^Confirm your LIS crowd alert/);
+
+        const confirmLink = /https:\/\/queues\.example\.pt\/api\/alerts\/confirm\?id=([0-9a-f]+)&token=([0-9a-f]+)/.exec(sent[0].text);
+        assert.ok(confirmLink, 'confirmation mail carries the confirm link');
+
+        // Unconfirmed: the scheduled run skips it without fetching a prediction
+        const summary = await runAlerts('test-key');
+        assert.equal(summary.unconfirmed, 1);
+        assert.equal(summary.checked, 0);
+
+        // The unsubscribe token handed to the subscriber does not confirm
+        const unsubscribeToken = new URL(unsubscribeUrl).searchParams.get('token');
+        assert.equal(await confirmSubscription(confirmLink[1], unsubscribeToken), false);
+        assert.equal(await confirmSubscription(confirmLink[1], confirmLink[2]), true);
+
+        const stored = await apiCache.get(apiCache.generateKey('alert', { id: confirmLink[1] }));
+        assert.equal(stored.confirmed, true);
+    });
+
+    it('confirms only on the POST from the page the link opens, so link scanners confirm nothing', async () => {
+        await createSubscription(email('traveller@example.com'));
+        const [, id, token] = /\/api\/alerts\/confirm\?id=([0-9a-f]+)&token=([0-9a-f]+)/.exec(sent[0].text);
+        const key = apiCache.generateKey('alert', { id });
+
+        const opened = await callConfirm('GET', { id, token });
+        assert.equal(opened.statusCode, 200);
+        assert.match(opened.body, new RegExp(`<form method="post" action="/api/alerts/confirm\\?id=${id}&amp;token=${token}">`));
+        assert.equal((await apiCache.get(key)).confirmed, false);
+
+        const submitted = await callConfirm('POST', { id, token });
+        assert.equal(submitted.statusCode, 200);
+        assert.match(submitted.body, /is confirmed/);
+        assert.equal((await apiCache.get(key)).confirmed, true);
+    });
+
+    it('escapes whatever the link carries into the confirmation page', async () => {
+        const opened = await callConfirm('GET', { id: 'x', token: '"><script>alert(1)</script>' });
+        assert.doesNotMatch(opened.body, /<script>/);
+    });
+
+    it('sends at most one confirmation mail per address an hour', async () => {
+        await createSubscription(email('traveller@example.com'));
+        await assert.rejects(createSubscription(email('Traveller@Example.com')), /confirmation email was sent to this address recently/);
+        await createSubscription(email('someone-else@example.com'));
+
+        assert.equal(sent.length, 2);
+    });
+
+    it('drops the subscription when the confirmation mail cannot be sent', async () => {
+        SmtpClient.prototype.send = async () => {
+            throw new Error('SMTP error: 550 rejected');
+        };
+
+        await assert.rejects(createSubscription(email('traveller@example.com')), /550/);
+        assert.equal((await apiCache.getStats()).size, 0);
+    });
+});
@@ -0,0 +1,105 @@
+// API access: once keys are set, quota-spending website routes skip the key only for the website itself
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const apiCache = require('../lib/cache');
+const { DEFAULT_PUBLIC_ROUTES, DEFAULT_SITE_ROUTES, guardRequest } = require('../lib/apiAccess');
+
+function mockResponse() {
+    return {
+        statusCode: 0,
+        headers: {},
+        body: undefined,
+        setHeader(name, value) {
+            this.headers[name] = value;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+async function guard(route, headers = {}, query = {}) {
+    const res = mockResponse();
+    const allowed = await guardRequest({ headers, query }, res, route);
+    return { allowed, res };
+}
+
+describe('guardRequest with API keys configured', () => {
+    const originalEnv = { ...process.env };
+    const { warn } = console;
+
+    before(() => {
+        console.warn = () => {};
+    });
+
+    after(() => {
+        console.warn = warn;
+        process.env = originalEnv;
+    });
+
+    beforeEach(async () => {
+        process.env = { ...originalEnv, API_KEYS: 'partner:secret', PUBLIC_BASE_URL: 'https://queues.example.pt/' };
+        delete process.env.API_PUBLIC_ROUTES;
+        delete process.env.API_SITE_ROUTES;
+        delete process.env.API_IP_RATE_LIMIT;
+        await apiCache.clear();
+    });
+
+    it('leaves no quota-spending route open to everyone by default', () => {
+        ['predict', 'outlook', 'compare', 'history', 'aviationstack', 'plan', 'report', 'v1/predict'].forEach(route => {
+            assert.equal(DEFAULT_PUBLIC_ROUTES.includes(route), false, route);
+        });
+    });
+
+    it('refuses a keyless website route from anywhere but the website', async () => {
+        const cases = [
+            {},
+            { 'sec-fetch-site': 'cross-site', origin: 'https://elsewhere.example.com' },
+            { referer: 'https://elsewhere.example.com/page' },
+            { origin: 'https://queues.example.pt.elsewhere.example.com' }
+        ];
+        for (const headers of cases) {
+            const { allowed, res } = await guard('predict', headers);
+            assert.equal(allowed, false, JSON.stringify(headers));
+            assert.equal(res.statusCode, 401);
+        }
+    });
+
+    it('lets the website call its routes without a key', async () => {
+        const cases = [
+            { 'sec-fetch-site': 'same-origin' },
+            { origin: 'https://queues.example.pt' },
+            { referer: 'https://queues.example.pt/?airport=LIS' }
+        ];
+        for (const headers of cases) {
+            for (const route of DEFAULT_SITE_ROUTES) {
+                const { allowed } = await guard(route, headers);
+                assert.equal(allowed, true, `${route} ${JSON.stringify(headers)}`);
+            }
+            await apiCache.clear();
+        }
+    });
+
+    it('keeps the website check to site routes', async () => {
+        const { allowed, res } = await guard('v1/predict', { 'sec-fetch-site': 'same-origin' });
+        assert.equal(allowed, false);
+        assert.equal(res.body.error.code, 'unauthorized');
+    });
+
+    it('keeps public routes open and accepts a key anywhere', async () => {
+        assert.equal((await guard('calendar')).allowed, true);
+        assert.equal((await guard('predict', { 'x-api-key': 'secret' })).allowed, true);
+        assert.equal((await guard('v1/predict', {}, { api_key: 'secret' })).allowed, true);
+    });
+
+    it('can open website routes to everyone again through API_PUBLIC_ROUTES', async () => {
+        process.env.API_PUBLIC_ROUTES = 'predict';
+        assert.equal((await guard('predict')).allowed, true);
+    });
+});
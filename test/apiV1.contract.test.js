@@ -0,0 +1,274 @@
+// API v1 contract: every response the v1 handlers send, errors included, matches the published
+// OpenAPI document (lib/openapi.js) for its route and status
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const apiCache = require('../lib/cache');
+const { getAirport } = require('../lib/airports');
+const { addDays, localDateString } = require('../lib/timezone');
+const { openApiSpec } = require('../lib/openapi');
+
+const spec = openApiSpec('https://queues.example.pt');
+const today = localDateString(new Date(), getAirport('LIS').timeZone);
+
+// Vercel compiles the handlers' `export default`; load them as CommonJS so node:test can call them
+function loadHandler(route) {
+    const file = path.join(__dirname, '..', 'api', 'v1', `${route}.js`);
+    const source = fs.readFileSync(file, 'utf8').replace('export default async function', 'module.exports = async function');
+    const handlerModule = new Module(file);
+    handlerModule.filename = file;
+    handlerModule.paths = Module._nodeModulePaths(path.dirname(file));
+    handlerModule._compile(source, file);
+    return handlerModule.exports;
+}
+
+const handlers = {
+    predict: loadHandler('predict'),
+    airports: loadHandler('airports'),
+    openapi: loadHandler('openapi')
+};
+
+function mockResponse() {
+    return {
+        statusCode: 0,
+        headers: {},
+        body: undefined,
+        setHeader(name, value) {
+            this.headers[name] = value;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+        end() {
+            return this;
+        }
+    };
+}
+
+async function call(route, query, { method = 'GET', headers = {} } = {}) {
+    const res = mockResponse();
+    await handlers[route]({ method, headers: { host: 'queues.example.pt', ...headers }, query }, res);
+    return res;
+}
+
+// Just enough JSON Schema for the document lib/openapi.js publishes
+function validate(schema, value, at = '$', errors = []) {
+    if (schema.$ref) {
+        schema = spec.components.schemas[schema.$ref.replace('#/components/schemas/', '')];
+        assert.ok(schema, `unresolved $ref at ${at}`);
+    }
+    if (value === null) {
+        if (!schema.nullable) errors.push(`${at} is null`);
+        return errors;
+    }
+
+    const types = {
+        object: v => typeof v === 'object' && !Array.isArray(v),
+        array: Array.isArray,
+        string: v => typeof v === 'string',
+        integer: Number.isInteger,
+        number: v => typeof v === 'number' && Number.isFinite(v),
+        boolean: v => typeof v === 'boolean'
+    };
+    if (schema.type && !types[schema.type](value)) {
+        errors.push(`${at} is not ${schema.type}: ${JSON.stringify(value)}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${at} is not one of ${schema.enum.join('|')}: ${value}`);
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} is below ${schema.minimum}: ${value}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} is above ${schema.maximum}: ${value}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} does not match ${schema.pattern}: ${value}`);
+    if (schema.format === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) errors.push(`${at} is not a date: ${value}`);
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) errors.push(`${at} is not a date-time: ${value}`);
+
+    if (schema.type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} has fewer than ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} has more than ${schema.maxItems} items`);
+        value.forEach((item, i) => validate(schema.items, item, `${at}[${i}]`, errors));
+    }
+    if (schema.type === 'object') {
+        (schema.required || []).forEach(name => {
+            if (!(name in value)) errors.push(`${at}.${name} is missing`);
+        });
+        Object.entries(value).forEach(([name, item]) => {
+            if (schema.properties && schema.properties[name]) {
+                validate(schema.properties[name], item, `${at}.${name}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}.${name} is not in the schema`);
+            }
+        });
+    }
+    return errors;
+}
+
+function assertDocumented(route, res, { method = 'get' } = {}) {
+    const operation = spec.paths[`/api/v1/${route}`][method];
+    const documented = operation.responses[res.statusCode];
+    assert.ok(documented, `${res.statusCode} is not documented for /api/v1/${route}`);
+
+    const errors = validate(documented.content['application/json'].schema, res.body);
+    assert.deepEqual(errors, [], `/api/v1/${route} ${res.statusCode} body does not match the schema`);
+    Object.keys(documented.headers || {}).forEach(name => {
+        assert.ok(res.headers[name] !== undefined, `${name} header is documented for ${res.statusCode}`);
+    });
+}
+
+// A morning of TAP long-haul flights either way, so the prediction has queue slots and flights
+function upstreamFlights(type, start) {
+    const origins = [['KJFK', 'JFK', 'New York'], ['SBGR', 'GRU', 'Sao Paulo'], ['EGLL', 'LHR', 'London'], ['FNLU', 'LAD', 'Luanda']];
+    return Array.from({ length: 8 }, (_, i) => {
+        const [icao, iata, city] = origins[i % origins.length];
+        const time = new Date(Date.parse(start) + (6 + i) * 60 * 60 * 1000).toISOString().replace('.000', '');
+        const place = { code: icao, code_icao: icao, code_iata: iata, city, name: `${city} Airport` };
+        return type === 'arrivals'
+            ? { ident: `TAP${100 + i}`, operator_iata: 'TP', aircraft_type: 'A339', origin: place, scheduled_in: time, estimated_in: time }
+            : { ident: `TAP${200 + i}`, operator_iata: 'TP', aircraft_type: 'A321', destination: place, scheduled_out: time, estimated_out: time };
+    });
+}
+
+describe('API v1 responses match the OpenAPI document', () => {
+    const originalFetch = global.fetch;
+    const originalEnv = { ...process.env };
+    const { log, warn, error } = console;
+    let failing;
+
+    before(() => {
+        console.log = () => {};
+        console.warn = () => {};
+        console.error = () => {};
+        global.fetch = async url => {
+            const { pathname, searchParams } = new URL(url);
+            const type = pathname.endsWith('/arrivals') ? 'arrivals' : 'departures';
+            if (failing) {
+                return { ok: false, status: 503, statusText: 'Service Unavailable', text: async () => 'down' };
+            }
+            return { ok: true, status: 200, json: async () => ({ [type]: upstreamFlights(type, searchParams.get('start')), links: null }) };
+        };
+    });
+
+    after(() => {
+        Object.assign(console, { log, warn, error });
+        global.fetch = originalFetch;
+        process.env = originalEnv;
+    });
+
+    beforeEach(async () => {
+        failing = false;
+        process.env = { ...originalEnv, FLIGHTAWARE_API_KEY: 'test-key', FLIGHTAWARE_DAILY_SOFT_LIMIT: '0', FLIGHTAWARE_DAILY_HARD_LIMIT: '0' };
+        delete process.env.API_KEYS;
+        delete process.env.API_IP_RATE_LIMIT;
+        await apiCache.clear();
+    });
+
+    it('predict: 200 with a full prediction', async () => {
+        const res = await call('predict', { airport: 'LIS', date: today });
+        assert.equal(res.statusCode, 200);
+        assert.ok(res.body.queue.slots.length > 0);
+        assert.ok(res.body.flights.length > 0);
+        assertDocumented('predict', res);
+    });
+
+    it('predict: 200 for another airport and day, with booths and live', async () => {
+        const res = await call('predict', { airport: 'OPO', date: addDays(today, 1), booths: '5', live: 'true' });
+        assert.equal(res.statusCode, 200);
+        assertDocumented('predict', res);
+    });
+
+    const badRequests = [
+        { query: { date: today }, code: 'missing_parameter', note: 'no airport' },
+        { query: { airport: 'XXX', date: today }, code: 'invalid_parameter', note: 'unknown airport' },
+        { query: { airport: 'LIS', date: '2026-02-30' }, code: 'invalid_parameter', note: 'impossible date' },
+        { query: { airport: 'LIS', date: addDays(today, 30) }, code: 'date_out_of_range', note: 'date past the forecast range' },
+        { query: { airport: 'LIS', date: today, booths: '0' }, code: 'invalid_parameter', note: 'no booths' },
+        { query: { airport: 'LIS', date: today, live: 'yes' }, code: 'invalid_parameter', note: 'live is not a boolean' },
+        { query: { airport: 'LIS', date: today, foo: '1' }, code: 'unknown_parameter', note: 'unknown parameter' },
+        { query: { airport: ['LIS', 'OPO'], date: today }, code: 'invalid_parameter', note: 'repeated parameter' }
+    ];
+
+    badRequests.forEach(({ query, code, note }) => {
+        it(`predict: 400 ${code} (${note})`, async () => {
+            const res = await call('predict', query);
+            assert.equal(res.statusCode, 400);
+            assert.equal(res.body.error.code, code);
+            assertDocumented('predict', res);
+        });
+    });
+
+    it('predict: 405 for POST, with an Allow header', async () => {
+        const res = await call('predict', { airport: 'LIS', date: today }, { method: 'POST' });
+        assert.equal(res.statusCode, 405);
+        assert.equal(res.headers.Allow, 'GET');
+        assertDocumented('predict', res);
+    });
+
+    it('predict: 502 when FlightAware fails and nothing is cached', async () => {
+        failing = true;
+        const res = await call('predict', { airport: 'FAO', date: today });
+        assert.equal(res.statusCode, 502);
+        assert.equal(res.body.error.code, 'upstream_unavailable');
+        assertDocumented('predict', res);
+    });
+
+    it('predict: 503 not_configured without a FlightAware key', async () => {
+        delete process.env.FLIGHTAWARE_API_KEY;
+        const res = await call('predict', { airport: 'LIS', date: today });
+        assert.equal(res.statusCode, 503);
+        assert.equal(res.body.error.code, 'not_configured');
+        assertDocumented('predict', res);
+    });
+
+    it('predict: 503 budget_exhausted once the hard limit is reached', async () => {
+        // Arrivals take the one call left today, departures are refused
+        process.env.FLIGHTAWARE_DAILY_HARD_LIMIT = '1';
+        const res = await call('predict', { airport: 'LIS', date: today });
+        assert.equal(res.statusCode, 503);
+        assert.equal(res.body.error.code, 'budget_exhausted');
+        assertDocumented('predict', res);
+    });
+
+    it('predict: 401 for an unknown API key', async () => {
+        process.env.API_KEYS = 'partner:secret';
+        const res = await call('predict', { airport: 'LIS', date: today }, { headers: { 'x-api-key': 'wrong' } });
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.body.error.code, 'unauthorized');
+        assertDocumented('predict', res);
+    });
+
+    it('predict: 429 with Retry-After once the rate limit is used up', async () => {
+        process.env.API_IP_RATE_LIMIT = '1';
+        await call('predict', { airport: 'LIS', date: today });
+        const res = await call('predict', { airport: 'LIS', date: today });
+        assert.equal(res.statusCode, 429);
+        assert.equal(res.body.error.code, 'rate_limited');
+        assertDocumented('predict', res);
+    });
+
+    it('airports: 200 with every airport', async () => {
+        const res = await call('airports', {});
+        assert.equal(res.statusCode, 200);
+        assertDocumented('airports', res);
+    });
+
+    it('airports: 400 for an unknown parameter', async () => {
+        const res = await call('airports', { country: 'PT' });
+        assert.equal(res.statusCode, 400);
+        assertDocumented('airports', res);
+    });
+
+    it('openapi: 200 with the document itself', async () => {
+        const res = await call('openapi', {});
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.openapi, spec.openapi);
+        assert.deepEqual(Object.keys(res.body.paths), Object.keys(spec.paths));
+        assertDocumented('openapi', res);
+    });
+});
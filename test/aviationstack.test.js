@@ -0,0 +1,67 @@
+// AviationStack history: a flight sold under several flight numbers is counted once
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const apiCache = require('../lib/cache');
+const { getAirport } = require('../lib/airports');
+const { fetchHistoricalDay, fetchHistoricalData } = require('../lib/aviationstack');
+
+// TAP's own TP201 from Newark and the same aircraft sold as United's UA9201
+const operating = {
+    flight_date: '2025-12-01',
+    flight_status: 'landed',
+    departure: { airport: 'Newark Liberty International', iata: 'EWR', icao: 'KEWR', scheduled: '2025-12-01T19:00:00+00:00' },
+    arrival: { airport: 'Humberto Delgado', iata: 'LIS', icao: 'LPPT', scheduled: '2025-12-01T07:10:00+00:00' },
+    airline: { name: 'TAP Air Portugal', iata: 'TP', icao: 'TAP' },
+    flight: { number: '201', iata: 'TP201', icao: 'TAP201', codeshared: null },
+    aircraft: { icao: 'A339', registration: 'CS-TUA' }
+};
+const codeshare = {
+    ...operating,
+    airline: { name: 'United Airlines', iata: 'UA', icao: 'UAL' },
+    flight: {
+        number: '9201',
+        iata: 'UA9201',
+        icao: 'UAL9201',
+        codeshared: { airline_name: 'tap air portugal', airline_iata: 'tp', flight_number: '201', flight_iata: 'tp201' }
+    }
+};
+
+describe('fetchHistoricalDay', () => {
+    const originalFetch = global.fetch;
+    const originalEnv = { ...process.env };
+
+    before(() => {
+        process.env.AVIATIONSTACK_DAILY_SOFT_LIMIT = '0';
+        process.env.AVIATIONSTACK_DAILY_HARD_LIMIT = '0';
+        // Both directions answer with the pair - only the count matters here
+        global.fetch = async () => {
+            const data = [operating, codeshare];
+            return { ok: true, status: 200, json: async () => ({ pagination: { total: data.length }, data }) };
+        };
+    });
+
+    after(() => {
+        global.fetch = originalFetch;
+        process.env = originalEnv;
+    });
+
+    beforeEach(async () => {
+        await apiCache.clear();
+    });
+
+    it('counts a codeshare pair as the one operating flight', async () => {
+        const { arrivals, departures } = await fetchHistoricalDay(getAirport('LIS'), '2025-12-01', 'test-key');
+
+        assert.equal(arrivals.length, 1);
+        assert.equal(arrivals[0].ident, 'TAP201');
+        assert.equal(arrivals[0].origin.code_iata, 'EWR');
+        assert.equal(departures.length, 1);
+    });
+
+    it('leaves codeshares out of the raw historical list too', async () => {
+        const historical = await fetchHistoricalData('LIS', '2025-12-01', 'test-key');
+        assert.equal(historical.totalFlights, 1);
+        assert.equal(historical.flights[0].flightNumber, 'TP201');
+    });
+});
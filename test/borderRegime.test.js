@@ -0,0 +1,44 @@
+// Border regime classification: which countries send passengers through passport control
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { BORDER_REGIMES, classifyCountry, requiresPassportControl } = require('../lib/borderRegime');
+
+const { SCHENGEN, EU_NON_SCHENGEN, THIRD_COUNTRY, UNKNOWN } = BORDER_REGIMES;
+
+describe('classifyCountry', () => {
+    const cases = [
+        { code: 'GB', regime: THIRD_COUNTRY, note: 'United Kingdom, outside the EU since 2020' },
+        { code: 'IE', regime: EU_NON_SCHENGEN, note: 'Ireland, EU but not Schengen' },
+        { code: 'CY', regime: EU_NON_SCHENGEN, note: 'Cyprus, EU but not yet Schengen' },
+        { code: 'TR', regime: THIRD_COUNTRY, note: 'Turkey, geographically partly in Europe' },
+        { code: 'RS', regime: THIRD_COUNTRY, note: 'Serbia' },
+        { code: 'BA', regime: THIRD_COUNTRY, note: 'Bosnia and Herzegovina' },
+        { code: 'MD', regime: THIRD_COUNTRY, note: 'Moldova' },
+        { code: 'MK', regime: THIRD_COUNTRY, note: 'North Macedonia' },
+        { code: 'ES', regime: SCHENGEN, note: 'Spain' },
+        { code: 'CH', regime: SCHENGEN, note: 'Switzerland, Schengen without being in the EU' },
+        { code: 'RO', regime: SCHENGEN, note: 'Romania, fully Schengen since 2025' },
+        { code: 're', regime: EU_NON_SCHENGEN, note: 'Réunion, lower-case code' },
+        { code: 'US', regime: THIRD_COUNTRY, note: 'United States' },
+        { code: 'UN', regime: UNKNOWN, note: 'placeholder for an unknown country' },
+        { code: 'XYZ', regime: UNKNOWN, note: 'not an alpha-2 code' },
+        { code: '', regime: UNKNOWN, note: 'empty' },
+        { code: undefined, regime: UNKNOWN, note: 'missing' }
+    ];
+
+    cases.forEach(({ code, regime, note }) => {
+        it(`classifies ${JSON.stringify(code)} (${note}) as ${regime}`, () => {
+            assert.equal(classifyCountry(code), regime);
+        });
+    });
+});
+
+describe('requiresPassportControl', () => {
+    it('skips only Schengen flights, so unknown countries are still counted', () => {
+        assert.equal(requiresPassportControl(SCHENGEN), false);
+        assert.equal(requiresPassportControl(EU_NON_SCHENGEN), true);
+        assert.equal(requiresPassportControl(THIRD_COUNTRY), true);
+        assert.equal(requiresPassportControl(UNKNOWN), true);
+    });
+});
@@ -0,0 +1,109 @@
+// Routes that combine several days or airports answer 503 "budget exhausted", not 502, when the
+// FlightAware hard limit leaves them nothing to show
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const apiCache = require('../lib/cache');
+
+// Vercel compiles the handlers' `export default`; load them as CommonJS so node:test can call them
+function loadHandler(route) {
+    const file = path.join(__dirname, '..', 'api', `${route}.js`);
+    const source = fs.readFileSync(file, 'utf8').replace('export default async function', 'module.exports = async function');
+    const handlerModule = new Module(file);
+    handlerModule.filename = file;
+    handlerModule.paths = Module._nodeModulePaths(path.dirname(file));
+    handlerModule._compile(source, file);
+    return handlerModule.exports;
+}
+
+function mockResponse() {
+    return {
+        statusCode: 0,
+        headers: {},
+        body: undefined,
+        setHeader(name, value) {
+            this.headers[name] = value;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+        send(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+async function call(route, query) {
+    const res = mockResponse();
+    await loadHandler(route)({ method: 'GET', headers: {}, query }, res);
+    return res;
+}
+
+describe('aggregate routes at the FlightAware hard limit', () => {
+    const originalFetch = global.fetch;
+    const originalEnv = { ...process.env };
+    const { log, warn, error } = console;
+    let failing;
+
+    before(() => {
+        console.log = () => {};
+        console.warn = () => {};
+        console.error = () => {};
+        global.fetch = async url => {
+            const type = new URL(url).pathname.endsWith('/arrivals') ? 'arrivals' : 'departures';
+            if (failing) {
+                return { ok: false, status: 503, statusText: 'Service Unavailable', text: async () => 'down' };
+            }
+            return { ok: true, status: 200, json: async () => ({ [type]: [], links: null }) };
+        };
+    });
+
+    after(() => {
+        Object.assign(console, { log, warn, error });
+        global.fetch = originalFetch;
+        process.env = originalEnv;
+    });
+
+    beforeEach(async () => {
+        failing = false;
+        // One call allowed today: it goes to a single direction, every other fetch is refused
+        process.env = { ...originalEnv, FLIGHTAWARE_API_KEY: 'test-key', FLIGHTAWARE_DAILY_SOFT_LIMIT: '0', FLIGHTAWARE_DAILY_HARD_LIMIT: '1' };
+        delete process.env.API_KEYS;
+        await apiCache.clear();
+    });
+
+    const routes = [
+        { route: 'outlook', query: { airport: 'LIS' } },
+        { route: 'compare', query: {} },
+        { route: 'calendar', query: { airport: 'LIS' } }
+    ];
+
+    routes.forEach(({ route, query }) => {
+        it(`${route}: 503 with the budget message`, async () => {
+            const res = await call(route, query);
+
+            assert.equal(res.statusCode, 503);
+            assert.equal(res.body.error, 'FlightAware request budget exhausted');
+            assert.equal(res.body.budgetExhausted, true);
+            assert.match(res.body.details, /limit/i);
+        });
+
+        it(`${route}: still 502 when FlightAware itself fails`, async () => {
+            process.env.FLIGHTAWARE_DAILY_HARD_LIMIT = '0';
+            failing = true;
+            const res = await call(route, query);
+
+            assert.equal(res.statusCode, 502);
+            assert.equal(res.body.budgetExhausted, undefined);
+        });
+    });
+});
@@ -0,0 +1,196 @@
+// Cache stores: the same get/set/has/clear/getStats behaviour on every backend,
+// and the circuit breaker that keeps a dead store from stalling requests
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RedisMock = require('ioredis-mock');
+const apiCache = require('../lib/cache');
+const { MemoryStore, FileStore, SqliteStore, RedisStore, CircuitBreakerStore } = require('../lib/cacheStores');
+
+const ApiCache = apiCache.constructor;
+
+let Database = null;
+try {
+    Database = require('better-sqlite3');
+} catch (error) {
+    // Optional dependency - the SQLite suite is skipped without it
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-stores-test-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const backends = [
+    { name: 'memory', create: () => new MemoryStore() },
+    { name: 'file', create: () => new FileStore(fs.mkdtempSync(path.join(tempDir, 'file-'))) },
+    { name: 'sqlite', skip: !Database && 'better-sqlite3 is not installed', create: () => new SqliteStore(path.join(fs.mkdtempSync(path.join(tempDir, 'sqlite-')), 'cache.db'), Database) },
+    { name: 'redis (ioredis-mock)', create: () => new RedisStore(null, `test-${Date.now()}-${Math.random()}:`, new RedisMock()) }
+];
+
+// Against a real server when one is given: TEST_REDIS_URL=redis://127.0.0.1:6379 npm test
+if (process.env.TEST_REDIS_URL) {
+    backends.push({ name: 'redis (server)', create: () => new RedisStore(process.env.TEST_REDIS_URL, `test-${Date.now()}:`) });
+}
+
+backends.forEach(backend => {
+    describe(`${backend.name} store`, { skip: backend.skip }, () => {
+        let store;
+        let cache;
+
+        before(() => {
+            store = backend.create();
+            cache = new ApiCache(store);
+        });
+
+        after(async () => {
+            await cache.clear();
+            if (store.client) store.client.disconnect();
+        });
+
+        it('round-trips values through get/set/has', async () => {
+            await cache.set('predict:airport=LIS&date=2026-10-19', { totalFlights: 42, hours: [1, 2] }, 60000);
+
+            assert.deepEqual(await cache.get('predict:airport=LIS&date=2026-10-19'), { totalFlights: 42, hours: [1, 2] });
+            assert.equal(await cache.has('predict:airport=LIS&date=2026-10-19'), true);
+            assert.equal(await cache.get('predict:airport=OPO&date=2026-10-19'), null);
+            assert.equal(await cache.has('predict:airport=OPO&date=2026-10-19'), false);
+        });
+
+        it('expires entries after their TTL and keeps them through the stale window', async () => {
+            await cache.set('expiring', 'gone', 1);
+            await cache.set('stale', 'old', 1, 60000);
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            assert.equal(await cache.get('expiring'), null);
+            assert.equal(await cache.get('stale'), null);
+
+            const entry = await cache.getEntry('stale');
+            assert.equal(entry.data, 'old');
+            assert.equal(entry.stale, true);
+        });
+
+        it('lists keys in getStats and clears one key or all of them', async () => {
+            await cache.clear();
+            await cache.set('a', 1);
+            await cache.set('b', 2);
+
+            const stats = await cache.getStats();
+            assert.equal(stats.store, store.name);
+            assert.equal(stats.size, 2);
+            assert.deepEqual([...stats.keys].sort(), ['a', 'b']);
+
+            await cache.clear('a');
+            assert.deepEqual(await cache.getStats().then(s => s.keys), ['b']);
+
+            await cache.clear();
+            assert.equal((await cache.getStats()).size, 0);
+        });
+
+        it('drops expired entries in cleanup', async () => {
+            await cache.set('short', 1, 1);
+            await cache.set('long', 2, 60000);
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            await store.cleanup();
+            const keys = await store.keys();
+            assert.equal(keys.includes('long'), true);
+            // Redis expires keys itself; the others remove them here
+            assert.equal(keys.includes('short'), false);
+        });
+    });
+});
+
+// A store whose every operation fails, counting the attempts
+function failingStore() {
+    const store = { name: 'broken', calls: 0 };
+    ['get', 'set', 'delete', 'clear', 'keys', 'cleanup'].forEach(operation => {
+        store[operation] = async () => {
+            store.calls++;
+            throw new Error('connection refused');
+        };
+    });
+    return store;
+}
+
+describe('circuit breaker', () => {
+    const quiet = fn => async () => {
+        const { error, log } = console;
+        console.error = () => {};
+        console.log = () => {};
+        try {
+            await fn();
+        } finally {
+            Object.assign(console, { error, log });
+        }
+    };
+
+    it('switches to memory after the first failure instead of retrying every call', quiet(async () => {
+        const broken = failingStore();
+        const cache = new ApiCache(new CircuitBreakerStore(broken, { retryAfter: 60000 }));
+
+        await cache.set('key', 'value');
+        assert.equal(broken.calls, 1);
+
+        // Served from the memory fallback without touching the broken store again
+        assert.equal(await cache.get('key'), 'value');
+        assert.equal(await cache.has('key'), true);
+        assert.equal(broken.calls, 1);
+
+        const stats = await cache.getStats();
+        assert.equal(stats.degraded, true);
+        assert.deepEqual(stats.keys, ['key']);
+    }));
+
+    it('tries the real store again once the retry delay has passed', quiet(async () => {
+        const broken = failingStore();
+        const store = new CircuitBreakerStore(broken, { retryAfter: 5 });
+
+        await store.get('key');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        await store.get('key');
+        assert.equal(broken.calls, 2);
+
+        // Recovery closes the breaker
+        broken.get = async () => ({ data: 'back' });
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.deepEqual(await store.get('key'), { data: 'back' });
+        assert.equal(store.degraded, false);
+    }));
+
+    it('answers quickly after an unreachable Redis has failed once', quiet(async () => {
+        // Nothing listens on port 1, so the connection is refused straight away
+        const redis = new RedisStore('redis://127.0.0.1:1', 'test:');
+        const cache = new ApiCache(new CircuitBreakerStore(redis, { retryAfter: 60000 }));
+
+        try {
+            await cache.set('first', 1);
+
+            const started = Date.now();
+            for (let i = 0; i < 20; i++) {
+                await cache.set(`key-${i}`, i);
+                await cache.get(`key-${i}`);
+            }
+            assert.ok(Date.now() - started < 500, 'later calls should not wait on Redis');
+            assert.equal(await cache.get('key-3'), 3);
+        } finally {
+            redis.client.disconnect();
+        }
+    }));
+});
+
+describe('ApiCache error handling', () => {
+    it('reports an empty cache from getStats when the store fails', async () => {
+        const { error } = console;
+        console.error = () => {};
+        try {
+            const stats = await new ApiCache(failingStore()).getStats();
+            assert.equal(stats.size, 0);
+            assert.deepEqual(stats.keys, []);
+            assert.equal(stats.error, 'connection refused');
+        } finally {
+            console.error = error;
+        }
+    });
+});
@@ -0,0 +1,57 @@
+// Busy-window calendar events: the expected load counts every local hour a window covers
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getAirport } = require('../lib/airports');
+const { localDayRange, formatLocalTime } = require('../lib/timezone');
+const { busyWindowEvents } = require('../lib/calendarEvents');
+
+const LIS = getAirport('LIS');
+const DATE = '2026-10-20';
+
+// A queue that is Busy (40 min) in the slots for the given local hours, Quiet otherwise
+function prediction(busyHours) {
+    const day = localDayRange(DATE, LIS.timeZone);
+    const slots = [];
+    for (let time = day.start.getTime(); time < day.end.getTime(); time += 15 * 60000) {
+        const clock = formatLocalTime(time, LIS.timeZone);
+        const wait = busyHours.includes(parseInt(clock, 10)) ? 40 : 0;
+        slots.push({ start: new Date(time).toISOString(), time: clock, wait, arrivalWait: wait, departureWait: 0 });
+    }
+
+    // Two arrivals and one departure in every hour
+    const flightsByHour = {};
+    for (let hour = 0; hour < 24; hour++) {
+        flightsByHour[hour] = [
+            { type: 'arrival', estimatedPassengers: 100 },
+            { type: 'arrival', estimatedPassengers: 100 },
+            { type: 'departure', estimatedPassengers: 100 }
+        ];
+    }
+
+    return { airport: LIS, flightsByHour, queue: { slotMinutes: 15, slots, waitThresholds: [15, 30, 60] } };
+}
+
+describe('busyWindowEvents', () => {
+    it('counts the flights of every hour when the window covers the whole day', () => {
+        const allDay = Array.from({ length: 24 }, (_, hour) => hour);
+        const events = busyWindowEvents(prediction(allDay), DATE);
+
+        assert.equal(events.length, 1);
+        assert.match(events[0].description, /Expected load: 72 non-EU flights \(48 arrivals, 24 departures\), about 7,200 passengers between 00:00 and 23:59/);
+    });
+
+    it('counts only the hours a shorter window touches', () => {
+        const events = busyWindowEvents(prediction([16, 17, 18]), DATE);
+
+        assert.equal(events.length, 1);
+        assert.match(events[0].description, /Expected load: 9 non-EU flights \(6 arrivals, 3 departures\)/);
+    });
+
+    it('counts a window that ends at midnight', () => {
+        const events = busyWindowEvents(prediction([22, 23]), DATE);
+
+        assert.equal(events.length, 1);
+        assert.match(events[0].description, /Expected load: 6 non-EU flights/);
+    });
+});
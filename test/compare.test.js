@@ -0,0 +1,93 @@
+// All-airports comparison: the date must be in the forecast range at every airport, not just Lisbon
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const apiCache = require('../lib/cache');
+
+// Vercel compiles the handlers' `export default`; load them as CommonJS so node:test can call them
+function loadHandler(route) {
+    const file = path.join(__dirname, '..', 'api', `${route}.js`);
+    const source = fs.readFileSync(file, 'utf8').replace('export default async function', 'module.exports = async function');
+    const handlerModule = new Module(file);
+    handlerModule.filename = file;
+    handlerModule.paths = Module._nodeModulePaths(path.dirname(file));
+    handlerModule._compile(source, file);
+    return handlerModule.exports;
+}
+
+const compare = loadHandler('compare');
+
+async function call(query) {
+    const res = {
+        statusCode: 0,
+        setHeader() {},
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    await compare({ method: 'GET', headers: {}, query }, res);
+    return res;
+}
+
+describe('compare date window', () => {
+    const originalFetch = global.fetch;
+    const originalEnv = { ...process.env };
+    const { log } = console;
+    let fetched;
+
+    before(() => {
+        console.log = () => {};
+        // 00:30 on 15 July in Lisbon, Porto, Faro and Funchal - still 23:30 on the 14th in Ponta Delgada
+        mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-07-14T23:30:00Z') });
+        global.fetch = async url => {
+            const { pathname, searchParams } = new URL(url);
+            const type = pathname.endsWith('/arrivals') ? 'arrivals' : 'departures';
+            fetched.push(`${pathname.split('/')[3]} ${searchParams.get('start')}`);
+            return { ok: true, status: 200, json: async () => ({ [type]: [], links: null }) };
+        };
+    });
+
+    after(() => {
+        console.log = log;
+        mock.timers.reset();
+        global.fetch = originalFetch;
+        process.env = originalEnv;
+    });
+
+    beforeEach(async () => {
+        fetched = [];
+        process.env = { ...originalEnv, FLIGHTAWARE_API_KEY: 'test-key', FLIGHTAWARE_DAILY_SOFT_LIMIT: '0', FLIGHTAWARE_DAILY_HARD_LIMIT: '0' };
+        await apiCache.clear();
+    });
+
+    it('refuses the last mainland day while it is still beyond Ponta Delgada\'s range', async () => {
+        const res = await call({ date: '2026-07-17' });
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.error, /Atlantic\/Azores/);
+        assert.deepEqual(fetched, []);
+    });
+
+    it('refuses Ponta Delgada\'s today once the mainland has moved on', async () => {
+        const res = await call({ date: '2026-07-14' });
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(fetched, []);
+    });
+
+    it('defaults to the first day in range everywhere and fetches every airport for it', async () => {
+        const res = await call({});
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.date, '2026-07-15');
+        assert.equal(res.body.airports.length, 5);
+        assert.equal(fetched.length, 10);
+    });
+});
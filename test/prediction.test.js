@@ -0,0 +1,124 @@
+// Prediction pipeline: concurrent requests for the same airport/date share one FlightAware fetch
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const apiCache = require('../lib/cache');
+const { getAirport } = require('../lib/airports');
+const { addDays, localDateString, localDayRange, toApiTimestamp } = require('../lib/timezone');
+const { getDayAnalysis } = require('../lib/prediction');
+
+const LIS = getAirport('LIS');
+const OPO = getAirport('OPO');
+
+// Upstream calls by airport, direction and start bound - one entry per FlightAware page request
+let calls;
+let failing;
+
+function stubFetch(url) {
+    calls.push(url);
+    const { pathname, searchParams } = new URL(url);
+    const type = pathname.endsWith('/arrivals') ? 'arrivals' : 'departures';
+    const start = searchParams.get('start');
+
+    // Answer a little later so the concurrent callers really overlap
+    return new Promise(resolve => setTimeout(resolve, 20)).then(() => {
+        if (failing) {
+            return { ok: false, status: 503, statusText: 'Service Unavailable', text: async () => 'down' };
+        }
+        const flight = {
+            ident: 'TAP100',
+            operator_iata: 'TP',
+            aircraft_type: 'A339',
+            [type === 'arrivals' ? 'origin' : 'destination']: { code: 'KJFK', code_iata: 'JFK', city: 'New York' },
+            [type === 'arrivals' ? 'scheduled_in' : 'scheduled_out']: start
+        };
+        return { ok: true, status: 200, json: async () => ({ [type]: [flight], links: null }) };
+    });
+}
+
+function callsFor(profile, type, date) {
+    const start = toApiTimestamp(localDayRange(date, profile.timeZone).start);
+    return calls.filter(url => {
+        const { pathname, searchParams } = new URL(url);
+        return pathname.endsWith(`/airports/${profile.icao}/flights/${type}`) && searchParams.get('start') === start;
+    });
+}
+
+describe('getDayAnalysis request coalescing', () => {
+    const originalFetch = global.fetch;
+    const { log, warn, error } = console;
+
+    before(() => {
+        process.env.FLIGHTAWARE_DAILY_SOFT_LIMIT = '0';
+        process.env.FLIGHTAWARE_DAILY_HARD_LIMIT = '0';
+        global.fetch = stubFetch;
+        console.log = () => {};
+        console.warn = () => {};
+        console.error = () => {};
+    });
+
+    after(() => {
+        global.fetch = originalFetch;
+        Object.assign(console, { log, warn, error });
+    });
+
+    beforeEach(async () => {
+        calls = [];
+        failing = false;
+        await apiCache.clear();
+    });
+
+    it('makes one arrivals and one departures call per airport/date however many requests arrive together', async () => {
+        const today = localDateString(new Date(), LIS.timeZone);
+        const tomorrow = addDays(today, 1);
+        const keys = [[LIS, today], [LIS, tomorrow], [OPO, today]];
+
+        const requests = keys.flatMap(([profile, date]) =>
+            Array.from({ length: 5 }, () => getDayAnalysis(profile, date, 'test-key'))
+        );
+        const results = await Promise.all(requests);
+
+        assert.equal(calls.length, keys.length * 2);
+        keys.forEach(([profile, date]) => {
+            ['arrivals', 'departures'].forEach(type => {
+                assert.equal(callsFor(profile, type, date).length, 1, `${profile.iata} ${date} ${type}`);
+            });
+        });
+
+        // Every caller gets the same analysis, straight from the shared fetch
+        for (let i = 0; i < keys.length; i++) {
+            const group = results.slice(i * 5, i * 5 + 5);
+            group.forEach(result => {
+                assert.equal(result.cached, false);
+                assert.equal(result.analysis, group[0].analysis);
+            });
+        }
+    });
+
+    it('serves later requests from the cache without calling FlightAware again', async () => {
+        const today = localDateString(new Date(), LIS.timeZone);
+
+        await getDayAnalysis(LIS, today, 'test-key');
+        const result = await getDayAnalysis(LIS, today, 'test-key');
+
+        assert.equal(calls.length, 2);
+        assert.equal(result.cached, true);
+    });
+
+    it('fails every joined request together and retries on the next one', async () => {
+        const today = localDateString(new Date(), LIS.timeZone);
+        failing = true;
+
+        const results = await Promise.allSettled(
+            Array.from({ length: 4 }, () => getDayAnalysis(LIS, today, 'test-key'))
+        );
+
+        assert.ok(results.every(result => result.status === 'rejected'));
+        assert.equal(calls.length, 2);
+
+        failing = false;
+        const retry = await getDayAnalysis(LIS, today, 'test-key');
+        assert.equal(retry.cached, false);
+        assert.equal(calls.length, 4);
+    });
+});
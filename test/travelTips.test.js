@@ -0,0 +1,30 @@
+// Travel tips: the wait they quote is the day's predicted peak, not a fixed range per level
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getAirport } = require('../lib/airports');
+const { travelTips } = require('../lib/travelTips');
+
+describe('travelTips', () => {
+    it('quotes the predicted peak wait at a small airport where 35 min is already busy', () => {
+        const [headline] = travelTips({ crowdLevel: 'high', peakWait: 35, peakTime: '11:15' }, getAirport('PDL'));
+        assert.equal(headline, 'Busy period - expect longer queues (up to ≈ 35 min around 11:15)');
+    });
+
+    it('names no wait when no queue is expected', () => {
+        const [headline] = travelTips({ crowdLevel: 'low', peakWait: 0, peakTime: null }, getAirport('LIS'));
+        assert.equal(headline, 'Great time to travel! Expect minimal queues');
+    });
+
+    it('never quotes a fixed wait range', () => {
+        ['low', 'medium', 'high', 'very-high'].forEach(crowdLevel => {
+            const tips = travelTips({ crowdLevel, peakWait: 0, peakTime: null }, getAirport('LIS'));
+            tips.forEach(tip => assert.doesNotMatch(tip, /\d+\s*-\s*\d+\+? (min|hour)/, tip));
+        });
+    });
+
+    it('ends with the airport\'s own tips', () => {
+        const tips = travelTips({ crowdLevel: 'medium', peakWait: 12, peakTime: '09:00' }, getAirport('LIS'));
+        assert.match(tips[tips.length - 1], /Lisbon|LIS/);
+    });
+});
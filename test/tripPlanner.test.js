@@ -0,0 +1,62 @@
+// Trip planner: closing times follow the schedule, a delay is only reported
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getAirport } = require('../lib/airports');
+const { formatLocalTime, localDayRange, zonedTimeToUtc } = require('../lib/timezone');
+const { planTrip } = require('../lib/tripPlanner');
+
+const LIS = getAirport('LIS');
+const DATE = '2026-10-20';
+
+// A quiet day: no wait at passport control in any 15-minute slot
+function quietQueue() {
+    const day = localDayRange(DATE, LIS.timeZone);
+    const slots = [];
+    for (let time = day.start.getTime(); time < day.end.getTime(); time += 15 * 60000) {
+        slots.push({ start: new Date(time).toISOString(), departureWait: 0 });
+    }
+    return { slotMinutes: 15, slots, waitThresholds: [15, 30, 60] };
+}
+
+function departure(scheduled, estimated) {
+    const scheduledTime = zonedTimeToUtc(DATE, scheduled, LIS.timeZone).toISOString();
+    const estimatedTime = zonedTimeToUtc(DATE, estimated, LIS.timeZone).toISOString();
+    return {
+        type: 'departure',
+        flightNumber: 'TAP101',
+        flightNumberIata: 'TP101',
+        destination: 'São Paulo',
+        scheduledTime,
+        estimatedTime,
+        delayMinutes: Math.round((new Date(estimatedTime) - new Date(scheduledTime)) / 60000),
+        aircraftType: 'A321'
+    };
+}
+
+const local = iso => formatLocalTime(iso, LIS.timeZone);
+
+describe('planTrip', () => {
+    it('plans a 3-hour-late flight from its scheduled time and reports the delay', () => {
+        const analysis = { departures: [departure('16:00', '19:00')], cancelledFlights: [] };
+        const plan = planTrip(analysis, quietQueue(), LIS, { date: DATE, flight: 'TP101', checkedBag: true });
+
+        assert.equal(local(plan.departureTime), '16:00');
+        assert.equal(local(plan.expectedDepartureTime), '19:00');
+        assert.equal(local(plan.gateCloses), '15:40');
+        assert.equal(local(plan.bagDropCloses), '15:20');
+        // Bag drop 15 + security 10 + walk 10 + buffer 15 before the gate closes
+        assert.equal(local(plan.arriveBy), '14:50');
+        assert.equal(plan.minutesBeforeDeparture, 70);
+        assert.ok(plan.reasons.some(reason => reason.includes('expected to leave around 19:00 (180 min late)')));
+    });
+
+    it('has no expected time for a flight on schedule', () => {
+        const analysis = { departures: [departure('16:00', '16:00')], cancelledFlights: [] };
+        const plan = planTrip(analysis, quietQueue(), LIS, { date: DATE, flight: 'TAP101' });
+
+        assert.equal(plan.expectedDepartureTime, null);
+        assert.equal(local(plan.arriveBy), '15:05');
+        assert.ok(plan.reasons.every(reason => !reason.includes('expected to leave')));
+    });
+});
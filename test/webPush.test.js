@@ -0,0 +1,59 @@
+// Web Push payload encryption against the worked example in RFC 8291 section 5
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { encryptPayload } = require('../lib/webPush');
+
+// RFC 8291 section 5 (all values base64url)
+const example = {
+    plaintext: 'When I grow up, I want to be a watermelon',
+    serverPrivateKey: 'yfWPiYE-n46HLnH0KqZOF1fJJU3MYrct3AELtAQ-oRw',
+    serverPublicKey: 'BP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27mlmlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A8',
+    clientPublicKey: 'BCVxsr7N_eNgVRqvHtD0zTZsEc6-VV-JvLexhqUzORcxaOzi6-AYWXvTBHm4bjyPjs7Vd8pZGH6SRpkNtoIAiw4',
+    authSecret: 'BTBZMqHH6r4Tts7J_aSIgg',
+    salt: 'DGv6ra1nlYgDCS1FRnbzlw',
+    body: 'DGv6ra1nlYgDCS1FRnbzlwAAEABBBP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27mlmlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A_yl95bQpu6cVPTpK4Mqgkf1CXztLVBSt2Ks3oZwbuwXPXLWyouBWLVWGNWQexSgSxsj_Qulcy4a-fN'
+};
+
+function serverKeys() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.setPrivateKey(Buffer.from(example.serverPrivateKey, 'base64url'));
+    return ecdh;
+}
+
+describe('encryptPayload', () => {
+    const keys = { p256dh: example.clientPublicKey, auth: example.authSecret };
+
+    it('produces the RFC 8291 example body from its keys and salt', () => {
+        const body = encryptPayload(keys, example.plaintext, {
+            salt: Buffer.from(example.salt, 'base64url'),
+            serverKeys: serverKeys()
+        });
+
+        assert.equal(serverKeys().getPublicKey().toString('base64url'), example.serverPublicKey);
+        assert.equal(body.toString('base64url'), example.body);
+    });
+
+    it('writes the aes128gcm header: salt, 4096-byte record size and the server public key', () => {
+        const body = encryptPayload(keys, 'hello');
+
+        assert.equal(body.readUInt32BE(16), 4096);
+        assert.equal(body.readUInt8(20), 65);
+        assert.equal(body[21], 0x04); // Uncompressed P-256 point
+        // 16-byte salt + 4 + 1 + 65-byte key, then the payload, the 0x02 delimiter and the 16-byte tag
+        assert.equal(body.length, 86 + 'hello'.length + 1 + 16);
+    });
+
+    it('uses a fresh salt and server key for every message', () => {
+        const first = encryptPayload(keys, example.plaintext);
+        const second = encryptPayload(keys, example.plaintext);
+
+        assert.notDeepEqual(first.subarray(0, 16), second.subarray(0, 16));
+        assert.notDeepEqual(first.subarray(21, 86), second.subarray(21, 86));
+    });
+
+    it('refuses a payload that does not fit in one record', () => {
+        assert.throws(() => encryptPayload(keys, 'x'.repeat(4096)), /too large/);
+    });
+});
@@ -0,0 +1,39 @@
+// Embeddable widget: the CDN-cached card links back with a relative URL, never one built from the request
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const apiCache = require('../lib/cache');
+const { getAirport } = require('../lib/airports');
+const { localDateString } = require('../lib/timezone');
+const { getDayAnalysis, withQueueForecast } = require('../lib/prediction');
+const { widgetOptions, renderWidget } = require('../lib/widget');
+
+describe('renderWidget', () => {
+    const originalFetch = global.fetch;
+    const { log } = console;
+
+    before(async () => {
+        console.log = () => {};
+        global.fetch = async url => {
+            const type = new URL(url).pathname.endsWith('/arrivals') ? 'arrivals' : 'departures';
+            return { ok: true, status: 200, json: async () => ({ [type]: [], links: null }) };
+        };
+        await apiCache.clear();
+    });
+
+    after(() => {
+        console.log = log;
+        global.fetch = originalFetch;
+    });
+
+    it('links to the full forecast relatively, in a new tab', async () => {
+        const profile = getAirport('LIS');
+        const date = localDateString(new Date(), profile.timeZone);
+        const { analysis } = await getDayAnalysis(profile, date, 'test-key');
+
+        const html = renderWidget(withQueueForecast(analysis, date, profile), date, widgetOptions({ airport: 'LIS' }));
+        const links = [...html.matchAll(/<a [^>]*>/g)].map(([tag]) => tag);
+
+        assert.deepEqual(links, [`<a href="/?airport=LIS&amp;date=${date}" target="_blank" rel="noopener">`]);
+    });
+});
@@ -0,0 +1,50 @@
+// Embeddable crowd widget loader for partner sites
+// <script src="https://your-app.vercel.app/widget.js" data-airport="LIS" data-theme="dark" async></script>
+// Puts an iframe of /api/widget where the script tag is, or into every
+// <div class="pt-airport-queue" data-airport="LIS"></div> on the page, and fits its height to the content.
+// Options (data-*): airport (required), theme (light, dark or auto), accent (hex colour without #), chart ("0" hides it)
+(function () {
+    const script = document.currentScript;
+    if (!script) return;
+
+    const origin = new URL(script.src).origin;
+    const OPTIONS = ['airport', 'theme', 'accent', 'chart'];
+    const frames = [];
+
+    function createFrame(dataset) {
+        const params = new URLSearchParams();
+        OPTIONS.forEach(name => {
+            if (dataset[name]) params.set(name, dataset[name]);
+        });
+
+        const frame = document.createElement('iframe');
+        frame.src = `${origin}/api/widget?${params}`;
+        frame.title = 'Airport passport-control crowd forecast';
+        frame.loading = 'lazy';
+        frame.style.cssText = 'border:0;width:100%;max-width:320px;height:150px;display:block;overflow:hidden;';
+        frame.setAttribute('scrolling', 'no');
+        frames.push(frame);
+        return frame;
+    }
+
+    // Each widget page reports its height once loaded
+    window.addEventListener('message', event => {
+        if (event.origin !== origin || !event.data || event.data.type !== 'pt-airport-queue:resize') return;
+        const frame = frames.find(item => item.contentWindow === event.source);
+        if (frame && event.data.height > 0) {
+            frame.style.height = `${Math.ceil(event.data.height)}px`;
+        }
+    });
+
+    const containers = document.querySelectorAll('.pt-airport-queue');
+    if (containers.length > 0) {
+        containers.forEach(container => {
+            if (container.dataset.loaded) return;
+            container.dataset.loaded = 'true';
+            // Options on the container win over the script tag's
+            container.appendChild(createFrame({ ...script.dataset, ...container.dataset }));
+        });
+    } else if (script.dataset.airport) {
+        script.parentNode.insertBefore(createFrame(script.dataset), script.nextSibling);
+    }
+})();